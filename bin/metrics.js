@@ -0,0 +1,4 @@
+#!/usr/bin/env node
+
+// Single entry point for collecting metrics and producing the weekly report
+require('../cli/commands').main(process.argv.slice(2));
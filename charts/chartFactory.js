@@ -416,4 +416,430 @@ function makeInterruptionRateChart(labels, weeklyData) {
   });
 }
 
-module.exports = { makeLineChart, makeStackedBar, makePromptCategoryChart, makeTokensPerSPScatter, makeNKTLogScatter, makeInterruptionRateChart };
+function makeCostComparisonChart(labels, bedrockCosts, estimatedCosts, opts) {
+  return renderChartToBuffer({
+    type: 'line',
+    data: {
+      labels,
+      datasets: [
+        {
+          label: 'Bedrock',
+          data: bedrockCosts,
+          borderColor: '#182549',
+          borderWidth: 2,
+          fill: false,
+          tension: 0.2,
+          pointRadius: 3
+        },
+        {
+          label: 'Estimated from transcripts',
+          data: estimatedCosts,
+          borderColor: '#ED7D31',
+          borderWidth: 2,
+          borderDash: [6, 3],
+          fill: false,
+          tension: 0.2,
+          pointRadius: 3
+        }
+      ]
+    },
+    options: {
+      responsive: false,
+      plugins: {
+        title: { display: true, text: opts.title },
+        legend: { display: true }
+      },
+      scales: {
+        x: { title: { display: true, text: 'Week' } },
+        y: { beginAtZero: true, title: { display: true, text: opts.yLabel } }
+      }
+    }
+  });
+}
+
+// Cost saved as bars on the left axis, hit ratio (%) as a line on the right axis
+function makeCacheEfficiencyChart(labels, hitRatios, costSaved, opts) {
+  return renderChartToBuffer({
+    type: 'bar',
+    data: {
+      labels,
+      datasets: [
+        {
+          type: 'line',
+          label: 'Cache Hit Ratio (%)',
+          data: hitRatios,
+          yAxisID: 'ratio',
+          borderColor: '#ED7D31',
+          borderWidth: 2,
+          fill: false,
+          tension: 0.2,
+          pointRadius: 3
+        },
+        {
+          label: opts.costLabel,
+          data: costSaved,
+          yAxisID: 'cost',
+          backgroundColor: '#4472C4'
+        }
+      ]
+    },
+    options: {
+      responsive: false,
+      plugins: {
+        title: { display: true, text: opts.title },
+        legend: { display: true }
+      },
+      scales: {
+        x: { title: { display: true, text: 'Week' } },
+        cost: { position: 'left', beginAtZero: true, title: { display: true, text: opts.costLabel } },
+        ratio: { position: 'right', min: 0, max: 100, grid: { drawOnChartArea: false }, title: { display: true, text: 'Hit Ratio (%)' } }
+      }
+    }
+  });
+}
+
+const TOOL_COLORS = ['#182549', '#4472C4', '#ED7D31', '#4CAF50', '#9C27B0', '#FF5722', '#00BCD4'];
+
+// Names with the highest counts across all weeks (countsOf returns { name: count } for a week)
+function topNames(weeklyData, countsOf, limit) {
+  const totals = {};
+  weeklyData.forEach(d => {
+    Object.entries(countsOf(d) || {}).forEach(([name, count]) => {
+      totals[name] = (totals[name] || 0) + count;
+    });
+  });
+  return Object.entries(totals)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([name]) => name);
+}
+
+function countsByName(group, field) {
+  if (!group) return null;
+  return Object.fromEntries(Object.entries(group).map(([name, stats]) => [name, stats[field]]));
+}
+
+// Most-called tools; the rest are grouped as "Other"
+function topToolNames(weeklyData, limit) {
+  return topNames(weeklyData, d => countsByName(d.toolUsage && d.toolUsage.tools, 'calls'), limit);
+}
+
+function makeToolUsageChart(labels, weeklyData) {
+  const topTools = topToolNames(weeklyData, 6);
+  const toolCalls = (d, name) => (d.toolUsage && d.toolUsage.tools[name] ? d.toolUsage.tools[name].calls : 0);
+
+  const datasets = topTools.map((name, i) => ({
+    label: name,
+    data: weeklyData.map(d => (d.toolUsage ? toolCalls(d, name) : null)),
+    backgroundColor: TOOL_COLORS[i % TOOL_COLORS.length]
+  }));
+  datasets.push({
+    label: 'Other',
+    data: weeklyData.map(d => {
+      if (!d.toolUsage) return null;
+      return Object.entries(d.toolUsage.tools)
+        .filter(([name]) => !topTools.includes(name))
+        .reduce((sum, [, stats]) => sum + stats.calls, 0);
+    }),
+    backgroundColor: '#9E9E9E'
+  });
+
+  return makeStackedBar(labels, datasets, {
+    title: 'Tool Calls by Tool',
+    yLabel: 'Tool Calls'
+  });
+}
+
+function makeToolErrorRateChart(labels, weeklyData) {
+  const topTools = topToolNames(weeklyData, 5);
+
+  return renderChartToBuffer({
+    type: 'line',
+    data: {
+      labels,
+      datasets: topTools.map((name, i) => ({
+        label: name,
+        data: weeklyData.map(d => {
+          const stats = d.toolUsage && d.toolUsage.tools[name];
+          return stats ? stats.errorRate : null;
+        }),
+        borderColor: TOOL_COLORS[i % TOOL_COLORS.length],
+        borderWidth: 2,
+        fill: false,
+        tension: 0.2,
+        pointRadius: 3
+      }))
+    },
+    options: {
+      responsive: false,
+      plugins: {
+        title: { display: true, text: 'Tool Error Rate by Tool' },
+        legend: { display: true }
+      },
+      scales: {
+        x: { title: { display: true, text: 'Week' } },
+        y: { beginAtZero: true, title: { display: true, text: 'Error Rate (%)' } }
+      }
+    }
+  });
+}
+
+const ERROR_CLASS_COLORS = ['#FF5722', '#FF9800', '#FFC107', '#4CAF50', '#2196F3', '#9C27B0', '#E91E63', '#795548', '#00BCD4', '#607D8B'];
+
+// Error classes seen in any week, most frequent first
+function errorClassNames(weeklyData) {
+  const totals = {};
+  weeklyData.forEach(d => {
+    Object.entries((d.toolUsage && d.toolUsage.errorClasses) || {}).forEach(([name, count]) => {
+      totals[name] = (totals[name] || 0) + count;
+    });
+  });
+  return Object.entries(totals)
+    .sort((a, b) => b[1] - a[1])
+    .map(([name]) => name);
+}
+
+function errorClassColor(name, i) {
+  return name === 'other' ? '#9E9E9E' : ERROR_CLASS_COLORS[i % ERROR_CLASS_COLORS.length];
+}
+
+function makeToolErrorClassChart(labels, weeklyData) {
+  const datasets = errorClassNames(weeklyData).map((name, i) => ({
+    label: name.replace(/_/g, ' '),
+    data: weeklyData.map(d => (d.toolUsage && d.toolUsage.errorClasses ? d.toolUsage.errorClasses[name] || 0 : null)),
+    backgroundColor: errorClassColor(name, i)
+  }));
+
+  return makeStackedBar(labels, datasets, {
+    title: 'Tool Errors by Class',
+    yLabel: 'Errors'
+  });
+}
+
+function makeToolErrorClassRateChart(labels, weeklyData) {
+  const totalCalls = d => Object.values(d.toolUsage.tools).reduce((sum, stats) => sum + stats.calls, 0);
+
+  return renderChartToBuffer({
+    type: 'line',
+    data: {
+      labels,
+      datasets: errorClassNames(weeklyData).map((name, i) => ({
+        label: name.replace(/_/g, ' '),
+        data: weeklyData.map(d => {
+          if (!d.toolUsage || !d.toolUsage.errorClasses) return null;
+          const calls = totalCalls(d);
+          return calls > 0 ? parseFloat(((d.toolUsage.errorClasses[name] || 0) / calls * 100).toFixed(2)) : null;
+        }),
+        borderColor: errorClassColor(name, i),
+        borderWidth: 2,
+        fill: false,
+        tension: 0.2,
+        pointRadius: 3
+      }))
+    },
+    options: {
+      responsive: false,
+      plugins: {
+        title: { display: true, text: 'Tool Error Rate by Class' },
+        legend: { display: true }
+      },
+      scales: {
+        x: { title: { display: true, text: 'Week' } },
+        y: { beginAtZero: true, title: { display: true, text: '% of Tool Calls' } }
+      }
+    }
+  });
+}
+
+function makeWorkflowUsageChart(labels, weeklyData) {
+  const topCommands = topNames(weeklyData, d => countsByName(d.workflows, 'runs'), 6);
+
+  const datasets = topCommands.map((command, i) => ({
+    label: command,
+    data: weeklyData.map(d => (d.workflows ? (d.workflows[command] ? d.workflows[command].runs : 0) : null)),
+    backgroundColor: TOOL_COLORS[i % TOOL_COLORS.length]
+  }));
+  datasets.push({
+    label: 'Other',
+    data: weeklyData.map(d => {
+      if (!d.workflows) return null;
+      return Object.entries(d.workflows)
+        .filter(([command]) => !topCommands.includes(command))
+        .reduce((sum, [, stats]) => sum + stats.runs, 0);
+    }),
+    backgroundColor: '#9E9E9E'
+  });
+
+  return makeStackedBar(labels, datasets, {
+    title: 'Slash Command Runs',
+    yLabel: 'Runs'
+  });
+}
+
+function makeWorkflowAbandonRateChart(labels, weeklyData) {
+  const topCommands = topNames(weeklyData, d => countsByName(d.workflows, 'runs'), 5);
+
+  return renderChartToBuffer({
+    type: 'line',
+    data: {
+      labels,
+      datasets: topCommands.map((command, i) => ({
+        label: command,
+        data: weeklyData.map(d => (d.workflows && d.workflows[command] ? d.workflows[command].abandonRate : null)),
+        borderColor: TOOL_COLORS[i % TOOL_COLORS.length],
+        borderWidth: 2,
+        fill: false,
+        tension: 0.2,
+        pointRadius: 3
+      }))
+    },
+    options: {
+      responsive: false,
+      plugins: {
+        title: { display: true, text: 'Slash Command Abandon Rate' },
+        legend: { display: true }
+      },
+      scales: {
+        x: { title: { display: true, text: 'Week' } },
+        y: { beginAtZero: true, title: { display: true, text: 'Abandoned Runs (%)' } }
+      }
+    }
+  });
+}
+
+// Median, p75 and p90 of a weekly distribution ({ median, p75, p90 } per week, or null), scaled by opts.factor
+function makeDistributionChart(labels, distributions, opts) {
+  const series = [
+    { label: 'Median', field: 'median', color: '#182549' },
+    { label: 'p75', field: 'p75', color: '#4472C4' },
+    { label: 'p90', field: 'p90', color: '#ED7D31' }
+  ];
+  const scaled = value => (value !== null && value !== undefined ? parseFloat((value * (opts.factor || 1)).toFixed(1)) : null);
+
+  return renderChartToBuffer({
+    type: 'line',
+    data: {
+      labels,
+      datasets: series.map(({ label, field, color }) => ({
+        label,
+        data: distributions.map(d => (d ? scaled(d[field]) : null)),
+        borderColor: color,
+        borderWidth: 2,
+        fill: false,
+        tension: 0.2,
+        pointRadius: 3
+      }))
+    },
+    options: {
+      responsive: false,
+      plugins: {
+        title: { display: true, text: opts.title },
+        legend: { display: true }
+      },
+      scales: {
+        x: { title: { display: true, text: 'Week' } },
+        y: { beginAtZero: true, title: { display: true, text: opts.yLabel } }
+      }
+    }
+  });
+}
+
+// One line per developer (the seven with the most tokens); opts.nameOf gives the name shown for a developer id
+// and opts.factor scales the values (e.g. USD to GBP)
+function makeDeveloperChart(labels, weeklyData, field, opts) {
+  const developers = topNames(weeklyData, d => countsByName(d.developers, 'tokens'), 7);
+  const valueOf = (d, developer) => {
+    const value = d.developers && d.developers[developer] ? d.developers[developer][field] : null;
+    return value !== null && value !== undefined ? value * (opts.factor || 1) : null;
+  };
+
+  return renderChartToBuffer({
+    type: 'line',
+    data: {
+      labels,
+      datasets: developers.map((developer, i) => ({
+        label: opts.nameOf ? opts.nameOf(developer) : developer,
+        data: weeklyData.map(d => valueOf(d, developer)),
+        borderColor: TOOL_COLORS[i % TOOL_COLORS.length],
+        borderWidth: 2,
+        fill: false,
+        tension: 0.2,
+        pointRadius: 3
+      }))
+    },
+    options: {
+      responsive: false,
+      plugins: {
+        title: { display: true, text: opts.title },
+        legend: { display: true }
+      },
+      scales: {
+        x: { title: { display: true, text: 'Week' } },
+        y: { beginAtZero: true, title: { display: true, text: opts.yLabel } }
+      }
+    }
+  });
+}
+
+// Context sizes are plotted in thousands of tokens
+function thousands(tokens) {
+  return tokens !== null && tokens !== undefined ? parseFloat((tokens / 1000).toFixed(1)) : null;
+}
+
+function makeContextPeakChart(labels, weeklyData) {
+  const series = [
+    { label: 'Avg Peak per Session', value: c => c.avgPeakContextTokens, color: '#182549' },
+    { label: 'Median Peak per Session', value: c => c.medianPeakContextTokens, color: '#4472C4' },
+    { label: 'Median at Compaction', value: c => c.contextAtCompaction.median, color: '#ED7D31' }
+  ];
+
+  return renderChartToBuffer({
+    type: 'line',
+    data: {
+      labels,
+      datasets: series.map(({ label, value, color }) => ({
+        label,
+        data: weeklyData.map(d => (d.contextWindow ? thousands(value(d.contextWindow)) : null)),
+        borderColor: color,
+        borderWidth: 2,
+        fill: false,
+        tension: 0.2,
+        pointRadius: 3
+      }))
+    },
+    options: {
+      responsive: false,
+      plugins: {
+        title: { display: true, text: 'Peak Context Size' },
+        legend: { display: true }
+      },
+      scales: {
+        x: { title: { display: true, text: 'Week' } },
+        y: { beginAtZero: true, title: { display: true, text: 'Context (K tokens)' } }
+      }
+    }
+  });
+}
+
+const CONTEXT_BUCKET_COLORS = {
+  '<50k': '#4CAF50',
+  '50-100k': '#00BCD4',
+  '100-150k': '#4472C4',
+  '150-200k': '#ED7D31',
+  '200k+': '#FF5722'
+};
+
+function makeContextAtCompactionChart(labels, weeklyData) {
+  const datasets = Object.entries(CONTEXT_BUCKET_COLORS).map(([bucket, color]) => ({
+    label: bucket,
+    data: weeklyData.map(d => (d.contextWindow ? d.contextWindow.contextAtCompactionBuckets[bucket] || 0 : null)),
+    backgroundColor: color
+  }));
+
+  return makeStackedBar(labels, datasets, {
+    title: 'Context Size at Compaction',
+    yLabel: 'Compactions'
+  });
+}
+
+module.exports = { makeLineChart, makeStackedBar, makePromptCategoryChart, makeTokensPerSPScatter, makeNKTLogScatter, makeInterruptionRateChart, makeToolUsageChart, makeToolErrorRateChart, makeToolErrorClassChart, makeToolErrorClassRateChart, makeCostComparisonChart, makeWorkflowUsageChart, makeWorkflowAbandonRateChart, makeContextPeakChart, makeContextAtCompactionChart, makeCacheEfficiencyChart, makeDeveloperChart, makeDistributionChart };
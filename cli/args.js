@@ -0,0 +1,209 @@
+// Command-line argument parsing shared by the metrics CLI and the standalone scripts
+const fs = require('fs');
+const path = require('path');
+const CONFIG = require('../data/config');
+const { buildWeekCalendar } = require('../data/shared/utils/weekCalendar');
+
+/**
+ * Common option definitions reused across subcommands
+ */
+const COMMON_OPTIONS = {
+  weeks: { type: 'string', alias: 'w', arg: '<list>', description: 'Weeks to include, e.g. "Week 5,Week 6", "5,6" or "4-7"' },
+  from: { type: 'string', arg: '<date>', description: 'Only include weeks ending on or after this date (YYYY-MM-DD)' },
+  to: { type: 'string', arg: '<date>', description: 'Only include weeks starting on or before this date (YYYY-MM-DD)' },
+  profile: { type: 'string', alias: 'p', arg: '<file>', description: 'Team profile (JSON or YAML) with repositories, exclusions and factors' },
+  config: { type: 'string', arg: '<file>', description: 'JSON file with overrides for data/config.js' },
+  output: { type: 'string', alias: 'o', arg: '<file>', description: 'Output file path' },
+  refresh: { type: 'boolean', description: 'Ignore cached GitHub/JIRA/SonarCloud responses and fetch them again' },
+  record: { type: 'string', arg: '<dir>', description: 'Record every GitHub/JIRA/SonarCloud response into this fixtures directory' },
+  replay: { type: 'string', arg: '<dir>', description: 'Serve GitHub/JIRA/SonarCloud responses from this fixtures directory (offline)' },
+  help: { type: 'boolean', alias: 'h', description: 'Show help for this command' }
+};
+
+/**
+ * Parse argv against an option spec
+ * Returns { options, positionals }; throws on unknown or incomplete flags
+ */
+function parseArgs(argv, spec) {
+  const options = {};
+  const positionals = [];
+  const aliases = {};
+
+  Object.entries(spec).forEach(([name, def]) => {
+    if (def.alias) aliases[def.alias] = name;
+  });
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (!arg.startsWith('-') || arg === '-') {
+      positionals.push(arg);
+      continue;
+    }
+
+    let flag = arg.replace(/^--?/, '');
+    let inlineValue = null;
+    const eqIndex = flag.indexOf('=');
+    if (eqIndex >= 0) {
+      inlineValue = flag.slice(eqIndex + 1);
+      flag = flag.slice(0, eqIndex);
+    }
+
+    const name = arg.startsWith('--') ? flag : aliases[flag];
+    const def = name ? spec[name] : null;
+    if (!def) {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+
+    if (def.type === 'boolean') {
+      options[name] = true;
+      continue;
+    }
+
+    const value = inlineValue !== null ? inlineValue : argv[i + 1];
+    if (value === undefined || (inlineValue === null && value.startsWith('-'))) {
+      throw new Error(`Option --${name} requires a value`);
+    }
+    if (inlineValue === null) i++;
+
+    options[name] = def.type === 'number' ? Number(value) : value;
+    if (def.type === 'number' && Number.isNaN(options[name])) {
+      throw new Error(`Option --${name} expects a number, got "${value}"`);
+    }
+  }
+
+  return { options, positionals };
+}
+
+/**
+ * Parse a date flag, rejecting anything that is not YYYY-MM-DD
+ */
+function parseDateOption(name, value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(new Date(value).getTime())) {
+    throw new Error(`Option --${name} expects a date in YYYY-MM-DD format, got "${value}"`);
+  }
+  return new Date(value);
+}
+
+/**
+ * Resolve a --weeks list entry ("Week 5", "5" or "4-7") to week names
+ */
+function expandWeekToken(token) {
+  const range = token.match(/^(\d+)\s*-\s*(\d+)$/);
+  if (range) {
+    const names = [];
+    for (let n = parseInt(range[1], 10); n <= parseInt(range[2], 10); n++) {
+      names.push(`Week ${n}`);
+    }
+    return names;
+  }
+  if (/^\d+$/.test(token)) {
+    return [`Week ${token}`];
+  }
+  return [token];
+}
+
+/**
+ * Select weeks using the shared --weeks/--from/--to flags
+ */
+function selectWeeks(options, weeks = CONFIG.WEEKS) {
+  let selected = weeks;
+
+  if (options.weeks) {
+    const names = options.weeks
+      .split(',')
+      .map(token => token.trim())
+      .filter(Boolean)
+      .flatMap(expandWeekToken);
+
+    const unknown = names.filter(name => !weeks.some(w => w.name === name));
+    if (unknown.length > 0) {
+      throw new Error(`Week(s) not found in config: ${unknown.join(', ')}`);
+    }
+    selected = selected.filter(w => names.includes(w.name));
+  }
+
+  if (options.from) {
+    const from = parseDateOption('from', options.from);
+    selected = selected.filter(w => new Date(w.end) >= from);
+  }
+
+  if (options.to) {
+    const to = parseDateOption('to', options.to);
+    selected = selected.filter(w => new Date(w.start) <= to);
+  }
+
+  if (selected.length === 0) {
+    throw new Error('No weeks match the given --weeks/--from/--to filters');
+  }
+
+  return selected;
+}
+
+/**
+ * Apply a --config JSON file on top of data/config.js
+ * Only known keys may be overridden; *_FILE and *_DIR paths resolve relative to the file
+ */
+function applyConfigFile(filePath) {
+  const resolved = path.resolve(filePath);
+  if (!fs.existsSync(resolved)) {
+    throw new Error(`Config file not found: ${resolved}`);
+  }
+
+  let overrides;
+  try {
+    overrides = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not parse config file ${resolved}: ${err.message}`);
+  }
+
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw new Error(`Config file ${resolved} must contain a JSON object`);
+  }
+
+  const unknown = Object.keys(overrides).filter(key => !(key in CONFIG));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown config key(s) in ${resolved}: ${unknown.join(', ')}`);
+  }
+
+  Object.entries(overrides).forEach(([key, value]) => {
+    CONFIG[key] = /_(FILE|DIR)$/.test(key) && typeof value === 'string'
+      ? path.resolve(path.dirname(resolved), value)
+      : value;
+  });
+
+  // Regenerate the week list when the calendar changes
+  if ('CALENDAR' in overrides && !('WEEKS' in overrides)) {
+    CONFIG.WEEKS = buildWeekCalendar(CONFIG.CALENDAR);
+  }
+}
+
+/**
+ * Render help text for a command from its option spec
+ */
+function formatHelp(usage, description, spec) {
+  const lines = [`Usage: ${usage}`, ''];
+  if (description) {
+    lines.push(description, '');
+  }
+  lines.push('Options:');
+
+  const rows = Object.entries(spec).map(([name, def]) => {
+    const flags = `${def.alias ? `-${def.alias}, ` : '    '}--${name}${def.arg ? ` ${def.arg}` : ''}`;
+    return [flags, def.description || ''];
+  });
+  const width = Math.max(...rows.map(([flags]) => flags.length));
+  rows.forEach(([flags, text]) => {
+    lines.push(`  ${flags.padEnd(width)}  ${text}`);
+  });
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  COMMON_OPTIONS,
+  parseArgs,
+  selectWeeks,
+  applyConfigFile,
+  formatHelp
+};
@@ -0,0 +1,349 @@
+// Subcommand definitions for the metrics CLI
+const { COMMON_OPTIONS, parseArgs, selectWeeks, applyConfigFile, formatHelp } = require('./args');
+
+const { weeks, from, to, profile, config, output, refresh, record, replay, help } = COMMON_OPTIONS;
+
+const realNames = { type: 'boolean', description: 'Show developer logins instead of pseudonyms (see PSEUDONYMISE_DEVELOPERS)' };
+
+/**
+ * Each command lazily requires its implementation so that, for example,
+ * `metrics collect` does not need the PDF/canvas dependencies installed
+ */
+const COMMANDS = [
+  {
+    path: ['collect'],
+    description: 'Collect GitHub, JIRA, SonarCloud, Bedrock and transcript metrics into data/weeklyData.json',
+    options: { weeks, from, to, profile, config, output: { ...output, description: 'Dataset path (default: data/weeklyData.json)' }, refresh, record, replay, help },
+    run: options => {
+      const { generateDashboard } = require('../data/orchestration/generateDashboard');
+      return generateDashboard({ weeks: selectWeeks(options), output: options.output });
+    }
+  },
+  {
+    path: ['report'],
+    description: 'Render the weekly metrics PDF from the collected dataset',
+    options: {
+      data: { type: 'string', arg: '<file>', description: 'Dataset to render (default: data/weeklyData.json)' },
+      view: { type: 'string', arg: '<name>', description: 'portfolio (default) or a repository name' },
+      weeks,
+      from,
+      to,
+      profile,
+      config,
+      output: { ...output, description: 'PDF path (default: weekly_metrics.pdf)' },
+      'real-names': realNames,
+      help
+    },
+    run: options => {
+      const { generateReport } = require('../weekly_metrics_report');
+      // Without a week filter the report covers every week in the dataset, not just those in the current calendar
+      const weeks = options.weeks || options.from || options.to ? selectWeeks(options).map(week => week.name) : undefined;
+      return generateReport({ data: options.data, output: options.output, view: options.view, weeks, realNames: options['real-names'] });
+    }
+  },
+  {
+    path: ['transcripts', 'compactions'],
+    description: 'Report compactions, time to context window and context size per week, with per-session context curves',
+    options: {
+      weeks,
+      from,
+      to,
+      profile,
+      config,
+      output: { ...output, description: 'JSON export path (default: data/transcripts/exports/)' },
+      curves: { type: 'string', arg: '<file>', description: 'Context curve CSV path (default: data/transcripts/exports/contextCurves.csv)' },
+      help
+    },
+    run: options => {
+      const { runCompactionAnalysis } = require('../data/transcripts/compactionAnalysis');
+      return runCompactionAnalysis({ weeks: selectWeeks(options), output: options.output, curves: options.curves });
+    }
+  },
+  {
+    path: ['transcripts', 'prompts'],
+    description: 'Report prompt category breakdowns per week',
+    options: { weeks, from, to, profile, config, output: { ...output, description: 'JSON export path (default: data/transcripts/exports/)' }, help },
+    run: options => {
+      const { runPromptCategoryAnalysis } = require('../data/transcripts/promptCategories');
+      return runPromptCategoryAnalysis({ weeks: selectWeeks(options), output: options.output });
+    }
+  },
+  {
+    path: ['transcripts', 'tools'],
+    description: 'Report tool call counts, error rates and common errors per week, ticket and developer',
+    options: { weeks, from, to, profile, config, output: { ...output, description: 'JSON export path (default: data/transcripts/exports/)' }, help },
+    run: options => {
+      const { runToolUsageAnalysis } = require('../data/transcripts/toolUsageAnalysis');
+      return runToolUsageAnalysis({ weeks: selectWeeks(options), output: options.output });
+    }
+  },
+  {
+    path: ['transcripts', 'workflows'],
+    description: 'Report slash command runs, tokens, abandon rates and median duration per week',
+    options: { weeks, from, to, profile, config, output: { ...output, description: 'JSON export path (default: data/transcripts/exports/)' }, help },
+    run: options => {
+      const { runWorkflowAnalysis } = require('../data/transcripts/workflowAnalysis');
+      return runWorkflowAnalysis({ weeks: selectWeeks(options), output: options.output });
+    }
+  },
+  {
+    path: ['transcripts', 'models'],
+    description: 'Report token usage per model and the estimated cost next to the Bedrock cost per week',
+    options: { weeks, from, to, profile, config, output: { ...output, description: 'JSON export path (default: data/transcripts/exports/)' }, help },
+    run: options => {
+      const { runModelUsageAnalysis } = require('../data/transcripts/modelUsageAnalysis');
+      return runModelUsageAnalysis({ weeks: selectWeeks(options), output: options.output });
+    }
+  },
+  {
+    path: ['transcripts', 'cache'],
+    description: 'Report prompt cache hit ratio, cost saved by caching and sessions with poor cache reuse per week',
+    options: { weeks, from, to, profile, config, output: { ...output, description: 'JSON export path (default: data/transcripts/exports/)' }, help },
+    run: options => {
+      const { runCacheEfficiencyAnalysis } = require('../data/transcripts/cacheEfficiencyAnalysis');
+      return runCacheEfficiencyAnalysis({ weeks: selectWeeks(options), output: options.output });
+    }
+  },
+  {
+    path: ['transcripts', 'attribution'],
+    description: 'Report how tokens are attributed to tickets, with confidence, and the unattributed tokens and sessions per week',
+    options: {
+      weeks,
+      from,
+      to,
+      profile,
+      config,
+      output: { ...output, description: 'JSON export path (default: data/transcripts/exports/)' },
+      'real-names': realNames,
+      help
+    },
+    run: options => {
+      const { runTicketAttributionAnalysis } = require('../data/transcripts/ticketAttributionAnalysis');
+      return runTicketAttributionAnalysis({ weeks: selectWeeks(options), output: options.output, realNames: options['real-names'] });
+    }
+  },
+  {
+    path: ['transcripts', 'timing'],
+    description: 'Report agent response latency, agent working time, human think time and the longest unattended runs per week',
+    options: {
+      weeks,
+      from,
+      to,
+      profile,
+      config,
+      output: { ...output, description: 'JSON export path (default: data/transcripts/exports/)' },
+      'real-names': realNames,
+      help
+    },
+    run: options => {
+      const { runTurnTimingAnalysis } = require('../data/transcripts/turnTimingAnalysis');
+      return runTurnTimingAnalysis({ weeks: selectWeeks(options), output: options.output, realNames: options['real-names'] });
+    }
+  },
+  {
+    path: ['transcripts', 'tests'],
+    description: 'Report agent test runs, pass rates, red/green cycles per ticket and commits made with failing tests per week',
+    options: { weeks, from, to, profile, config, output: { ...output, description: 'JSON export path (default: data/transcripts/exports/)' }, help },
+    run: options => {
+      const { runTestRunAnalysis } = require('../data/transcripts/testRunAnalysis');
+      return runTestRunAnalysis({ weeks: selectWeeks(options), output: options.output });
+    }
+  },
+  {
+    path: ['transcripts', 'developers'],
+    description: 'Report tokens, prompts, interruptions, sessions and active time per developer per week',
+    options: {
+      weeks,
+      from,
+      to,
+      profile,
+      config,
+      output: { ...output, description: 'JSON export path (default: data/transcripts/exports/)' },
+      'real-names': realNames,
+      help
+    },
+    run: options => {
+      const { runDeveloperAnalysis } = require('../data/transcripts/developerAnalysis');
+      return runDeveloperAnalysis({ weeks: selectWeeks(options), output: options.output, realNames: options['real-names'] });
+    }
+  },
+  {
+    path: ['transcripts', 'sessions'],
+    description: 'Report session duration, active time, turns, tokens and outcome per week, with a per-session CSV',
+    options: {
+      weeks,
+      from,
+      to,
+      profile,
+      config,
+      output: { ...output, description: 'JSON export path (default: data/transcripts/exports/)' },
+      csv: { type: 'string', arg: '<file>', description: 'Per-session CSV path (default: data/transcripts/exports/sessions.csv)' },
+      'real-names': realNames,
+      help
+    },
+    run: options => {
+      const { runSessionAnalysis } = require('../data/transcripts/sessionAnalysis');
+      return runSessionAnalysis({ weeks: selectWeeks(options), output: options.output, csv: options.csv, realNames: options['real-names'] });
+    }
+  },
+  {
+    path: ['classifier', 'sample'],
+    description: 'Export a random sample of prompts with their current category to a file for labelling',
+    options: {
+      weeks,
+      from,
+      to,
+      config,
+      size: { type: 'string', arg: '<n>', description: 'Number of prompts to sample (default: 200)' },
+      seed: { type: 'string', arg: '<n>', description: 'Random seed, to reproduce a sample (default: 1)' },
+      output: { ...output, description: 'Labelling file (default: data/transcripts/promptLabels.json)' },
+      help
+    },
+    run: options => {
+      const { runPromptSample } = require('../data/transcripts/classifierEvaluation');
+      return runPromptSample({ weeks: selectWeeks(options), size: options.size, seed: options.seed, output: options.output });
+    }
+  },
+  {
+    path: ['classifier', 'evaluate'],
+    description: 'Score the prompt classifier against labelled prompts: precision, recall and a confusion matrix per category',
+    options: {
+      labels: { type: 'string', arg: '<file>', description: 'Labelling file (default: data/transcripts/promptLabels.json)' },
+      taxonomy: { type: 'string', arg: '<file>', description: 'Proposed taxonomy to compare with the current one' },
+      config,
+      output: { ...output, description: 'Write the evaluation as JSON to this file' },
+      help
+    },
+    run: options => {
+      const { runClassifierEvaluation } = require('../data/transcripts/classifierEvaluation');
+      return runClassifierEvaluation({ labels: options.labels, taxonomy: options.taxonomy, output: options.output });
+    }
+  },
+  {
+    path: ['costs', 'merge'],
+    description: 'Merge the exported Bedrock cost CSVs in data/Costs into one file',
+    options: { config, output: { ...output, description: 'Merged CSV path (default: data/Costs/merged-bedrock-costs.csv)' }, help },
+    run: options => {
+      const { mergeCostFiles } = require('../data/Costs/mergeCosts');
+      return mergeCostFiles({ output: options.output });
+    }
+  },
+  {
+    path: ['quality', 'latest'],
+    description: 'Print the latest SonarCloud quality metrics for a branch',
+    options: {
+      branch: { type: 'string', alias: 'b', arg: '<name>', description: 'Branch to query (default: master)' },
+      repo: { type: 'string', arg: '<name>', description: 'Repository from CONFIG.REPOSITORIES (default: the first one)' },
+      profile,
+      config,
+      refresh,
+      record,
+      replay,
+      help
+    },
+    run: options => {
+      const { runQualityReport } = require('../data/quality/sonarqube_quality_report');
+      return runQualityReport({ branch: options.branch, repo: options.repo });
+    }
+  },
+  {
+    path: ['forecast'],
+    description: 'Write the weekly token breakdown CSV used for cost forecasting',
+    options: { weeks, from, to, config, output: { ...output, description: 'CSV path (default: data/costForecasting/token_breakdown_by_week.csv)' }, help },
+    run: options => {
+      const { generateTokenBreakdown, weeks: forecastWeeks } = require('../data/costForecasting/token_breakdown_by_week');
+      return generateTokenBreakdown({ weeks: selectWeeks(options, forecastWeeks), output: options.output });
+    }
+  }
+];
+
+function findCommand(args) {
+  return COMMANDS.find(command => command.path.every((part, i) => args[i] === part));
+}
+
+function formatUsage() {
+  const width = Math.max(...COMMANDS.map(c => c.path.join(' ').length));
+  const lines = [
+    'Usage: metrics <command> [options]',
+    '',
+    'Commands:',
+    ...COMMANDS.map(c => `  ${c.path.join(' ').padEnd(width)}  ${c.description}`),
+    '',
+    'Run "metrics <command> --help" for the options of each command.'
+  ];
+  return lines.join('\n');
+}
+
+/**
+ * Parse options for a command and run it, reporting errors with a non-zero exit code
+ */
+async function runCommand(commandPath, argv) {
+  const command = findCommand(commandPath);
+  const usage = `metrics ${command.path.join(' ')} [options]`;
+
+  try {
+    const { options, positionals } = parseArgs(argv, command.options);
+
+    if (options.help) {
+      console.log(formatHelp(usage, command.description, command.options));
+      return;
+    }
+    if (positionals.length > 0) {
+      throw new Error(`Unexpected argument: ${positionals[0]}`);
+    }
+    // A profile sets the team defaults; --config can still override individual values
+    if (options.profile) {
+      const { name } = require('../data/shared/utils/profileLoader').applyProfile(options.profile);
+      console.log(`Profile: ${name} (${options.profile})`);
+    }
+    if (options.config) {
+      applyConfigFile(options.config);
+    }
+    if (options.refresh) {
+      require('../data/shared/utils/diskCache').setRefresh(true);
+    }
+    if (options.record && options.replay) {
+      throw new Error('Use either --record or --replay, not both');
+    }
+    const externalCall = require('../data/shared/utils/externalCall');
+    if (options.record) {
+      externalCall.setApiMode('record', options.record);
+    } else if (options.replay) {
+      externalCall.setApiMode('replay', options.replay);
+    }
+
+    await command.run(options);
+    externalCall.assertReplayComplete();
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    console.error(`Run "${usage.replace(' [options]', '')} --help" for usage.`);
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Entry point for bin/metrics.js
+ */
+async function main(argv) {
+  if (argv.length === 0 || argv[0] === '--help' || argv[0] === '-h' || argv[0] === 'help') {
+    console.log(formatUsage());
+    return;
+  }
+
+  const command = findCommand(argv);
+  if (!command) {
+    console.error(`Unknown command: ${argv.filter(a => !a.startsWith('-')).join(' ')}`);
+    console.error();
+    console.error(formatUsage());
+    process.exitCode = 1;
+    return;
+  }
+
+  await runCommand(command.path, argv.slice(command.path.length));
+}
+
+module.exports = {
+  COMMANDS,
+  runCommand,
+  main
+};
@@ -35,8 +35,11 @@ function parseCostCSV(filePath) {
   return { headers, rows };
 }
 
-// Merge all CSV files
-function mergeCostFiles() {
+/**
+ * Merge the exported Bedrock cost CSVs into a single de-duplicated file
+ * Options: output (defaults to merged-bedrock-costs.csv next to this script)
+ */
+function mergeCostFiles(options = {}) {
   const costsDir = __dirname;
   const files = [
     'bedrock-costs.csv',
@@ -125,12 +128,20 @@ function mergeCostFiles() {
   });
 
   // Write merged file
-  const outputPath = path.join(costsDir, 'merged-bedrock-costs.csv');
+  const outputPath = options.output
+    ? path.resolve(options.output)
+    : path.join(costsDir, 'merged-bedrock-costs.csv');
   fs.writeFileSync(outputPath, outputLines.join('\n'));
 
   console.log(`\nMerged ${uniqueRows.length} rows`);
   console.log(`Date range: ${uniqueRows[0]['Service']} to ${uniqueRows[uniqueRows.length - 1]['Service']}`);
   console.log(`Output: ${outputPath}`);
+
+  return outputPath;
 }
 
-mergeCostFiles();
+module.exports = { mergeCostFiles };
+
+if (require.main === module) {
+  require('../../cli/commands').runCommand(['costs', 'merge'], process.argv.slice(2));
+}
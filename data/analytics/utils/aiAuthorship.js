@@ -0,0 +1,146 @@
+// Share of merged PR lines written by the agent: PR diff hunks matched against transcript Edit/MultiEdit/Write calls
+const path = require('path');
+const CONFIG = require('../../config');
+const { fetchAllPRs } = require('../../github/utils/prAnalysis');
+const { filterPRsForWeek, fetchPRDiff, parseDiff, extractJiraTicket } = require('../../github/utils/prUtils');
+const { agentEditsByDeveloper, lineKey } = require('../../transcripts/utils/agentEdits');
+const { developerForLogin } = require('../../shared/utils/developers');
+const { checkoutDirNames } = require('../../shared/utils/repositories');
+
+function share(aiLines, changedLines) {
+  return changedLines > 0 ? parseFloat((aiLines / changedLines * 100).toFixed(2)) : null;
+}
+
+/**
+ * Deepest directory from dir up whose name is one of the repository's checkout directory names, or null
+ */
+function checkoutRoot(dir, names) {
+  for (let current = dir; current && current !== path.posix.dirname(current); current = path.posix.dirname(current)) {
+    if (names.includes(path.posix.basename(current))) return current;
+  }
+  return null;
+}
+
+/**
+ * Path of an agent edit's file relative to the repository's checkout, comparable with PR diff paths, or null when the
+ * edit was made outside the repository (e.g. in another repository the developer works on)
+ * The checkout is found from the session's working directory, or from the file path when the session ran elsewhere
+ */
+function repositoryPath(edit, names) {
+  const cwd = edit.cwd ? edit.cwd.replace(/\\/g, '/') : null;
+  let filePath = edit.filePath.replace(/\\/g, '/');
+  if (cwd && !path.posix.isAbsolute(filePath) && !/^[A-Za-z]:\//.test(filePath)) {
+    filePath = path.posix.join(cwd, filePath);
+  }
+
+  const root = (cwd && checkoutRoot(cwd, names)) || checkoutRoot(path.posix.dirname(filePath), names);
+  if (!root || !filePath.startsWith(`${root}/`)) return null;
+  return filePath.slice(root.length + 1);
+}
+
+/**
+ * Agent-written lines on one side (added or removed) of a hunk
+ * Lines with no letters or digits (see lineKey) go with the rest of the hunk: they count as agent-written
+ * when most of the hunk's other lines on that side were
+ */
+function matchLines(lines, agentKeys) {
+  const keys = lines.map(lineKey);
+  const substantive = keys.filter(Boolean);
+  const matched = substantive.filter(key => agentKeys.has(key)).length;
+  const trivial = keys.length - substantive.length;
+  return matched + (matched * 2 > substantive.length ? trivial : 0);
+}
+
+/**
+ * Changed and agent-written lines of a PR diff, given the PR author's agent edits in the repository (repoPath is
+ * the edited file's path relative to the checkout, see repositoryPath)
+ * Returns { changedLines, aiLines }
+ */
+function matchPRDiff(files, edits) {
+  let changedLines = 0;
+  let aiLines = 0;
+
+  files.forEach(file => {
+    const fileEdits = edits.filter(edit => edit.repoPath === file.path);
+    const added = new Set(fileEdits.flatMap(edit => edit.added));
+    const removed = new Set(fileEdits.flatMap(edit => edit.removed));
+
+    file.hunks.forEach(hunk => {
+      changedLines += hunk.added.length + hunk.removed.length;
+      if (fileEdits.length === 0) return;
+      aiLines += matchLines(hunk.added, added) + matchLines(hunk.removed, removed);
+    });
+  });
+
+  return { changedLines, aiLines };
+}
+
+/**
+ * AI-authored LOC of a repository's merged feature PRs for a week (the PRs counted by analyzePRsForWeek)
+ * A PR's changed lines are its diff's added and removed lines. A line is agent-written when the PR author's agent
+ * added (or removed) the same line in the same file of the repository's checkout (see checkoutDirNames) between
+ * AI_AUTHORSHIP_LOOKBACK_DAYS before the PR was opened and its merge; whitespace is ignored. PRs whose diff could not
+ * be fetched are left out
+ * Returns { aiAuthoredLOCShare, aiAuthorship: { prs, changedLines, aiLines, byTicket: { [ticket]: { prs, changedLines,
+ *   aiLines, aiAuthoredShare } }, byPR: [{ number, ticket, developer, changedLines, aiLines, aiAuthoredShare }] } }
+ */
+function analyzeAIAuthorshipForWeek(week, repository, index) {
+  const featurePRs = filterPRsForWeek(fetchAllPRs(repository), week, repository);
+  const checkoutNames = checkoutDirNames(repository);
+  const editsByDeveloper = agentEditsByDeveloper(index);
+  const lookbackMs = CONFIG.AI_AUTHORSHIP_LOOKBACK_DAYS * 24 * 60 * 60 * 1000;
+
+  const byPR = [];
+  featurePRs.forEach(pr => {
+    const diff = fetchPRDiff(pr.number, repository);
+    if (diff === null) return;
+
+    const developer = pr.author ? developerForLogin(pr.author.login) : null;
+    const from = new Date(pr.createdAt).getTime() - lookbackMs;
+    const to = new Date(pr.mergedAt).getTime();
+    const edits = (editsByDeveloper[developer] || [])
+      .filter(edit => edit.timestamp >= from && edit.timestamp <= to)
+      .map(edit => ({ ...edit, repoPath: repositoryPath(edit, checkoutNames) }))
+      .filter(edit => edit.repoPath !== null);
+
+    const { changedLines, aiLines } = matchPRDiff(parseDiff(diff), edits);
+    byPR.push({
+      number: pr.number,
+      ticket: extractJiraTicket(pr.title),
+      developer,
+      changedLines,
+      aiLines,
+      aiAuthoredShare: share(aiLines, changedLines)
+    });
+  });
+
+  const byTicket = {};
+  byPR.forEach(pr => {
+    if (!byTicket[pr.ticket]) byTicket[pr.ticket] = { prs: 0, changedLines: 0, aiLines: 0, aiAuthoredShare: null };
+    byTicket[pr.ticket].prs++;
+    byTicket[pr.ticket].changedLines += pr.changedLines;
+    byTicket[pr.ticket].aiLines += pr.aiLines;
+  });
+  Object.values(byTicket).forEach(ticket => {
+    ticket.aiAuthoredShare = share(ticket.aiLines, ticket.changedLines);
+  });
+
+  const changedLines = byPR.reduce((sum, pr) => sum + pr.changedLines, 0);
+  const aiLines = byPR.reduce((sum, pr) => sum + pr.aiLines, 0);
+
+  return {
+    aiAuthoredLOCShare: share(aiLines, changedLines),
+    aiAuthorship: {
+      prs: byPR.length,
+      changedLines,
+      aiLines,
+      byTicket,
+      byPR
+    }
+  };
+}
+
+module.exports = {
+  analyzeAIAuthorshipForWeek,
+  matchPRDiff
+};
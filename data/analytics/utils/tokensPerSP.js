@@ -1,14 +1,15 @@
 // Correlate token usage with story points per week
-const { extractAllTokens } = require('../../transcripts/utils/tokenExtractor');
+const { tokensPerTicket } = require('../../transcripts/utils/tokenExtractor');
 const { getStoryPointsForTickets, extractJiraTicket } = require('../../jira/utils/jiraApi');
 const { fetchAllPRs } = require('../../github/utils/prAnalysis');
 const { isInWeek } = require('../../shared/utils/dateUtils');
+const { isRepositoryTicket } = require('../../shared/utils/repositories');
 const CONFIG = require('../../config');
 
 /**
  * Build ticket -> PR mapping (only merged PRs)
  */
-function buildTicketToPRMapping(prs, week) {
+function buildTicketToPRMapping(prs, week, repository) {
   const ticketToPR = {};
 
   prs.forEach(pr => {
@@ -16,7 +17,7 @@ function buildTicketToPRMapping(prs, week) {
     if (pr.state !== 'MERGED') return;
 
     const ticket = extractJiraTicket(pr.title);
-    if (!ticket) return;
+    if (!ticket || !isRepositoryTicket(repository, ticket)) return;
 
     const createdAt = new Date(pr.createdAt);
 
@@ -35,17 +36,19 @@ function buildTicketToPRMapping(prs, week) {
 }
 
 /**
- * Calculate tokens per story point for a given week
+ * Calculate tokens per story point for a repository in a given week
+ * Tokens per ticket come from the shared transcript index (null when transcripts could not be read); allPRs are the
+ * PRs of every repository, for open-PR attribution, so tickets get the same tokens as in the attribution metrics
  * Returns structured data for the orchestrator
  */
-async function calculateTokensPerSPForWeek(week) {
+function calculateTokensPerSPForWeek(week, repository, index, allPRs = null) {
   try {
-    // 1. Extract all tokens from transcripts
-    const allTokensByTicket = await extractAllTokens();
+    // 1. Get the repository's PRs, and the tokens per ticket (PRs open at the time attribute the remaining tokens)
+    const prs = fetchAllPRs(repository);
+    const allTokensByTicket = index ? tokensPerTicket(index, allPRs) : {};
 
-    // 2. Get all PRs and build ticket mapping for this week
-    const allPRs = fetchAllPRs();
-    const ticketToPR = buildTicketToPRMapping(allPRs, week);
+    // 2. Build ticket mapping for this week
+    const ticketToPR = buildTicketToPRMapping(prs, week, repository);
 
     if (Object.keys(ticketToPR).length === 0) {
       return {
@@ -65,6 +68,8 @@ async function calculateTokensPerSPForWeek(week) {
 
     // 4. Calculate totals for this week
     let weekTotalTokens = 0;
+    let weekMainTokens = 0;
+    let weekSubagentTokens = 0;
     let weekTotalSP = 0;
     let weekTotalSPAllTickets = 0; // Total SP including tickets without tokens
 
@@ -78,11 +83,16 @@ async function calculateTokensPerSPForWeek(week) {
         weekTotalSPAllTickets += jira.storyPoints;
         prInfo.storyPoints = jira.storyPoints;
 
-        // Only count tokens if they exist
+        // Only count tokens if they exist (main agent + subagents)
         if (tokens) {
           weekTotalTokens += tokens.total;
+          weekMainTokens += tokens.main.total;
+          weekSubagentTokens += tokens.subagent.total;
           weekTotalSP += jira.storyPoints;
           prInfo.tokens = tokens.total;
+          prInfo.mainAgentTokens = tokens.main.total;
+          prInfo.subagentTokens = tokens.subagent.total;
+          prInfo.attributionConfidence = tokens.confidence;
         }
       }
     });
@@ -93,6 +103,8 @@ async function calculateTokensPerSPForWeek(week) {
       tokensPerSP: tokensPerSP,
       storyPoints: weekTotalSPAllTickets > 0 ? weekTotalSPAllTickets : null, // Return ALL story points
       totalTokens: weekTotalTokens > 0 ? weekTotalTokens : null,
+      mainAgentTokens: weekTotalTokens > 0 ? weekMainTokens : null,
+      subagentTokens: weekTotalTokens > 0 ? weekSubagentTokens : null,
       ticketDetails: ticketToPR  // For debugging/detailed analysis
     };
   } catch (error) {
@@ -107,15 +119,18 @@ async function calculateTokensPerSPForWeek(week) {
 
 /**
  * Calculate cost metrics from Bedrock costs CSV
+ * Falls back to the cost estimated from transcript tokens when the billing export has no data for the week
  */
-function calculateCostMetrics(week, totalTokens, storyPoints, featurePRs, totalLOC) {
+function calculateCostMetrics(week, totalTokens, storyPoints, featurePRs, totalLOC, estimatedCost = null) {
   const { getCostsForWeek } = require('./bedrockCostParser');
   const costs = getCostsForWeek(week);
+  const cost = costs.claudeCost || estimatedCost;
 
   // If no cost data available, return nulls
-  if (!costs.claudeCost) {
+  if (!cost) {
     return {
       totalCost: null,
+      costSource: null,
       costPerLOC: null,
       costPerPR: null,
       costPerSP: null
@@ -123,12 +138,13 @@ function calculateCostMetrics(week, totalTokens, storyPoints, featurePRs, totalL
   }
 
   // Calculate derived metrics
-  const costPerLOC = totalLOC > 0 ? parseFloat((costs.claudeCost / totalLOC).toFixed(4)) : null;
-  const costPerPR = featurePRs > 0 ? parseFloat((costs.claudeCost / featurePRs).toFixed(2)) : null;
-  const costPerSP = storyPoints > 0 ? parseFloat((costs.claudeCost / storyPoints).toFixed(2)) : null;
+  const costPerLOC = totalLOC > 0 ? parseFloat((cost / totalLOC).toFixed(4)) : null;
+  const costPerPR = featurePRs > 0 ? parseFloat((cost / featurePRs).toFixed(2)) : null;
+  const costPerSP = storyPoints > 0 ? parseFloat((cost / storyPoints).toFixed(2)) : null;
 
   return {
-    totalCost: costs.claudeCost,
+    totalCost: cost,
+    costSource: costs.claudeCost ? 'bedrock' : 'transcript-estimate',
     costPerLOC: costPerLOC,
     costPerPR: costPerPR,
     costPerSP: costPerSP
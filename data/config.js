@@ -1,6 +1,7 @@
 // Centralized configuration and environment loading
 const fs = require('fs');
 const path = require('path');
+const { buildWeekCalendar } = require('./shared/utils/weekCalendar');
 
 function loadEnv() {
   const envPath = path.join(__dirname, '../.env');
@@ -21,9 +22,52 @@ function loadEnv() {
 loadEnv();
 
 const CONFIG = {
-  // Repository
-  REPO: 'hmcts/cath-service',
-  PROJECT_KEY: 'hmcts.cath',
+  // Repositories measured; metrics are computed per repository and rolled up into a portfolio view
+  REPOSITORIES: [
+    {
+      name: 'cath-service',
+      repo: 'hmcts/cath-service',
+      sonarProjectKey: 'hmcts.cath',
+      jiraProjectPrefix: 'VIBE',
+      nktModuleCount: 13,
+      // Infrastructure/setup work
+      excludedDevelopers: ['linosnort', 'linus-norton', 'linusnorton', 'ashwini-mv', 'melvchance', 'jla1002'],
+      excludedTickets: [
+        'VIBE-207','VIBE-163','VIBE-164','VIBE-165','VIBE-170','VIBE-171','VIBE-172','VIBE-173','VIBE-176','VIBE-182','VIBE-193','VIBE-194','VIBE-197','VIBE-198','VIBE-211','VIBE-212','VIBE-213','VIBE-217','VIBE-218',
+      ]
+    }
+  ],
+
+  // Transcript folder name -> GitHub login, for developers whose folder is not named after their login
+  // (see shared/utils/developers.js); folders not listed are taken to be the login
+  DEVELOPER_LOGINS: {},
+
+  // Reports show stable pseudonyms instead of developer logins unless run with --real-names.
+  // Pseudonyms are salted so they cannot be reversed by hashing known logins: PSEUDONYM_SALT (e.g. in .env), else a
+  // random salt generated on first use and kept in PSEUDONYM_SALT_FILE (git-ignored; share it to get the same pseudonyms)
+  PSEUDONYMISE_DEVELOPERS: true,
+  PSEUDONYM_SALT: process.env.PSEUDONYM_SALT || '',
+  PSEUDONYM_SALT_FILE: path.join(__dirname, '.pseudonymSalt'),
+
+  // Name of the team profile applied with --profile (see shared/utils/profileLoader.js)
+  PROFILE_NAME: null,
+
+  // NK/T: N = number of modules in the codebase, used when a repository does not set nktModuleCount
+  NKT_MODULE_COUNT: 13,
+
+  // Bedrock costs are billed in USD; the report shows GBP
+  USD_TO_GBP: 0.750,
+
+  // USD per million tokens, used to estimate cost from transcript usage (see transcripts/utils/modelUsage.js)
+  // The first entry whose pattern (case-insensitive regex) matches the model id is used; thinking is billed as output
+  MODEL_PRICES: [
+    { name: 'Claude Opus 4.5', pattern: 'opus-4-5', input: 5, output: 25, cacheWrite: 6.25, cacheRead: 0.50 },
+    { name: 'Claude Opus 4', pattern: 'opus-4', input: 15, output: 75, cacheWrite: 18.75, cacheRead: 1.50 },
+    { name: 'Claude Sonnet 4', pattern: 'sonnet-4', input: 3, output: 15, cacheWrite: 3.75, cacheRead: 0.30 },
+    { name: 'Claude Haiku 4.5', pattern: 'haiku-4-5', input: 1, output: 5, cacheWrite: 1.25, cacheRead: 0.10 },
+    { name: 'Claude 3.5 Haiku', pattern: '3-5-haiku', input: 0.80, output: 4, cacheWrite: 1, cacheRead: 0.08 },
+    { name: 'Claude 3 Haiku', pattern: '3-haiku', input: 0.25, output: 1.25, cacheWrite: 0.30, cacheRead: 0.03 }
+  ],
 
   // API Tokens
   SONAR_TOKEN: process.env.SONAR_TOKEN,
@@ -32,31 +76,88 @@ const CONFIG = {
   JIRA_BOARD_ID: '3111',
 
   // File paths
+  WEEKLY_DATA_FILE: path.join(__dirname, 'weeklyData.json'),
   BEDROCK_COSTS_FILE: path.join(__dirname, 'Costs/merged-bedrock-costs.csv'),
   TRANSCRIPTS_DIR: path.join(__dirname, 'transcripts/files'),
   ANALYTICS_DIR: path.join(__dirname, '../.claude/analytics-v2'),
+  TRANSCRIPT_EXPORTS_DIR: path.join(__dirname, 'transcripts/exports'),
+  TOKEN_BREAKDOWN_FILE: path.join(__dirname, 'costForecasting/token_breakdown_by_week.csv'),
+  PROMPT_TAXONOMY_FILE: path.join(__dirname, 'transcripts/promptTaxonomy.yaml'),
+  PROMPT_LABELS_FILE: path.join(__dirname, 'transcripts/promptLabels.json'),
+
+  // Response cache (see shared/utils/diskCache.js); merged PRs and closed tickets never expire
+  CACHE_DIR: path.join(__dirname, '../.cache'),
+  CACHE_ENABLED: true,
+  CACHE_TTL_MINUTES: {
+    github: 30,
+    jira: 24 * 60,
+    sonar: 24 * 60
+  },
+  JIRA_CLOSED_STATUSES: ['Done', 'Closed', 'Resolved'],
+
+  // External API mode: 'live', 'record' or 'replay' (see shared/utils/externalCall.js)
+  API_MODE: 'live',
+  API_FIXTURES_DIR: null,
 
   // Metrics
   METRICS: 'coverage,vulnerabilities,duplicated_lines_density,sqale_rating,reliability_rating,security_rating,bugs,code_smells',
   MAX_PRS: 100,
 
-  // Exclusions
-  EXCLUDED_TICKETS: [
-    'VIBE-207','VIBE-163','VIBE-164','VIBE-165','VIBE-170','VIBE-171','VIBE-172','VIBE-173','VIBE-176','VIBE-182','VIBE-193','VIBE-194','VIBE-197','VIBE-198','VIBE-211','VIBE-212','VIBE-213','VIBE-217','VIBE-218',
-  ],
+  // Week calendar - WEEKS is generated from this, see shared/utils/weekCalendar.js
+  CALENDAR: {
+    START_DATE: '2025-10-07',
+    WEEK_START_DAY: 1, // Monday
+    WORKING_DAYS: 5,   // Monday-Friday
+    SKIP_WEEKS: ['2025-12-22', '2025-12-29'] // Christmas and New Year
+  },
+
+  // First date with complete transcript coverage (earlier weeks are excluded from transcript metrics)
+  TRANSCRIPT_COVERAGE_START: '2025-10-27',
+
+  // Gaps between transcript entries of this many minutes or more count as idle time
+  SESSION_IDLE_GAP_MINUTES: 30,
+
+  // Confidence of each ticket attribution signal (see transcripts/utils/ticketAttribution.js), strongest first:
+  // workflow <command-args>, git branch, ticket ID in a prompt, the next git commit / gh pr create in the session,
+  // the last one before, and a PR the developer had open at the time
+  TICKET_ATTRIBUTION_CONFIDENCE: {
+    workflow: 1,
+    branch: 0.9,
+    prompt: 0.8,
+    commit: 0.7,
+    priorCommit: 0.5,
+    openPR: 0.4
+  },
 
-  // Week definitions
-  WEEKS: [
-    { name: 'Week 1', start: '2025-10-07', end: '2025-10-10', period: 'Oct 7-10' },
-    { name: 'Week 2', start: '2025-10-13', end: '2025-10-17', period: 'Oct 13-17' },
-    { name: 'Week 3', start: '2025-10-20', end: '2025-10-24', period: 'Oct 20-24' },
-    { name: 'Week 4', start: '2025-10-27', end: '2025-10-31', period: 'Oct 27-31' },
-    { name: 'Week 5', start: '2025-11-03', end: '2025-11-07', period: 'Nov 3-7' },
-    { name: 'Week 6', start: '2025-11-10', end: '2025-11-14', period: 'Nov 10-14' },
-    { name: 'Week 7', start: '2025-11-17', end: '2025-11-21', period: 'Nov 17-21' },
-    { name: 'Week 8', start: '2025-11-24', end: '2025-11-28', period: 'Nov 24-28' },
-    { name: 'Week 9', start: '2025-12-01', end: '2025-12-05', period: 'Dec 1-5' }
+  // Prompt cache reuse (see transcripts/utils/cacheEfficiency.js): sessions with at least CACHE_MIN_SESSION_TOKENS
+  // input tokens whose cache hit ratio is CACHE_POOR_HIT_RATIO_GAP or more below the week's median are flagged
+  CACHE_MIN_SESSION_TOKENS: 50000,
+  CACHE_POOR_HIT_RATIO_GAP: 0.2,
+
+  // AI-authored LOC (see analytics/utils/aiAuthorship.js): agent edits by the PR author count towards a PR from
+  // this many days before it was opened until it was merged
+  AI_AUTHORSHIP_LOOKBACK_DAYS: 14,
+
+  // Bash commands that run tests (see transcripts/utils/testRuns.js), a case-insensitive regex: test runners run
+  // directly or through npx/yarn/pnpm/bunx, and npm/yarn/pnpm/bun test scripts
+  TEST_COMMAND_PATTERN: '(^|[;&|(]\\s*|\\b(npx|pnpm|yarn|bunx)\\s+(exec\\s+)?)(\\w+=\\S*\\s+)*(vitest|jest|playwright\\s+test|mocha|pytest)(?![.\\w-])|\\b(npm|yarn|pnpm|bun)\\s+(run\\s+)?test(:[\\w:-]+)?(?![\\w.-])|\\b(go|cargo)\\s+test\\b',
+
+  // Tool error classes (see transcripts/utils/toolErrorClassification.js): the first matching rule wins,
+  // patterns are case-insensitive regexes over the error text, tools limits a rule to those tools
+  TOOL_ERROR_RULES: [
+    { category: 'user_rejected', pattern: "user doesn't want to proceed|tool use was rejected|rejected by (the )?user" },
+    { category: 'edit_not_matched', pattern: 'string to replace not found|found \\d+ matches of the string to replace|old_string and new_string are exactly the same', tools: ['Edit', 'MultiEdit'] },
+    { category: 'file_not_read', pattern: 'file has not been read yet|file has been modified since read' },
+    { category: 'file_not_found', pattern: 'ENOENT|no such file or directory|file does not exist|path does not exist' },
+    { category: 'permission_denied', pattern: 'EACCES|EPERM|permission denied|operation not permitted' },
+    { category: 'command_not_found', pattern: 'command not found|is not recognized as an internal or external command' },
+    { category: 'timeout', pattern: 'timed out|timeout|ETIMEDOUT' },
+    { category: 'test_failure', pattern: 'tests?:\\s+\\d+ failed|test files\\s+\\d+ failed|\\d+ failing|(^|\\n)\\s*FAIL\\s|AssertionError|expected .* to (be|equal)' },
+    { category: 'type_error', pattern: 'error TS\\d+|TypeError|SyntaxError|type .* is not assignable|cannot find module|compilation failed|build failed' }
   ]
 };
 
+// Week definitions ({ name, start, end, period }) from the programme start through today
+CONFIG.WEEKS = buildWeekCalendar(CONFIG.CALENDAR);
+
 module.exports = CONFIG;
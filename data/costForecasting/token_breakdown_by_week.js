@@ -1,47 +1,25 @@
+#!/usr/bin/env node
+
 const fs = require('fs');
 const path = require('path');
-const readline = require('readline');
-
-// Week definitions starting from Week 4 (first partial transcript coverage)
-const weeks = [
-  { week: 'Week 4', start: '27/10/2025', end: '31/10/2025' },
-  { week: 'Week 5', start: '03/11/2025', end: '07/11/2025' },
-  { week: 'Week 6', start: '10/11/2025', end: '14/11/2025' },
-  { week: 'Week 7', start: '17/11/2025', end: '21/11/2025' },
-  { week: 'Week 8', start: '24/11/2025', end: '28/11/2025' },
-  { week: 'Week 9', start: '01/12/2025', end: '05/12/2025' },
-  { week: 'Week 10', start: '08/12/2025', end: '12/12/2025' },
-  { week: 'Week 11', start: '15/12/2025', end: '19/12/2025' },
-  // Add more weeks as needed
-];
-
-const transcriptDir = path.join(__dirname, '../transcripts/files');
-const outputFile = path.join(__dirname, 'token_breakdown_by_week.csv');
-
-// Initialize data structure for each week
-const weeklyTokens = weeks.map(w => ({
-  week: w.week,
-  period: `${w.start} to ${w.end}`,
-  input_tokens: 0,
-  cache_creation_input_tokens: 0,
-  cache_read_input_tokens: 0,
-  output_tokens: 0,
-  total_tokens: 0,
-  message_count: 0
-}));
-
-// Function to parse UK date format (DD/MM/YYYY) to Date object
-function parseUKDate(dateStr) {
-  const [day, month, year] = dateStr.split('/');
-  return new Date(`${year}-${month}-${day}`);
+const CONFIG = require('../config');
+const { loadTranscriptIndex } = require('../transcripts/utils/transcriptIndex');
+
+// Weeks from the first transcript coverage onwards, generated from the shared calendar
+const weeks = CONFIG.WEEKS.filter(w => w.start >= CONFIG.TRANSCRIPT_COVERAGE_START);
+
+// Function to format an ISO date (YYYY-MM-DD) as UK format (DD/MM/YYYY)
+function formatUKDate(dateStr) {
+  const [year, month, day] = dateStr.split('-');
+  return `${day}/${month}/${year}`;
 }
 
 // Function to determine which week a timestamp belongs to
-function getWeekIndex(timestamp) {
+function getWeekIndex(timestamp, selectedWeeks) {
   const date = new Date(timestamp);
-  for (let i = 0; i < weeks.length; i++) {
-    const start = new Date(parseUKDate(weeks[i].start).toISOString().split('T')[0] + 'T00:00:00Z');
-    const end = new Date(parseUKDate(weeks[i].end).toISOString().split('T')[0] + 'T23:59:59Z');
+  for (let i = 0; i < selectedWeeks.length; i++) {
+    const start = new Date(selectedWeeks[i].start + 'T00:00:00Z');
+    const end = new Date(selectedWeeks[i].end + 'T23:59:59Z');
     if (date >= start && date <= end) {
       return i;
     }
@@ -49,79 +27,49 @@ function getWeekIndex(timestamp) {
   return -1; // Not in any defined week
 }
 
-// Function to recursively find all JSONL files
-function findTranscriptFiles(dir) {
-  const files = [];
-
-  function traverse(currentPath) {
-    const entries = fs.readdirSync(currentPath, { withFileTypes: true });
-
-    for (const entry of entries) {
-      const fullPath = path.join(currentPath, entry.name);
-
-      if (entry.isDirectory()) {
-        traverse(fullPath);
-      } else if (entry.isFile() && entry.name.endsWith('.jsonl')) {
-        files.push(fullPath);
-      }
-    }
+// Function to add one usage event from the transcript index to its week
+function addUsage(usage, selectedWeeks, weeklyTokens) {
+  const weekIndex = getWeekIndex(usage.timestamp, selectedWeeks);
+  if (weekIndex < 0) return;
+
+  const week = weeklyTokens[weekIndex];
+  week.input_tokens += usage.input;
+  week.cache_creation_input_tokens += usage.cacheCreation;
+  week.cache_read_input_tokens += usage.cacheRead;
+  week.output_tokens += usage.output;
+  week.message_count++;
+
+  // Subagent (agent-*.jsonl) usage is included above and also reported separately
+  if (usage.isSubagent) {
+    week.subagent_tokens += usage.input + usage.cacheCreation + usage.cacheRead + usage.output;
   }
-
-  traverse(dir);
-  return files;
 }
 
-// Function to process a single JSONL file
-async function processTranscriptFile(filePath) {
-  const fileStream = fs.createReadStream(filePath);
-  const rl = readline.createInterface({
-    input: fileStream,
-    crlfDelay: Infinity
-  });
-
-  for await (const line of rl) {
-    try {
-      const entry = JSON.parse(line);
-
-      // Only process assistant messages with usage data
-      if (entry.type === 'assistant' && entry.message && entry.message.usage) {
-        const weekIndex = getWeekIndex(entry.timestamp);
-
-        if (weekIndex >= 0) {
-          const usage = entry.message.usage;
-          const week = weeklyTokens[weekIndex];
-
-          // Add token counts
-          week.input_tokens += usage.input_tokens || 0;
-          week.cache_creation_input_tokens += usage.cache_creation_input_tokens || 0;
-          week.cache_read_input_tokens += usage.cache_read_input_tokens || 0;
-          week.output_tokens += usage.output_tokens || 0;
-
-          week.message_count++;
-        }
-      }
-    } catch (error) {
-      // Skip malformed JSON lines
-      console.error(`Error parsing line in ${filePath}: ${error.message}`);
-    }
-  }
-}
-
-// Main execution
-async function main() {
-  console.log('Finding transcript files...');
-  const transcriptFiles = findTranscriptFiles(transcriptDir);
-  console.log(`Found ${transcriptFiles.length} transcript files`);
-
-  console.log('Processing transcripts...');
-  let processedCount = 0;
-  for (const file of transcriptFiles) {
-    await processTranscriptFile(file);
-    processedCount++;
-    if (processedCount % 10 === 0) {
-      console.log(`Processed ${processedCount}/${transcriptFiles.length} files...`);
-    }
-  }
+/**
+ * Write the weekly token breakdown CSV used for cost forecasting
+ * Options: weeks (defaults to weeks with transcript coverage), output (CSV path)
+ */
+async function generateTokenBreakdown(options = {}) {
+  const selectedWeeks = options.weeks || weeks;
+  const outputFile = options.output ? path.resolve(options.output) : CONFIG.TOKEN_BREAKDOWN_FILE;
+
+  // Initialize data structure for each week
+  const weeklyTokens = selectedWeeks.map(w => ({
+    week: w.name,
+    period: `${formatUKDate(w.start)} to ${formatUKDate(w.end)}`,
+    input_tokens: 0,
+    cache_creation_input_tokens: 0,
+    cache_read_input_tokens: 0,
+    output_tokens: 0,
+    total_tokens: 0,
+    main_agent_tokens: 0,
+    subagent_tokens: 0,
+    message_count: 0
+  }));
+
+  console.log('Indexing transcripts...');
+  const index = await loadTranscriptIndex();
+  index.events.usage.forEach(usage => addUsage(usage, selectedWeeks, weeklyTokens));
 
   // Calculate totals and percentages
   weeklyTokens.forEach(week => {
@@ -130,6 +78,7 @@ async function main() {
       week.cache_creation_input_tokens +
       week.cache_read_input_tokens +
       week.output_tokens;
+    week.main_agent_tokens = week.total_tokens - week.subagent_tokens;
 
     // Calculate percentages
     if (week.total_tokens > 0) {
@@ -159,7 +108,9 @@ async function main() {
     'Output',
     'Output %',
     'Total Tokens',
-    'Message Count'
+    'Message Count',
+    'Main Agent Tokens',
+    'Subagent Tokens'
   ];
 
   const csvLines = [csvHeaders.join(',')];
@@ -177,7 +128,9 @@ async function main() {
       week.output_tokens,
       week.output_pct,
       week.total_tokens,
-      week.message_count
+      week.message_count,
+      week.main_agent_tokens,
+      week.subagent_tokens
     ].join(','));
   });
 
@@ -192,9 +145,15 @@ async function main() {
     console.log(`  Cache creation input: ${week.cache_creation_input_tokens.toLocaleString()} (${week.cache_creation_pct}%)`);
     console.log(`  Cache read input: ${week.cache_read_input_tokens.toLocaleString()} (${week.cache_read_pct}%)`);
     console.log(`  Output: ${week.output_tokens.toLocaleString()} (${week.output_pct}%)`);
-    console.log(`  Total: ${week.total_tokens.toLocaleString()}`);
+    console.log(`  Total: ${week.total_tokens.toLocaleString()} (main agent ${week.main_agent_tokens.toLocaleString()}, subagents ${week.subagent_tokens.toLocaleString()})`);
     console.log(`  Messages: ${week.message_count}`);
   });
+
+  return weeklyTokens;
 }
 
-main().catch(console.error);
+module.exports = { generateTokenBreakdown, weeks };
+
+if (require.main === module) {
+  require('../../cli/commands').runCommand(['forecast'], process.argv.slice(2));
+}
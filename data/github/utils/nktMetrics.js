@@ -1,8 +1,8 @@
 // NK/T (throughput) metrics calculation
-const { execSync } = require('child_process');
 const CONFIG = require('../../config');
 const { filterPRsForWeek } = require('./prUtils');
 const { fetchAllPRs } = require('./prAnalysis');
+const { developerForLogin } = require('../../shared/utils/developers');
 
 /**
  * Calculate business days between two dates (excluding weekends)
@@ -25,17 +25,18 @@ function calculateBusinessDays(startDate, endDate) {
 }
 
 /**
- * Calculate NK/T metrics for a given week
+ * Calculate NK/T metrics for a repository in a given week
  * Returns normalized knowledge throughput
  */
-function calculateNKTForWeek(week) {
-  const allPRs = fetchAllPRs();
-  const featurePRs = filterPRsForWeek(allPRs, week);
+function calculateNKTForWeek(week, repository) {
+  const allPRs = fetchAllPRs(repository);
+  const featurePRs = filterPRsForWeek(allPRs, week, repository);
 
   if (featurePRs.length === 0) {
     return {
       nkt: null,
-      cycleTime: null
+      cycleTime: null,
+      cycleTimeByDeveloper: {}
     };
   }
 
@@ -48,12 +49,19 @@ function calculateNKTForWeek(week) {
 
   // Calculate cycle times (business days only)
   const cycleTimes = [];
+  const cycleTimesByDeveloper = {};
   featurePRs.forEach(pr => {
     if (pr.mergedAt) {
       const created = new Date(pr.createdAt);
       const merged = new Date(pr.mergedAt);
       const cycleTimeBusinessDays = calculateBusinessDays(created, merged);
       cycleTimes.push(cycleTimeBusinessDays);
+
+      const developer = pr.author ? developerForLogin(pr.author.login) : null;
+      if (developer) {
+        if (!cycleTimesByDeveloper[developer]) cycleTimesByDeveloper[developer] = [];
+        cycleTimesByDeveloper[developer].push(cycleTimeBusinessDays);
+      }
     }
   });
 
@@ -61,11 +69,16 @@ function calculateNKTForWeek(week) {
     ? cycleTimes.reduce((a, b) => a + b, 0) / cycleTimes.length
     : null;
 
+  const cycleTimeByDeveloper = {};
+  Object.entries(cycleTimesByDeveloper).forEach(([developer, times]) => {
+    cycleTimeByDeveloper[developer] = parseFloat((times.reduce((a, b) => a + b, 0) / times.length).toFixed(2));
+  });
+
   // Calculate NK/T
   // N = number of modules in the codebase
   // K = number of experiments (always 1 for this experiment)
   // T = average cycle time
-  const N = 13; // Number of modules in codebase
+  const N = repository.nktModuleCount || CONFIG.NKT_MODULE_COUNT; // Number of modules in codebase
   const K = 1;  // Single experiment
   const T = avgCycleTime || 1;
 
@@ -73,7 +86,8 @@ function calculateNKTForWeek(week) {
 
   return {
     nkt: parseFloat(nkt.toFixed(2)),
-    cycleTime: avgCycleTime ? parseFloat(avgCycleTime.toFixed(2)) : null
+    cycleTime: avgCycleTime ? parseFloat(avgCycleTime.toFixed(2)) : null,
+    cycleTimeByDeveloper
   };
 }
 
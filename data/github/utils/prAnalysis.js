@@ -1,48 +1,58 @@
 // Comprehensive PR analysis for a given week
-const { execSync } = require('child_process');
-const CONFIG = require('../../config');
 const { filterPRsForWeek, fetchPRDetails, countDeveloperComments, extractJiraTicket, calculateLocPerDev } = require('./prUtils');
 const { aggregateSonarMetrics } = require('../../quality/utils/sonarUtils');
+const { fetchWithCache } = require('../../shared/utils/diskCache');
+const { runExternal } = require('../../shared/utils/externalCall');
+const { developerForLogin } = require('../../shared/utils/developers');
 
 /**
- * Fetch all PRs from repository (cached for performance)
+ * Fetch all PRs from a repository (cached in memory and on disk for performance)
  */
-let cachedPRs = null;
-let cacheTimestamp = null;
+const prCache = {}; // repo slug -> { prs, timestamp }
 const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
 
-function fetchAllPRs() {
+function fetchAllPRs(repository) {
   const now = Date.now();
+  const cached = prCache[repository.repo];
 
   // Return cached data if still valid
-  if (cachedPRs && cacheTimestamp && (now - cacheTimestamp < CACHE_TTL)) {
-    return cachedPRs;
+  if (cached && (now - cached.timestamp < CACHE_TTL)) {
+    return cached.prs;
   }
 
-  console.log('  Fetching PRs from GitHub...');
   const searchQuery = 'created:>=2025-10-01';
-  const prListJson = execSync(
-    `gh pr list --repo ${CONFIG.REPO} --search "${searchQuery}" --limit 500 --json number,title,state,author,createdAt,mergedAt,additions,deletions --state all`,
-    { encoding: 'utf8' }
-  );
+  const fields = 'number,title,state,author,createdAt,mergedAt,additions,deletions';
 
-  cachedPRs = JSON.parse(prListJson);
-  cacheTimestamp = now;
+  const request = { command: 'pr list', repo: repository.repo, search: searchQuery, fields };
 
-  return cachedPRs;
+  const prs = fetchWithCache('github', request, () => {
+    console.log(`  Fetching PRs from GitHub (${repository.repo})...`);
+    const prListJson = runExternal(
+      'github',
+      request,
+      `gh pr list --repo ${repository.repo} --search "${searchQuery}" --limit 500 --json ${fields} --state all`
+    );
+    return JSON.parse(prListJson);
+  });
+  prCache[repository.repo] = { prs, timestamp: now };
+
+  return prs;
 }
 
 /**
- * Analyze PRs for a given week
+ * Analyze a repository's PRs for a given week
  * Returns structured metrics for the orchestrator
  */
-function analyzePRsForWeek(week) {
-  const allPRs = fetchAllPRs();
-  const featurePRs = filterPRsForWeek(allPRs, week);
+function analyzePRsForWeek(week, repository) {
+  const allPRs = fetchAllPRs(repository);
+  const featurePRs = filterPRsForWeek(allPRs, week, repository);
 
   if (featurePRs.length === 0) {
     return {
       featurePRs: 0,
+      totalLOC: 0,
+      prAuthors: [],
+      prsByDeveloper: {},
       locPerPR: null,
       locPerDev: 0,
       commentsPerPR: null,
@@ -62,10 +72,19 @@ function analyzePRsForWeek(week) {
   const totalLOC = featurePRs.reduce((sum, pr) => sum + (pr.additions || 0) + (pr.deletions || 0), 0);
   const avgLocPerPR = Math.round(totalLOC / featurePRs.length);
 
+  // PRs and LOC per developer, keyed like the transcript developers (see shared/utils/developers.js)
+  const prsByDeveloper = {};
+  Object.entries(locMetrics.devLOC).forEach(([login, loc]) => {
+    const developer = developerForLogin(login);
+    if (!prsByDeveloper[developer]) prsByDeveloper[developer] = { prs: 0, totalLOC: 0 };
+    prsByDeveloper[developer].prs += loc.prs;
+    prsByDeveloper[developer].totalLOC += loc.totalLOC;
+  });
+
   // Fetch comments for each PR
   const commentCounts = [];
   featurePRs.forEach(pr => {
-    const prDetail = fetchPRDetails(pr.number);
+    const prDetail = fetchPRDetails(pr.number, repository);
     if (prDetail) {
       const comments = countDeveloperComments(prDetail);
       commentCounts.push(comments.total);
@@ -78,7 +97,7 @@ function analyzePRsForWeek(week) {
 
   // Fetch SonarCloud metrics
   const prNumbers = featurePRs.map(pr => pr.number);
-  const sonarMetrics = aggregateSonarMetrics(prNumbers);
+  const sonarMetrics = aggregateSonarMetrics(prNumbers, repository);
 
   // Extract JIRA tickets from PR titles
   const { extractJiraTicket } = require('../../jira/utils/jiraApi');
@@ -88,6 +107,9 @@ function analyzePRsForWeek(week) {
 
   return {
     featurePRs: featurePRs.length,
+    totalLOC,
+    prAuthors: Object.keys(locMetrics.devLOC),
+    prsByDeveloper,
     locPerPR: avgLocPerPR,
     locPerDev: locMetrics.avgLOCPerDev,
     commentsPerPR: avgComments ? parseFloat(avgComments.toFixed(2)) : null,
@@ -1,16 +1,7 @@
 // PR analysis utility functions
-const { execSync } = require('child_process');
-const CONFIG = require('../../config');
-
-// Exclude these developers (infrastructure/setup work)
-const EXCLUDED_DEVELOPERS = [
-  'linosnort',
-  'linus-norton',
-  'linusnorton',
-  'ashwini-mv',
-  'melvchance',
-  'jla1002'
-];
+const { fetchWithCache } = require('../../shared/utils/diskCache');
+const { runExternal } = require('../../shared/utils/externalCall');
+const { isRepositoryTicket } = require('../../shared/utils/repositories');
 
 /**
  * Extract JIRA ticket ID from text
@@ -36,39 +27,98 @@ function isDependencyUpdate(title) {
 }
 
 /**
- * Check if PR is for an excluded ticket
+ * Check if PR is for one of the repository's excluded tickets
  */
-function isExcludedTicket(title) {
+function isExcludedTicket(title, repository) {
   if (!title) return false;
-  return CONFIG.EXCLUDED_TICKETS.some(ticket => title.includes(ticket));
+  return (repository.excludedTickets || []).some(ticket => title.includes(ticket));
 }
 
 /**
- * Check if developer is excluded
+ * Check if developer is excluded for the repository
  */
-function isExcludedDeveloper(authorLogin) {
+function isExcludedDeveloper(authorLogin, repository) {
   if (!authorLogin) return false;
-  return EXCLUDED_DEVELOPERS.some(
-    excluded => authorLogin.toLowerCase().includes(excluded)
+  return (repository.excludedDevelopers || []).some(
+    excluded => authorLogin.toLowerCase().includes(excluded.toLowerCase())
   );
 }
 
 /**
  * Fetch PR details including comments and LOC changes
  */
-function fetchPRDetails(prNumber) {
+function fetchPRDetails(prNumber, repository) {
+  const fields = 'number,title,author,comments,reviews,state,additions,deletions';
+  const request = { command: 'pr view', repo: repository.repo, prNumber, fields };
+
   try {
-    const prJson = execSync(
-      `gh pr view ${prNumber} --repo ${CONFIG.REPO} --json number,title,author,comments,reviews,state,additions,deletions`,
-      { encoding: 'utf8' }
-    );
-    return JSON.parse(prJson);
+    return fetchWithCache('github', request, () => {
+      const prJson = runExternal(
+        'github',
+        request,
+        `gh pr view ${prNumber} --repo ${repository.repo} --json ${fields}`
+      );
+      return JSON.parse(prJson);
+    }, {
+      // Merged PRs no longer change
+      isImmutable: pr => pr.state === 'MERGED'
+    });
   } catch (error) {
     console.error(`Error fetching PR details for #${prNumber}:`, error.message);
     return null;
   }
 }
 
+/**
+ * Fetch a merged PR's unified diff (`gh pr diff`), or null when it cannot be fetched
+ */
+function fetchPRDiff(prNumber, repository) {
+  const request = { command: 'pr diff', repo: repository.repo, prNumber };
+
+  try {
+    return fetchWithCache('github', request, () => runExternal(
+      'github',
+      request,
+      `gh pr diff ${prNumber} --repo ${repository.repo}`,
+      { maxBuffer: 64 * 1024 * 1024 }
+    ), {
+      // Only merged PRs are diffed, and they no longer change
+      isImmutable: () => true
+    });
+  } catch (error) {
+    console.error(`Error fetching PR diff for #${prNumber}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Split a unified diff into files and hunks: [{ path, hunks: [{ added: [line], removed: [line] }] }]
+ * The ---/+++ file headers come before the first hunk and are skipped; binary files have no hunks
+ */
+function parseDiff(diff) {
+  const files = [];
+  let file = null;
+  let hunk = null;
+
+  (diff || '').split('\n').forEach(line => {
+    if (line.startsWith('diff --git ')) {
+      const match = line.match(/ b\/(.+)$/);
+      file = { path: match ? match[1] : null, hunks: [] };
+      hunk = null;
+      files.push(file);
+    } else if (file && line.startsWith('@@')) {
+      hunk = { added: [], removed: [] };
+      file.hunks.push(hunk);
+    } else if (hunk && line.startsWith('+')) {
+      hunk.added.push(line.slice(1));
+    } else if (hunk && line.startsWith('-')) {
+      hunk.removed.push(line.slice(1));
+    }
+  });
+
+  return files;
+}
+
 /**
  * Count developer comments (excluding bots and AI assistants)
  */
@@ -102,9 +152,9 @@ function countDeveloperComments(pr) {
 }
 
 /**
- * Filter PRs for a specific week
+ * Filter a repository's PRs for a specific week
  */
-function filterPRsForWeek(allPRs, week) {
+function filterPRsForWeek(allPRs, week, repository) {
   const startDate = new Date(week.start);
   const endDate = new Date(week.end);
   endDate.setHours(23, 59, 59, 999);
@@ -127,17 +177,17 @@ function filterPRsForWeek(allPRs, week) {
     }
 
     // Skip excluded tickets
-    if (isExcludedTicket(pr.title)) {
+    if (isExcludedTicket(pr.title, repository)) {
       return false;
     }
 
     // Skip excluded developers
-    if (pr.author && isExcludedDeveloper(pr.author.login)) {
+    if (pr.author && isExcludedDeveloper(pr.author.login, repository)) {
       return false;
     }
 
-    // Only include PRs with JIRA ticket IDs
-    if (!extractJiraTicket(pr.title)) {
+    // Only include PRs with JIRA ticket IDs from the repository's project
+    if (!isRepositoryTicket(repository, extractJiraTicket(pr.title))) {
       return false;
     }
 
@@ -180,12 +230,13 @@ function calculateLocPerDev(prs) {
 
 module.exports = {
   extractJiraTicket,
+  fetchPRDiff,
+  parseDiff,
   isDependencyUpdate,
   isExcludedTicket,
   isExcludedDeveloper,
   fetchPRDetails,
   countDeveloperComments,
   filterPRsForWeek,
-  calculateLocPerDev,
-  EXCLUDED_DEVELOPERS
+  calculateLocPerDev
 };
@@ -1,29 +1,44 @@
 // JIRA API integration utilities
-const { execSync } = require('child_process');
 const CONFIG = require('../../config');
+const { fetchWithCache } = require('../../shared/utils/diskCache');
+const { runExternal, hasCredentials, rateLimit } = require('../../shared/utils/externalCall');
 
 /**
  * Fetch story points for a single ticket from JIRA
  */
 function getStoryPoints(ticketId) {
-  if (!CONFIG.JIRA_TOKEN) {
+  if (!hasCredentials(CONFIG.JIRA_TOKEN)) {
     return null;
   }
 
   try {
     // customfield_10004 is the story points field in JIRA
     const url = `https://tools.hmcts.net/jira/rest/api/2/issue/${ticketId}?fields=customfield_10004,summary,status`;
-    const response = execSync(
-      `curl -s -H "Authorization: Bearer ${CONFIG.JIRA_TOKEN}" "${url}"`,
-      { encoding: 'utf8', maxBuffer: 10 * 1024 * 1024 }
-    );
 
-    const data = JSON.parse(response);
-    return {
-      storyPoints: data.fields?.customfield_10004 || null,
-      summary: data.fields?.summary || null,
-      status: data.fields?.status?.name || null
-    };
+    return fetchWithCache('jira', { url }, () => {
+      // Rate limiting (only when actually calling JIRA)
+      rateLimit(0.2);
+
+      const response = runExternal(
+        'jira',
+        { url },
+        `curl -s -H "Authorization: Bearer ${CONFIG.JIRA_TOKEN}" "${url}"`,
+        { maxBuffer: 10 * 1024 * 1024 }
+      );
+
+      const data = JSON.parse(response);
+      if (!data.fields) {
+        throw new Error(data.errorMessages ? data.errorMessages.join(', ') : 'no fields in response');
+      }
+      return {
+        storyPoints: data.fields?.customfield_10004 || null,
+        summary: data.fields?.summary || null,
+        status: data.fields?.status?.name || null
+      };
+    }, {
+      // Closed tickets no longer change
+      isImmutable: data => CONFIG.JIRA_CLOSED_STATUSES.includes(data.status)
+    });
   } catch (error) {
     console.error(`  Warning: Could not fetch data for ${ticketId}`);
     return null;
@@ -31,21 +46,16 @@ function getStoryPoints(ticketId) {
 }
 
 /**
- * Fetch story points for multiple tickets (with rate limiting)
+ * Fetch story points for multiple tickets (rate limited in getStoryPoints)
  */
 function getStoryPointsForTickets(ticketIds) {
   const results = {};
 
-  ticketIds.forEach((ticketId, index) => {
+  ticketIds.forEach(ticketId => {
     const data = getStoryPoints(ticketId);
     if (data) {
       results[ticketId] = data;
     }
-
-    // Rate limiting
-    if (index < ticketIds.length - 1) {
-      execSync('sleep 0.2');
-    }
   });
 
   return results;
@@ -65,7 +75,7 @@ function extractJiraTicket(text) {
  * This is more reliable than resolutiondate which may not be set consistently
  */
 function getStoryPointsCompletedForWeek(week, prTickets) {
-  if (!CONFIG.JIRA_TOKEN || !prTickets || prTickets.length === 0) {
+  if (!hasCredentials(CONFIG.JIRA_TOKEN) || !prTickets || prTickets.length === 0) {
     return { storyPoints: 0, issues: [] };
   }
 
@@ -2,140 +2,386 @@
 
 const CONFIG = require('../config');
 const { analyzeCompactionsForWeek } = require('../transcripts/utils/compactionUtils');
+const { analyzeContextWindowForWeek } = require('../transcripts/utils/contextWindow');
 const { analyzePromptCategoriesForWeek } = require('../transcripts/utils/categoryUtils');
 const { calculateInterruptionsForWeek } = require('../transcripts/utils/interruptionMetrics');
-const { fetchSonarMetricsForWeek } = require('../quality/utils/sonarUtils');
-const { analyzePRsForWeek } = require('../github/utils/prAnalysis');
+const { analyzeToolUsageForWeek } = require('../transcripts/utils/toolUsage');
+const { analyzeSessionsForWeek } = require('../transcripts/utils/sessionMetrics');
+const { analyzeModelUsageForWeek } = require('../transcripts/utils/modelUsage');
+const { analyzeWorkflowsForWeek } = require('../transcripts/utils/workflowUsage');
+const { analyzeCacheEfficiencyForWeek } = require('../transcripts/utils/cacheEfficiency');
+const { analyzeAttributionForWeek } = require('../transcripts/utils/ticketAttribution');
+const { analyzeTurnTimingForWeek } = require('../transcripts/utils/turnTiming');
+const { analyzeTestRunsForWeek } = require('../transcripts/utils/testRuns');
+const { analyzeDevelopersForWeek } = require('../transcripts/utils/developerMetrics');
+const { loadTranscriptIndex } = require('../transcripts/utils/transcriptIndex');
+const { fetchSonarMetricsForWeek, toQualityMetrics } = require('../quality/utils/sonarUtils');
+const { analyzePRsForWeek, fetchAllPRs } = require('../github/utils/prAnalysis');
 const { calculateNKTForWeek } = require('../github/utils/nktMetrics');
 const { calculateTokensPerSPForWeek, calculateCostMetrics } = require('../analytics/utils/tokensPerSP');
+const { analyzeAIAuthorshipForWeek } = require('../analytics/utils/aiAuthorship');
 const { getStoryPointsCompletedForWeek } = require('../jira/utils/jiraApi');
+const { rollupRepositoryMetrics, allocateCosts, combineDeveloperMetrics } = require('./utils/portfolioRollup');
+const { getRepositories } = require('../shared/utils/repositories');
 const { buildWeeklyData } = require('./utils/weeklyDataBuilder');
+const { loadTranscriptExports, loadTokenBreakdown, reconcileTranscriptMetrics } = require('./utils/transcriptMerger');
+const { printCacheStats } = require('../shared/utils/diskCache');
+const { getApiMode, assertReplayComplete } = require('../shared/utils/externalCall');
+
+/**
+ * Collect the GitHub, JIRA and SonarCloud metrics of one repository for a week
+ * The transcript index (null when transcripts could not be read) gives the tokens per ticket, with allPRs (the PRs of
+ * every repository) for open-PR attribution, and is used to estimate AI-authored LOC
+ */
+async function collectRepositoryMetrics(week, repository, transcriptIndex, allPRs) {
+  const metrics = {};
+
+  // GitHub/PR metrics
+  console.log(`  Analyzing GitHub PRs...`);
+  try {
+    const prData = analyzePRsForWeek(week, repository);
+    Object.assign(metrics, prData);
+    console.log(`    ✓ PRs: ${prData.featurePRs}, LOC/PR: ${prData.locPerPR}, LOC/Dev: ${prData.locPerDev}`);
+  } catch (err) {
+    console.log(`    ⚠ PR analysis: ${err.message}`);
+  }
+
+  // NK/T metrics
+  console.log(`  Calculating NK/T metrics...`);
+  try {
+    const nktData = calculateNKTForWeek(week, repository);
+    Object.assign(metrics, nktData);
+    console.log(`    ✓ NK/T: ${nktData.nkt}, Cycle Time: ${nktData.cycleTime} days`);
+  } catch (err) {
+    console.log(`    ⚠ NK/T calculation: ${err.message}`);
+  }
+
+  // Story points completed (from JIRA - based on PRs merged this week)
+  console.log(`  Fetching story points from JIRA...`);
+  try {
+    // Get tickets from PRs merged this week (prData should have this)
+    const prTickets = metrics.prTickets || []; // We need to add this to prAnalysis
+    const jiraData = getStoryPointsCompletedForWeek(week, prTickets);
+    if (jiraData && jiraData.storyPoints > 0) {
+      metrics.storyPoints = jiraData.storyPoints;
+      console.log(`    ✓ Story Points: ${jiraData.storyPoints} (${jiraData.issues.length} issues completed)`);
+    } else {
+      metrics.storyPoints = null;
+      console.log(`    ⚠ No story points completed this week`);
+    }
+  } catch (err) {
+    console.log(`    ⚠ JIRA fetch: ${err.message}`);
+    metrics.storyPoints = null;
+  }
+
+  // Tokens per story point (transcript-based)
+  console.log(`  Calculating tokens per story point...`);
+  try {
+    const tokenSPData = calculateTokensPerSPForWeek(week, repository, transcriptIndex, allPRs);
+
+    // Use tokens and tokensPerSP from transcript data, but NOT storyPoints (we got that from JIRA above)
+    metrics.tokensPerSP = tokenSPData.tokensPerSP;
+    metrics.totalTokens = tokenSPData.totalTokens;
+    metrics.mainAgentTokens = tokenSPData.mainAgentTokens;
+    metrics.subagentTokens = tokenSPData.subagentTokens;
+
+    // Save ticket-level details for scatter plots and detailed analysis
+    metrics.ticketDetails = tokenSPData.ticketDetails || {};
+
+    // Calculate derived metrics (tokens per LOC, LOC per token, etc.)
+    if (tokenSPData.totalTokens && metrics.totalLOC) {
+      metrics.locPerToken = parseFloat((metrics.totalLOC / tokenSPData.totalTokens).toFixed(8));
+      metrics.tokensPerCycleTime = metrics.cycleTime
+        ? Math.round(tokenSPData.totalTokens / metrics.cycleTime)
+        : undefined;
+    }
+
+    if (tokenSPData.tokensPerSP) {
+      console.log(`    ✓ Tokens/SP: ${tokenSPData.tokensPerSP.toLocaleString()} (main agent ${tokenSPData.mainAgentTokens.toLocaleString()}, subagents ${tokenSPData.subagentTokens.toLocaleString()} tokens)`);
+    } else {
+      console.log(`    ⚠ No token/SP data available`);
+    }
+  } catch (err) {
+    console.log(`    ⚠ Tokens/SP calculation: ${err.message}`);
+    metrics.ticketDetails = {};
+  }
+
+  // AI-authored LOC (PR diffs matched against the agent's file edits)
+  console.log(`  Estimating AI-authored LOC...`);
+  if (!transcriptIndex) {
+    console.log(`    ⚠ AI-authored LOC: no transcripts`);
+  } else {
+    try {
+      const authorshipData = analyzeAIAuthorshipForWeek(week, repository, transcriptIndex);
+      Object.assign(metrics, authorshipData);
+      const authorship = authorshipData.aiAuthorship;
+      console.log(`    ✓ AI-authored LOC: ${authorshipData.aiAuthoredLOCShare !== null ? `${authorshipData.aiAuthoredLOCShare}%` : 'N/A'} (${authorship.aiLines.toLocaleString()} of ${authorship.changedLines.toLocaleString()} changed lines in ${authorship.prs} PRs)`);
+    } catch (err) {
+      console.log(`    ⚠ AI-authored LOC: ${err.message}`);
+    }
+  }
+
+  // Quality metrics (SonarCloud) - per-PR averages, or the branch's measure history at the end
+  // of the week when no PR analyses exist (e.g. older weeks whose PR analyses SonarCloud has purged)
+  console.log(`  Fetching quality metrics...`);
+  const qualityFields = Object.keys(toQualityMetrics({}));
+  const formatMeasure = (value, unit = '') => (value !== null && value !== undefined ? `${value.toFixed(1)}${unit}` : 'N/A');
+  if (qualityFields.some(field => metrics[field] !== null && metrics[field] !== undefined)) {
+    metrics.qualitySource = 'pr-analyses';
+    console.log(`    ✓ Coverage: ${formatMeasure(metrics.testCoverage, '%')}, Code Smells: ${formatMeasure(metrics.codeSmells)} (per-PR avg)`);
+  } else {
+    try {
+      const history = fetchSonarMetricsForWeek(week, repository);
+      if (history) {
+        Object.entries(toQualityMetrics(history)).forEach(([field, value]) => {
+          metrics[field] = value !== null ? parseFloat(value.toFixed(2)) : null;
+        });
+        metrics.qualitySource = 'branch-history';
+        console.log(`    ✓ Coverage: ${formatMeasure(metrics.testCoverage, '%')}, Code Smells: ${formatMeasure(metrics.codeSmells)} (branch history, analysis of ${history.analysisDate})`);
+      } else {
+        console.log(`    ⚠ No quality metrics available`);
+      }
+    } catch (err) {
+      console.log(`    ⚠ Quality history: ${err.message}`);
+    }
+  }
+
+  return metrics;
+}
+
+/**
+ * Collect metrics for each week and write the weekly dataset
+ * Options: weeks (defaults to CONFIG.WEEKS), output (defaults to data/weeklyData.json)
+ */
+async function generateDashboard(options = {}) {
+const weeks = options.weeks || CONFIG.WEEKS;
+const repositories = getRepositories();
+const weeklyMetrics = [];
 
 console.log('='.repeat(80));
 console.log('GENERATING DASHBOARD DATA');
 console.log('='.repeat(80));
 console.log();
 
-const weeklyMetrics = [];
+if (getApiMode() !== 'live') {
+  console.log(`API mode: ${getApiMode()} (${CONFIG.API_FIXTURES_DIR})`);
+  console.log();
+}
+
+console.log(`Repositories: ${repositories.map(r => r.repo).join(', ')}`);
+console.log();
+
+// Transcript exports (from `metrics transcripts ...`) and the token breakdown CSV (from `metrics forecast`)
+const transcriptExports = loadTranscriptExports();
+const tokenBreakdown = loadTokenBreakdown();
+console.log(`Loaded transcript exports for ${Object.keys(transcriptExports).length} weeks, token breakdown for ${Object.keys(tokenBreakdown).length} weeks`);
+console.log();
+
+// Stream every transcript once; all transcript analyzers query this index
+console.log('Indexing transcripts...');
+let transcriptIndex = null;
+let transcriptIndexError = null;
+try {
+  transcriptIndex = await loadTranscriptIndex();
+} catch (err) {
+  transcriptIndexError = err.message;
+  console.log(`  ⚠ ${err.message}`);
+}
+
+// PRs of all repositories, used to attribute tokens to the PR a developer had open
+let allPRs = null;
+if (transcriptIndex) {
+  try {
+    allPRs = repositories.flatMap(repository => fetchAllPRs(repository));
+  } catch (err) {
+    console.log(`  ⚠ Open-PR ticket attribution skipped: ${err.message}`);
+  }
+}
+console.log();
 
 // Process each week
-async function processWeeks() {
-for (const week of CONFIG.WEEKS) {
+for (const week of weeks) {
   console.log(`Processing ${week.name} (${week.period})...`);
 
   const metrics = {
     week: week.name,
-    period: week.period
+    period: week.period,
+    transcriptSources: {}
   };
 
   try {
-    // Transcript metrics
+    // Transcript metrics (queried from the shared transcript index)
     console.log(`  Analyzing transcripts...`);
-    try {
-      const compactions = analyzeCompactionsForWeek(week);
-      Object.assign(metrics, compactions);
-      console.log(`    ✓ Compactions: ${compactions.manualCompactions} manual, ${compactions.autoCompactions} auto`);
-    } catch (err) {
-      console.log(`    ⚠ Compactions: ${err.message}`);
-    }
+    if (!transcriptIndex) {
+      console.log(`    ⚠ Transcripts: ${transcriptIndexError}`);
+    } else {
+      try {
+        const compactions = analyzeCompactionsForWeek(week, transcriptIndex);
+        Object.assign(metrics, compactions);
+        metrics.transcriptSources.compactions = 'transcripts';
+        console.log(`    ✓ Compactions: ${compactions.manualCompactions} manual, ${compactions.autoCompactions} auto`);
+      } catch (err) {
+        console.log(`    ⚠ Compactions: ${err.message}`);
+      }
 
-    try {
-      const categories = analyzePromptCategoriesForWeek(week);
-      Object.assign(metrics, categories);
-      console.log(`    ✓ Prompts: ${categories.totalPrompts} total, top: ${categories.topCategory}`);
-    } catch (err) {
-      console.log(`    ⚠ Prompt categories: ${err.message}`);
-    }
+      try {
+        const context = analyzeContextWindowForWeek(week, transcriptIndex);
+        Object.assign(metrics, context);
+        metrics.transcriptSources.contextWindow = 'transcripts';
+        const median = context.contextWindow.contextAtCompaction.median;
+        console.log(`    ✓ Context window: avg peak ${context.contextWindow.avgPeakContextTokens !== null ? context.contextWindow.avgPeakContextTokens.toLocaleString() : 'N/A'} tokens, median at compaction ${median !== null ? median.toLocaleString() : 'N/A'}`);
+      } catch (err) {
+        console.log(`    ⚠ Context window: ${err.message}`);
+      }
 
-    try {
-      const interruptions = await calculateInterruptionsForWeek(week, CONFIG.TRANSCRIPTS_DIR);
-      Object.assign(metrics, interruptions);
-      console.log(`    ✓ Interruptions: ${interruptions.interruptions}/${interruptions.prompts} prompts (${interruptions.interruptionRate}%), Errors: ${interruptions.toolErrors}/${interruptions.toolUses} (${interruptions.errorRate}%)`);
-    } catch (err) {
-      console.log(`    ⚠ Interruptions: ${err.message}`);
-    }
+      try {
+        const categories = analyzePromptCategoriesForWeek(week, transcriptIndex);
+        Object.assign(metrics, categories);
+        metrics.transcriptSources.promptCategories = 'transcripts';
+        console.log(`    ✓ Prompts: ${categories.totalPrompts} total, top: ${categories.topCategory}`);
+      } catch (err) {
+        console.log(`    ⚠ Prompt categories: ${err.message}`);
+      }
 
-    // GitHub/PR metrics
-    console.log(`  Analyzing GitHub PRs...`);
-    try {
-      const prData = analyzePRsForWeek(week);
-      Object.assign(metrics, prData);
-      console.log(`    ✓ PRs: ${prData.featurePRs}, LOC/PR: ${prData.locPerPR}, LOC/Dev: ${prData.locPerDev}`);
-    } catch (err) {
-      console.log(`    ⚠ PR analysis: ${err.message}`);
-    }
+      try {
+        const interruptions = calculateInterruptionsForWeek(week, transcriptIndex);
+        Object.assign(metrics, interruptions);
+        metrics.transcriptSources.interruptions = 'transcripts';
+        console.log(`    ✓ Interruptions: ${interruptions.interruptions}/${interruptions.prompts} prompts (${interruptions.interruptionRate}%), Errors: ${interruptions.toolErrors}/${interruptions.toolUses} (${interruptions.errorRate}%)`);
+      } catch (err) {
+        console.log(`    ⚠ Interruptions: ${err.message}`);
+      }
 
-    // NK/T metrics
-    console.log(`  Calculating NK/T metrics...`);
-    try {
-      const nktData = calculateNKTForWeek(week);
-      Object.assign(metrics, nktData);
-      console.log(`    ✓ NK/T: ${nktData.nkt}, Cycle Time: ${nktData.cycleTime} days`);
-    } catch (err) {
-      console.log(`    ⚠ NK/T calculation: ${err.message}`);
-    }
+      try {
+        const toolData = analyzeToolUsageForWeek(week, transcriptIndex);
+        Object.assign(metrics, toolData);
+        metrics.transcriptSources.toolUsage = 'transcripts';
+        const topTools = Object.entries(toolData.toolUsage.tools).slice(0, 3)
+          .map(([name, stats]) => `${name} ${stats.calls} (${stats.errorRate}% errors)`);
+        console.log(`    ✓ Tools: ${topTools.length > 0 ? topTools.join(', ') : 'no calls'}`);
+      } catch (err) {
+        console.log(`    ⚠ Tool usage: ${err.message}`);
+      }
 
-    // Story points completed (from JIRA - based on PRs merged this week)
-    console.log(`  Fetching story points from JIRA...`);
-    try {
-      // Get tickets from PRs merged this week (prData should have this)
-      const prTickets = metrics.prTickets || []; // We need to add this to prAnalysis
-      const jiraData = getStoryPointsCompletedForWeek(week, prTickets);
-      if (jiraData && jiraData.storyPoints > 0) {
-        metrics.storyPoints = jiraData.storyPoints;
-        console.log(`    ✓ Story Points: ${jiraData.storyPoints} (${jiraData.issues.length} issues completed)`);
-      } else {
-        metrics.storyPoints = null;
-        console.log(`    ⚠ No story points completed this week`);
+      try {
+        const sessionData = analyzeSessionsForWeek(week, transcriptIndex);
+        Object.assign(metrics, sessionData);
+        metrics.transcriptSources.sessions = 'transcripts';
+        const stats = sessionData.sessions;
+        console.log(`    ✓ Sessions: ${stats.count}, avg ${stats.avgActiveMinutes ?? 0} active min, ${stats.commitOrPRRate}% with a commit or PR`);
+      } catch (err) {
+        console.log(`    ⚠ Sessions: ${err.message}`);
       }
-    } catch (err) {
-      console.log(`    ⚠ JIRA fetch: ${err.message}`);
-      metrics.storyPoints = null;
-    }
 
-    // Tokens per story point (transcript-based)
-    console.log(`  Calculating tokens per story point...`);
-    try {
-      const tokenSPData = await calculateTokensPerSPForWeek(week);
-
-      // Use tokens and tokensPerSP from transcript data, but NOT storyPoints (we got that from JIRA above)
-      metrics.tokensPerSP = tokenSPData.tokensPerSP;
-      metrics.totalTokens = tokenSPData.totalTokens;
-
-      // Save ticket-level details for scatter plots and detailed analysis
-      metrics.ticketDetails = tokenSPData.ticketDetails || {};
-
-      // Calculate derived metrics (tokens per LOC, LOC per token, etc.)
-      if (tokenSPData.totalTokens && metrics.featurePRs && metrics.locPerPR) {
-        const totalLOC = metrics.featurePRs * metrics.locPerPR;
-        metrics.locPerToken = parseFloat((totalLOC / tokenSPData.totalTokens).toFixed(8));
-        metrics.tokensPerCycleTime = metrics.cycleTime
-          ? Math.round(tokenSPData.totalTokens / metrics.cycleTime)
-          : undefined;
+      try {
+        const workflowData = analyzeWorkflowsForWeek(week, transcriptIndex);
+        Object.assign(metrics, workflowData);
+        metrics.transcriptSources.workflows = 'transcripts';
+        const topWorkflows = Object.entries(workflowData.workflows).slice(0, 3)
+          .map(([command, stats]) => `${command} ${stats.runs} (${stats.abandonRate}% abandoned)`);
+        console.log(`    ✓ Workflows: ${topWorkflows.length > 0 ? topWorkflows.join(', ') : 'no slash commands'}`);
+      } catch (err) {
+        console.log(`    ⚠ Workflows: ${err.message}`);
       }
 
-      if (tokenSPData.tokensPerSP) {
-        console.log(`    ✓ Tokens/SP: ${tokenSPData.tokensPerSP.toLocaleString()}`);
-      } else {
-        console.log(`    ⚠ No token/SP data available`);
+      try {
+        const timingData = analyzeTurnTimingForWeek(week, transcriptIndex);
+        Object.assign(metrics, timingData);
+        metrics.transcriptSources.turnTiming = 'transcripts';
+        const timing = timingData.turnTiming;
+        console.log(`    ✓ Turn timing: median response ${timing.responseLatencySeconds.median ?? 'N/A'}s, median agent run ${timing.agentWorkingMinutes.median ?? 'N/A'} min, median think time ${timing.thinkTimeSeconds.median ?? 'N/A'}s`);
+      } catch (err) {
+        console.log(`    ⚠ Turn timing: ${err.message}`);
+      }
+
+      try {
+        const testData = analyzeTestRunsForWeek(week, transcriptIndex);
+        Object.assign(metrics, testData);
+        metrics.transcriptSources.testRuns = 'transcripts';
+        const tests = testData.testRuns;
+        console.log(`    ✓ Test runs: ${tests.runs}, pass rate ${tests.passRate !== null ? `${tests.passRate}%` : 'N/A'}, ${tests.redGreenCycles} red/green cycles, ${tests.commitsWithFailingTests} commits with failing tests`);
+      } catch (err) {
+        console.log(`    ⚠ Test runs: ${err.message}`);
+      }
+
+      try {
+        const modelData = analyzeModelUsageForWeek(week, transcriptIndex);
+        Object.assign(metrics, modelData);
+        metrics.transcriptSources.modelUsage = 'transcripts';
+        const models = Object.keys(modelData.modelUsage);
+        console.log(`    ✓ Models: ${models.length > 0 ? models.join(', ') : 'no usage'}, estimated cost: ${modelData.estimatedCost !== null ? `$${modelData.estimatedCost.toFixed(2)}` : 'N/A'}`);
+        if (modelData.unpricedTokens > 0) {
+          console.log(`    ⚠ ${modelData.unpricedTokens.toLocaleString()} tokens from models without a price in MODEL_PRICES`);
+        }
+      } catch (err) {
+        console.log(`    ⚠ Model usage: ${err.message}`);
+      }
+
+      try {
+        const cacheData = analyzeCacheEfficiencyForWeek(week, transcriptIndex);
+        Object.assign(metrics, cacheData);
+        metrics.transcriptSources.cacheEfficiency = 'transcripts';
+        const cache = cacheData.cacheEfficiency;
+        console.log(`    ✓ Cache: ${cache.hitRatio !== null ? `${(cache.hitRatio * 100).toFixed(1)}%` : 'N/A'} hit ratio, saved ${cache.costSaved !== null ? `$${cache.costSaved.toFixed(2)}` : 'N/A'}, ${cache.poorSessionCount} poor-caching session(s)`);
+      } catch (err) {
+        console.log(`    ⚠ Cache efficiency: ${err.message}`);
+      }
+
+      try {
+        const attributionData = analyzeAttributionForWeek(week, transcriptIndex, allPRs);
+        Object.assign(metrics, attributionData);
+        metrics.transcriptSources.ticketAttribution = 'transcripts';
+        const attribution = attributionData.ticketAttribution;
+        console.log(`    ✓ Ticket attribution: ${attribution.unattributedTokens.toLocaleString()} tokens unattributed (${attribution.unattributedShare !== null ? attribution.unattributedShare : 0}%) in ${attribution.unattributedSessionCount} session(s), avg confidence ${attribution.avgConfidence !== null ? attribution.avgConfidence.toFixed(2) : 'N/A'}`);
+      } catch (err) {
+        console.log(`    ⚠ Ticket attribution: ${err.message}`);
+      }
+
+      try {
+        const developerData = analyzeDevelopersForWeek(week, transcriptIndex);
+        Object.assign(metrics, developerData);
+        metrics.transcriptSources.developers = 'transcripts';
+        console.log(`    ✓ Developers: ${Object.keys(developerData.developers).length} with transcript activity`);
+      } catch (err) {
+        console.log(`    ⚠ Developers: ${err.message}`);
       }
-    } catch (err) {
-      console.log(`    ⚠ Tokens/SP calculation: ${err.message}`);
-      metrics.ticketDetails = {};
     }
 
-    // Cost metrics (from Bedrock costs CSV)
+    // Fill gaps from transcript exports and attach the weekly token breakdown
+    const mergeWarnings = reconcileTranscriptMetrics(metrics, week, transcriptExports, tokenBreakdown);
+    mergeWarnings.forEach(warning => console.log(`    ⚠ ${warning}`));
+    const exportedGroups = Object.entries(metrics.transcriptSources)
+      .filter(([, source]) => source.includes('export') || source === 'csv')
+      .map(([group]) => group);
+    if (exportedGroups.length > 0) {
+      console.log(`    ✓ Merged from exports: ${exportedGroups.join(', ')}`);
+    }
+
+    // Repository metrics (GitHub, JIRA, SonarCloud), then the portfolio rollup
+    const repoMetricsByName = {};
+    for (const repository of repositories) {
+      console.log(`  Repository ${repository.name} (${repository.repo})...`);
+      repoMetricsByName[repository.name] = await collectRepositoryMetrics(week, repository, transcriptIndex, allPRs);
+    }
+    Object.assign(metrics, rollupRepositoryMetrics(Object.values(repoMetricsByName)));
+    if (repositories.length > 1) {
+      console.log(`  ✓ Portfolio: ${metrics.featurePRs} PRs, ${metrics.storyPoints ?? 0} SP across ${repositories.length} repositories`);
+    }
+
+    // Cost metrics (from Bedrock costs CSV) - the bill covers the whole portfolio
     console.log(`  Calculating cost metrics...`);
     try {
-      const totalLOC = metrics.featurePRs && metrics.locPerPR ? metrics.featurePRs * metrics.locPerPR : 0;
-      const costData = calculateCostMetrics(week, metrics.totalTokens, metrics.storyPoints, metrics.featurePRs, totalLOC);
+      const costData = calculateCostMetrics(week, metrics.totalTokens, metrics.storyPoints, metrics.featurePRs, metrics.totalLOC, metrics.estimatedCost);
 
       metrics.totalCost = costData.totalCost;
+      metrics.costSource = costData.costSource;
       metrics.costPerLOC = costData.costPerLOC;
       metrics.costPerPR = costData.costPerPR;
       metrics.costPerSP = costData.costPerSP;
 
-      if (costData.totalCost) {
+      if (costData.costSource === 'transcript-estimate') {
+        console.log(`    ⚠ No Bedrock cost for this week, using the transcript estimate: $${costData.totalCost.toFixed(2)}, Cost/SP: $${costData.costPerSP || 'N/A'}`);
+      } else if (costData.totalCost) {
         console.log(`    ✓ Total Cost: $${costData.totalCost.toFixed(2)}, Cost/SP: $${costData.costPerSP || 'N/A'}`);
       } else {
         console.log(`    ⚠ No cost data available for this week`);
@@ -143,54 +389,14 @@ for (const week of CONFIG.WEEKS) {
     } catch (err) {
       console.log(`    ⚠ Cost calculation: ${err.message}`);
       metrics.totalCost = null;
+      metrics.costSource = null;
       metrics.costPerLOC = null;
       metrics.costPerPR = null;
       metrics.costPerSP = null;
     }
-
-    // Quality metrics (SonarCloud) - hardcoded for Weeks 1-7, per-PR averages for Week 8+
-    console.log(`  Fetching quality metrics...`);
-
-    // Hardcoded historical SonarCloud metrics (per-PR averages from old weekly_metrics_plot.js)
-    const hardcodedQualityMetrics = {
-      'Week 1': { testCoverage: null, cves: null, duplicatedLines: null, maintainability: null, reliability: null, security: null, codeSmells: null },
-      'Week 2': { testCoverage: null, cves: null, duplicatedLines: null, maintainability: null, reliability: null, security: null, codeSmells: null },
-      'Week 3': { testCoverage: 79.86, cves: 0, duplicatedLines: 0, maintainability: 1, reliability: 1, security: 1, codeSmells: 5.2 },
-      'Week 4': { testCoverage: 85.23, cves: 0, duplicatedLines: 0, maintainability: 1, reliability: 1, security: 1, codeSmells: 2.2 },
-      'Week 5': { testCoverage: 89.77, cves: 0, duplicatedLines: 0, maintainability: 1, reliability: 1, security: 1, codeSmells: 3.25 },
-      'Week 6': { testCoverage: 87.5, cves: 0, duplicatedLines: 0, maintainability: 1, reliability: 1, security: 1, codeSmells: 2 },
-      'Week 7': { testCoverage: 92.13, cves: 0, duplicatedLines: 0.23, maintainability: 1, reliability: 1, security: 1, codeSmells: 5.33 }
-    };
-
-    try {
-      // Use hardcoded values for Weeks 1-7 (per-PR averages from old system)
-      if (hardcodedQualityMetrics[week.name]) {
-        const quality = hardcodedQualityMetrics[week.name];
-        metrics.testCoverage = quality.testCoverage;
-        metrics.cves = quality.cves;
-        metrics.duplicatedLines = quality.duplicatedLines;
-        metrics.maintainability = quality.maintainability;
-        metrics.reliability = quality.reliability;
-        metrics.security = quality.security;
-        metrics.codeSmells = quality.codeSmells;
-
-        if (quality.testCoverage !== null) {
-          console.log(`    ✓ Coverage: ${quality.testCoverage?.toFixed(1)}%, CVEs: ${quality.cves} (hardcoded)`);
-        } else {
-          console.log(`    ⚠ No quality metrics available (hardcoded)`);
-        }
-      } else {
-        // For Week 8 and beyond, use per-PR averages already calculated in analyzePRsForWeek()
-        // These were calculated using aggregateSonarMetrics() in prAnalysis.js
-        if (metrics.testCoverage !== null) {
-          console.log(`    ✓ Coverage: ${metrics.testCoverage?.toFixed(1)}%, Code Smells: ${metrics.codeSmells?.toFixed(1)} (per-PR avg)`);
-        } else {
-          console.log(`    ⚠ No quality metrics available`);
-        }
-      }
-    } catch (err) {
-      console.log(`    ⚠ Quality metrics: ${err.message}`);
-    }
+    allocateCosts(metrics, repoMetricsByName);
+    combineDeveloperMetrics(metrics);
+    metrics.repositories = repoMetricsByName;
 
     weeklyMetrics.push(metrics);
     console.log(`  ✓ Collected metrics for ${week.name}`);
@@ -201,28 +407,36 @@ for (const week of CONFIG.WEEKS) {
   console.log();
 }
 
-// Auto-generate weeklyData.js
-console.log('Generating data/weeklyData.js...');
+// A replay must not write a dataset built from partial responses
+assertReplayComplete();
+
+// Write the weekly dataset
+console.log('Writing weekly dataset...');
+let outputPath;
 try {
-  const outputPath = buildWeeklyData(weeklyMetrics);
+  outputPath = buildWeeklyData(weeklyMetrics, options.output);
   console.log(`✓ Successfully generated: ${outputPath}`);
 } catch (err) {
-  console.error(`✗ Error generating weeklyData.js: ${err.message}`);
-  process.exit(1);
+  throw new Error(`Error writing weekly dataset: ${err.message}`);
 }
 
+console.log();
+printCacheStats();
+
 console.log();
 console.log('='.repeat(80));
 console.log('DONE!');
 console.log('='.repeat(80));
 console.log();
 console.log('Next steps:');
-console.log('  1. Review data/weeklyData.js to verify metrics');
-console.log('  2. Run: node weekly_metrics_report.js to generate PDF');
+console.log(`  1. Review ${outputPath} to verify metrics`);
+console.log('  2. Run: metrics report to generate PDF');
+
+return weeklyMetrics;
 }
 
-// Run the async process
-processWeeks().catch(err => {
-  console.error('Fatal error:', err);
-  process.exit(1);
-});
+module.exports = { generateDashboard };
+
+if (require.main === module) {
+  require('../../cli/commands').runCommand(['collect'], process.argv.slice(2));
+}
@@ -0,0 +1,239 @@
+// Combine per-repository weekly metrics into a portfolio view
+const QUALITY_FIELDS = ['testCoverage', 'cves', 'duplicatedLines', 'maintainability', 'reliability', 'security', 'bugs', 'codeSmells'];
+
+function sum(values) {
+  const present = values.filter(v => v !== null && v !== undefined);
+  return present.length > 0 ? present.reduce((total, v) => total + v, 0) : null;
+}
+
+/**
+ * Average a field across repositories, weighted by each repository's feature PR count
+ * Falls back to a plain average when no repository with a value had PRs (e.g. branch history only)
+ */
+function weightedAverage(repoMetrics, field) {
+  let weightedTotal = 0;
+  let weight = 0;
+  const present = [];
+
+  repoMetrics.forEach(m => {
+    const value = m[field];
+    if (value === null || value === undefined) return;
+    present.push(value);
+    if (!m.featurePRs) return;
+    weightedTotal += value * m.featurePRs;
+    weight += m.featurePRs;
+  });
+
+  if (weight > 0) return weightedTotal / weight;
+  return present.length > 0 ? present.reduce((total, v) => total + v, 0) / present.length : null;
+}
+
+function round(value, decimals) {
+  return value === null ? null : parseFloat(value.toFixed(decimals));
+}
+
+/**
+ * PRs and LOC per developer summed across repositories, with cycle time averaged weighted by each repository's PRs
+ */
+function rollupDevelopers(repoMetrics) {
+  const prsByDeveloper = {};
+  const cycleTimeTotals = {};
+
+  repoMetrics.forEach(m => {
+    Object.entries(m.prsByDeveloper || {}).forEach(([developer, stats]) => {
+      if (!prsByDeveloper[developer]) prsByDeveloper[developer] = { prs: 0, totalLOC: 0 };
+      prsByDeveloper[developer].prs += stats.prs;
+      prsByDeveloper[developer].totalLOC += stats.totalLOC;
+    });
+    Object.entries(m.cycleTimeByDeveloper || {}).forEach(([developer, cycleTime]) => {
+      const weight = (m.prsByDeveloper && m.prsByDeveloper[developer] && m.prsByDeveloper[developer].prs) || 1;
+      if (!cycleTimeTotals[developer]) cycleTimeTotals[developer] = { weightedTotal: 0, weight: 0 };
+      cycleTimeTotals[developer].weightedTotal += cycleTime * weight;
+      cycleTimeTotals[developer].weight += weight;
+    });
+  });
+
+  const cycleTimeByDeveloper = {};
+  Object.entries(cycleTimeTotals).forEach(([developer, totals]) => {
+    cycleTimeByDeveloper[developer] = round(totals.weightedTotal / totals.weight, 2);
+  });
+
+  return { prsByDeveloper, cycleTimeByDeveloper };
+}
+
+/**
+ * AI-authored LOC summed across repositories, with the share recomputed from the totals
+ * Returns {} when no repository has it (no transcripts)
+ */
+function rollupAIAuthorship(repoMetrics) {
+  const withAuthorship = repoMetrics.filter(m => m.aiAuthorship);
+  if (withAuthorship.length === 0) return {};
+
+  const aiAuthorship = { prs: 0, changedLines: 0, aiLines: 0, byTicket: {}, byPR: [] };
+  withAuthorship.forEach(m => {
+    aiAuthorship.prs += m.aiAuthorship.prs;
+    aiAuthorship.changedLines += m.aiAuthorship.changedLines;
+    aiAuthorship.aiLines += m.aiAuthorship.aiLines;
+    Object.entries(m.aiAuthorship.byTicket).forEach(([ticket, stats]) => {
+      if (!aiAuthorship.byTicket[ticket]) aiAuthorship.byTicket[ticket] = { prs: 0, changedLines: 0, aiLines: 0, aiAuthoredShare: null };
+      aiAuthorship.byTicket[ticket].prs += stats.prs;
+      aiAuthorship.byTicket[ticket].changedLines += stats.changedLines;
+      aiAuthorship.byTicket[ticket].aiLines += stats.aiLines;
+    });
+    aiAuthorship.byPR.push(...m.aiAuthorship.byPR);
+  });
+  Object.values(aiAuthorship.byTicket).forEach(ticket => {
+    ticket.aiAuthoredShare = ticket.changedLines > 0 ? round(ticket.aiLines / ticket.changedLines * 100, 2) : null;
+  });
+
+  return {
+    aiAuthoredLOCShare: aiAuthorship.changedLines > 0
+      ? round(aiAuthorship.aiLines / aiAuthorship.changedLines * 100, 2)
+      : null,
+    aiAuthorship
+  };
+}
+
+/**
+ * Ticket details of all repositories; a ticket with merged PRs in several repositories keeps every PR number
+ * (prNumbers), the first PR opened and the last merged. Story points and tokens are the ticket's own, so the same in
+ * every repository, and are not summed
+ */
+function rollupTicketDetails(repoMetrics) {
+  const ticketDetails = {};
+  repoMetrics.forEach(m => {
+    Object.entries(m.ticketDetails || {}).forEach(([ticket, detail]) => {
+      const existing = ticketDetails[ticket];
+      if (!existing) {
+        ticketDetails[ticket] = { ...detail, prNumbers: [detail.prNumber] };
+        return;
+      }
+      Object.entries(detail).forEach(([field, value]) => {
+        if (existing[field] === undefined || existing[field] === null) existing[field] = value;
+      });
+      existing.prNumbers.push(detail.prNumber);
+      if (detail.createdAt < existing.createdAt) {
+        existing.createdAt = detail.createdAt;
+        existing.prNumber = detail.prNumber;
+      }
+      if (detail.mergedAt && (!existing.mergedAt || detail.mergedAt > existing.mergedAt)) existing.mergedAt = detail.mergedAt;
+    });
+  });
+  return ticketDetails;
+}
+
+/**
+ * Roll up the per-repository metrics of one week
+ * Counts and LOC are summed; per-PR ratios are recomputed from the totals and
+ * quality/cycle time averages are weighted by feature PRs.
+ */
+function rollupRepositoryMetrics(repoMetrics) {
+  const featurePRs = repoMetrics.reduce((total, m) => total + (m.featurePRs || 0), 0);
+  const totalLOC = repoMetrics.reduce((total, m) => total + (m.totalLOC || 0), 0);
+  const prAuthors = [...new Set(repoMetrics.flatMap(m => m.prAuthors || []))];
+
+  const ticketDetails = rollupTicketDetails(repoMetrics);
+
+  // Tokens/SP only counts tickets that have both tokens and story points, as in calculateTokensPerSPForWeek()
+  let ticketTokens = 0;
+  let ticketSP = 0;
+  Object.values(ticketDetails).forEach(detail => {
+    if (detail.tokens && detail.storyPoints) {
+      ticketTokens += detail.tokens;
+      ticketSP += detail.storyPoints;
+    }
+  });
+
+  const totalTokens = sum(repoMetrics.map(m => m.totalTokens));
+  const cycleTime = round(weightedAverage(repoMetrics, 'cycleTime'), 2);
+
+  const rollup = {
+    featurePRs,
+    totalLOC,
+    prAuthors,
+    locPerPR: featurePRs > 0 ? Math.round(totalLOC / featurePRs) : null,
+    locPerDev: prAuthors.length > 0 ? Math.round(totalLOC / prAuthors.length) : 0,
+    commentsPerPR: round(weightedAverage(repoMetrics, 'commentsPerPR'), 2),
+    nkt: sum(repoMetrics.map(m => m.nkt)),
+    cycleTime,
+    storyPoints: sum(repoMetrics.map(m => m.storyPoints)),
+    tokensPerSP: ticketSP > 0 ? Math.round(ticketTokens / ticketSP) : null,
+    totalTokens,
+    mainAgentTokens: sum(repoMetrics.map(m => m.mainAgentTokens)),
+    subagentTokens: sum(repoMetrics.map(m => m.subagentTokens)),
+    locPerToken: totalTokens && totalLOC ? parseFloat((totalLOC / totalTokens).toFixed(8)) : undefined,
+    tokensPerCycleTime: totalTokens && cycleTime ? Math.round(totalTokens / cycleTime) : undefined,
+    ticketDetails,
+    prTickets: repoMetrics.flatMap(m => m.prTickets || []),
+    ...rollupDevelopers(repoMetrics),
+    ...rollupAIAuthorship(repoMetrics)
+  };
+
+  QUALITY_FIELDS.forEach(field => {
+    rollup[field] = round(weightedAverage(repoMetrics, field), 2);
+  });
+
+  const qualitySources = [...new Set(repoMetrics.map(m => m.qualitySource).filter(Boolean))];
+  if (qualitySources.length > 0) {
+    rollup.qualitySource = qualitySources.length === 1 ? qualitySources[0] : 'mixed';
+  }
+
+  return rollup;
+}
+
+/**
+ * Split the portfolio Bedrock cost across repositories by their share of ticket tokens
+ * Repositories with no attributed tokens get null costs.
+ */
+function allocateCosts(portfolio, repoMetricsByName) {
+  Object.values(repoMetricsByName).forEach(m => {
+    const share = portfolio.totalCost && portfolio.totalTokens && m.totalTokens
+      ? m.totalTokens / portfolio.totalTokens
+      : null;
+    const cost = share !== null ? portfolio.totalCost * share : null;
+
+    m.totalCost = cost !== null ? parseFloat(cost.toFixed(2)) : null;
+    m.costSource = cost !== null ? portfolio.costSource : null;
+    m.costPerLOC = cost !== null && m.totalLOC > 0 ? parseFloat((cost / m.totalLOC).toFixed(4)) : null;
+    m.costPerPR = cost !== null && m.featurePRs > 0 ? parseFloat((cost / m.featurePRs).toFixed(2)) : null;
+    m.costPerSP = cost !== null && m.storyPoints > 0 ? parseFloat((cost / m.storyPoints).toFixed(2)) : null;
+  });
+}
+
+/**
+ * Add each developer's PRs, LOC, cycle time and share of the cost to the week's transcript developer metrics
+ * The cost is split by share of transcript tokens, as allocateCosts does for repositories; developers with PRs
+ * but no transcripts are included with null transcript metrics
+ */
+function combineDeveloperMetrics(metrics) {
+  const developers = metrics.developers || {};
+  const prsByDeveloper = metrics.prsByDeveloper || {};
+  const cycleTimeByDeveloper = metrics.cycleTimeByDeveloper || {};
+  const transcriptTokens = Object.values(developers).reduce((total, d) => total + (d.tokens || 0), 0);
+
+  [...new Set([...Object.keys(developers), ...Object.keys(prsByDeveloper)])].forEach(developer => {
+    if (!developers[developer]) {
+      developers[developer] = {
+        tokens: null, prompts: null, interruptions: null, interruptionRate: null,
+        toolCalls: null, sessions: null, activeMinutes: null, estimatedCost: null
+      };
+    }
+    const d = developers[developer];
+    const cost = metrics.totalCost && transcriptTokens && d.tokens
+      ? metrics.totalCost * d.tokens / transcriptTokens
+      : null;
+
+    d.prs = prsByDeveloper[developer] ? prsByDeveloper[developer].prs : 0;
+    d.totalLOC = prsByDeveloper[developer] ? prsByDeveloper[developer].totalLOC : 0;
+    d.cycleTime = cycleTimeByDeveloper[developer] ?? null;
+    d.cost = cost !== null ? parseFloat(cost.toFixed(2)) : null;
+  });
+
+  metrics.developers = developers;
+}
+
+module.exports = {
+  rollupRepositoryMetrics,
+  allocateCosts,
+  combineDeveloperMetrics
+};
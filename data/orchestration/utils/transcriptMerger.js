@@ -0,0 +1,152 @@
+// Merge transcript exports and the token breakdown CSV into the collected weekly metrics
+const fs = require('fs');
+const path = require('path');
+const CONFIG = require('../../config');
+const { readCSV } = require('../../shared/utils/fileUtils');
+
+/**
+ * Load JSON exports written by `metrics transcripts compactions|prompts|tools|sessions|models|cache|attribution|workflows|timing|tests|developers`
+ * Returns { [weekName]: { [exportType]: { period, fields } } }
+ */
+function loadTranscriptExports(exportsDir = CONFIG.TRANSCRIPT_EXPORTS_DIR) {
+  const byWeek = {};
+
+  if (!exportsDir || !fs.existsSync(exportsDir)) {
+    return byWeek;
+  }
+
+  const files = fs.readdirSync(exportsDir)
+    .filter(f => f.endsWith('.json'))
+    .map(f => path.join(exportsDir, f));
+
+  files.forEach(filePath => {
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (err) {
+      console.warn(`  ⚠ Skipping transcript export ${filePath}: ${err.message}`);
+      return;
+    }
+
+    if (!data || !data.type || !Array.isArray(data.weeks)) {
+      console.warn(`  ⚠ Skipping ${filePath}: not a transcript export (missing type/weeks)`);
+      return;
+    }
+
+    data.weeks.forEach(entry => {
+      const { week, period, ...fields } = entry;
+      if (!week) return;
+
+      if (!byWeek[week]) byWeek[week] = {};
+      byWeek[week][data.type] = { period, fields, file: path.basename(filePath) };
+    });
+  });
+
+  return byWeek;
+}
+
+/**
+ * Load token_breakdown_by_week.csv (written by `metrics forecast`)
+ * Returns { [weekName]: { weekInputTokens, weekCacheCreationTokens, ... } }
+ */
+function loadTokenBreakdown(csvPath = CONFIG.TOKEN_BREAKDOWN_FILE) {
+  const byWeek = {};
+
+  if (!csvPath || !fs.existsSync(csvPath)) {
+    return byWeek;
+  }
+
+  readCSV(csvPath).forEach(row => {
+    if (!row['Week']) return;
+    byWeek[row['Week']] = {
+      weekInputTokens: parseInt(row['Input'], 10) || 0,
+      weekCacheCreationTokens: parseInt(row['Cache Creation Input'], 10) || 0,
+      weekCacheReadTokens: parseInt(row['Cache Read Input'], 10) || 0,
+      weekOutputTokens: parseInt(row['Output'], 10) || 0,
+      weekTotalTokens: parseInt(row['Total Tokens'], 10) || 0,
+      weekMessageCount: parseInt(row['Message Count'], 10) || 0
+    };
+    // Columns added later; older CSVs do not have them
+    if (row['Subagent Tokens'] !== undefined && row['Subagent Tokens'] !== '') {
+      byWeek[row['Week']].weekMainAgentTokens = parseInt(row['Main Agent Tokens'], 10) || 0;
+      byWeek[row['Week']].weekSubagentTokens = parseInt(row['Subagent Tokens'], 10) || 0;
+    }
+  });
+
+  return byWeek;
+}
+
+function isMissing(value) {
+  return value === undefined || value === null;
+}
+
+const MAX_LISTED_DIFFERENCES = 5;
+
+/**
+ * Paths at which two values differ, e.g. ['feature_development', 'bug_fix.count'] ([''] when two scalars differ)
+ * Numbers are compared with a small tolerance and object key order is ignored
+ */
+function differingPaths(a, b, prefix = '') {
+  if (typeof a === 'number' && typeof b === 'number') {
+    return Math.abs(a - b) > 1e-6 * Math.max(1, Math.abs(a), Math.abs(b)) ? [prefix] : [];
+  }
+  if (a && b && typeof a === 'object' && typeof b === 'object' && Array.isArray(a) === Array.isArray(b)) {
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    return [...keys].flatMap(key => differingPaths(a[key], b[key], prefix ? `${prefix}.${key}` : key));
+  }
+  return a === b ? [] : [prefix];
+}
+
+/**
+ * Reconcile one week of live metrics with the exports and token breakdown
+ * Live transcript values win; exports fill anything the live analysis could not produce.
+ * Mutates metrics and returns the list of warnings raised.
+ */
+function reconcileTranscriptMetrics(metrics, week, exportsByWeek, tokenBreakdownByWeek) {
+  const warnings = [];
+  const sources = metrics.transcriptSources || {};
+
+  Object.entries(exportsByWeek[week.name] || {}).forEach(([type, exported]) => {
+    if (exported.period && exported.period !== week.period) {
+      warnings.push(`${type} export (${exported.file}) has period "${exported.period}", expected "${week.period}" - ignored`);
+      return;
+    }
+
+    let filled = 0;
+    Object.entries(exported.fields).forEach(([field, value]) => {
+      // A missing export value neither fills a field nor counts the export as a source
+      if (isMissing(value)) return;
+      if (isMissing(metrics[field])) {
+        metrics[field] = value;
+        filled++;
+      } else {
+        const paths = differingPaths(metrics[field], value);
+        if (paths.length === 0) return;
+        // Scalars show both values; objects list the keys that differ, not their whole contents
+        const detail = paths[0] === ''
+          ? `live ${JSON.stringify(metrics[field])}, export ${JSON.stringify(value)}`
+          : `at ${paths.slice(0, MAX_LISTED_DIFFERENCES).join(', ')}${paths.length > MAX_LISTED_DIFFERENCES ? ` and ${paths.length - MAX_LISTED_DIFFERENCES} more` : ''}`;
+        warnings.push(`${field} differs from ${exported.file} (${detail}) - keeping live value`);
+      }
+    });
+
+    if (filled > 0) {
+      sources[type] = sources[type] ? `${sources[type]}+export` : 'export';
+    }
+  });
+
+  const tokenBreakdown = tokenBreakdownByWeek[week.name];
+  if (tokenBreakdown) {
+    Object.assign(metrics, tokenBreakdown);
+    sources.tokenBreakdown = 'csv';
+  }
+
+  metrics.transcriptSources = sources;
+  return warnings;
+}
+
+module.exports = {
+  loadTranscriptExports,
+  loadTokenBreakdown,
+  reconcileTranscriptMetrics
+};
@@ -1,7 +1,7 @@
 #!/usr/bin/env node
 
-const CONFIG = require('../config');
 const { fetchSonarMetricsLatest } = require('./utils/sonarUtils');
+const { getRepository } = require('../shared/utils/repositories');
 const METRICS = [
   'coverage',
   'vulnerabilities',
@@ -13,22 +13,30 @@ const METRICS = [
   'duplicated_lines_density'
 ];
 
-const args = process.argv.slice(2);
-let branch = 'master';
-for (let i = 0; i < args.length; i++) {
-  if ((args[i] === '--branch' || args[i] === '-b') && args[i + 1]) {
-    branch = args[i + 1];
-    i++;
+/**
+ * Print the latest SonarCloud metrics for a branch
+ * Options: branch (defaults to master), repo (defaults to the first configured repository)
+ */
+function runQualityReport(options = {}) {
+  const branch = options.branch || 'master';
+  const repository = getRepository(options.repo);
+
+  console.log(`Fetching latest SonarQube metrics for ${repository.name} (${repository.sonarProjectKey}), branch: ${branch}`);
+  const metrics = fetchSonarMetricsLatest(repository, branch);
+  if (!metrics) {
+    throw new Error(`No SonarCloud measures returned for ${repository.sonarProjectKey} branch ${branch}`);
   }
-}
 
-console.log(`Fetching latest SonarQube metrics for branch: ${branch}`);
-try {
-  const metrics = fetchSonarMetricsLatest(branch);
   console.log('SonarQube Quality Metrics:');
   METRICS.forEach(metric => {
     console.log(`${metric}: ${metrics[metric] !== undefined && metrics[metric] !== null ? metrics[metric].toFixed(2) : 'N/A'}`);
   });
-} catch (err) {
-  console.error('Error fetching metrics:', err.message);
+
+  return metrics;
+}
+
+module.exports = { runQualityReport };
+
+if (require.main === module) {
+  require('../../cli/commands').runCommand(['quality', 'latest'], process.argv.slice(2));
 }
@@ -1,13 +1,14 @@
 // SonarCloud API helpers - centralized quality metrics
-const { execSync } = require('child_process');
 const CONFIG = require('../../config');
+const { fetchWithCache } = require('../../shared/utils/diskCache');
+const { runExternal, hasCredentials, rateLimit } = require('../../shared/utils/externalCall');
 
 /**
  * Fetch SonarCloud metrics for the latest state of a branch
  * Used for: Overall project quality status
  */
-function fetchSonarMetricsLatest(branch = 'master') {
-  if (!CONFIG.SONAR_TOKEN) {
+function fetchSonarMetricsLatest(repository, branch = 'master') {
+  if (!hasCredentials(CONFIG.SONAR_TOKEN)) {
     throw new Error('SONAR_TOKEN not set in environment');
   }
   const METRICS = [
@@ -20,11 +21,12 @@ function fetchSonarMetricsLatest(branch = 'master') {
     'code_smells',
     'duplicated_lines_density'
   ];
-  const url = `https://sonarcloud.io/api/measures/component?component=${CONFIG.PROJECT_KEY}&branch=${branch}&metricKeys=${METRICS.join(',')}`;
-  const response = execSync(`curl -s -u "${CONFIG.SONAR_TOKEN}:" "${url}"`, { encoding: 'utf8' });
-  if (!response || !response.trim()) return null;
-  const data = JSON.parse(response);
-  if (data.component && data.component.measures) {
+  const url = `https://sonarcloud.io/api/measures/component?component=${repository.sonarProjectKey}&branch=${branch}&metricKeys=${METRICS.join(',')}`;
+  const data = fetchWithCache('sonar', { url }, () => {
+    const response = runExternal('sonar', { url }, `curl -s -u "${CONFIG.SONAR_TOKEN}:" "${url}"`);
+    return response && response.trim() ? JSON.parse(response) : null;
+  });
+  if (data && data.component && data.component.measures) {
     const metrics = {};
     data.component.measures.forEach(measure => {
       metrics[measure.metric] = parseFloat(measure.value);
@@ -34,122 +36,117 @@ function fetchSonarMetricsLatest(branch = 'master') {
   return null;
 }
 
+const HISTORY_PAGE_SIZE = 1000; // Maximum allowed by measures/search_history
+const historyCache = {}; // "<projectKey>@<branch>" -> { [metric]: [{ date, value }] }
+
 /**
- * Fetch historical SonarCloud metrics for a specific week
- * Finds the closest analysis to the end of the week
+ * Fetch the measure history of a branch since the programme start (all pages)
+ * Returns { [metric]: [{ date, value }] } sorted by date, or null without credentials
  */
-function fetchSonarMetricsForWeek(week, branch = 'master') {
-  if (!CONFIG.SONAR_TOKEN) {
+function fetchSonarMeasureHistory(repository, branch = 'master') {
+  if (!hasCredentials(CONFIG.SONAR_TOKEN)) {
     return null;
   }
 
-  try {
-    // Get project analyses history
-    const historyUrl = `https://sonarcloud.io/api/project_analyses/search?project=${CONFIG.PROJECT_KEY}&branch=${branch}&ps=100`;
-    const historyResponse = execSync(`curl -s "${historyUrl}"`, { encoding: 'utf8' });
+  const cacheKey = `${repository.sonarProjectKey}@${branch}`;
+  if (historyCache[cacheKey]) {
+    return historyCache[cacheKey];
+  }
 
-    if (!historyResponse || !historyResponse.trim()) {
-      return null;
-    }
+  const history = {};
+  let page = 1;
+  let total = Infinity;
 
-    const historyData = JSON.parse(historyResponse);
+  while ((page - 1) * HISTORY_PAGE_SIZE < total) {
+    const url = `https://sonarcloud.io/api/measures/search_history?component=${repository.sonarProjectKey}&branch=${branch}&metrics=${CONFIG.METRICS}&from=${CONFIG.CALENDAR.START_DATE}&p=${page}&ps=${HISTORY_PAGE_SIZE}`;
+    const data = fetchWithCache('sonar', { url }, () => {
+      const response = runExternal('sonar', { url }, `curl -s -u "${CONFIG.SONAR_TOKEN}:" "${url}"`);
+      return response && response.trim() ? JSON.parse(response) : null;
+    });
 
-    if (!historyData.analyses || historyData.analyses.length === 0) {
-      return null;
+    if (!data || !data.measures) {
+      const reason = data && data.errors ? data.errors.map(e => e.msg).join('; ') : 'empty response';
+      throw new Error(`SonarCloud measure history for ${repository.sonarProjectKey} (${branch}): ${reason}`);
     }
 
-    // Find analysis closest to the end of the week
-    const weekEnd = new Date(week.end);
-    weekEnd.setHours(23, 59, 59, 999);
+    data.measures.forEach(measure => {
+      if (!history[measure.metric]) history[measure.metric] = [];
+      measure.history
+        .filter(point => point.value !== undefined && point.value !== '')
+        .forEach(point => history[measure.metric].push({ date: new Date(point.date), value: parseFloat(point.value) }));
+    });
 
-    let closestAnalysis = null;
-    let smallestDiff = Infinity;
+    total = data.paging ? data.paging.total : 0;
+    page++;
+  }
 
-    historyData.analyses.forEach(analysis => {
-      const analysisDate = new Date(analysis.date);
-      const diff = Math.abs(analysisDate - weekEnd);
+  Object.values(history).forEach(points => points.sort((a, b) => a.date - b.date));
+  historyCache[cacheKey] = history;
+  return history;
+}
 
-      // Prefer analyses on or before the week end
-      if (analysisDate <= weekEnd && diff < smallestDiff) {
-        smallestDiff = diff;
-        closestAnalysis = analysis;
-      }
-    });
+/**
+ * Historical SonarCloud metrics for a specific week
+ * Uses each metric's last recorded value on or before the end of the week
+ * (measures/search_history), so backfilled weeks show the values of that time.
+ * Returns raw metric keys plus analysisDate, or null when nothing was analysed by then.
+ */
+function fetchSonarMetricsForWeek(week, repository, branch = 'master') {
+  const history = fetchSonarMeasureHistory(repository, branch);
+  if (!history) {
+    return null;
+  }
 
-    // If no analysis found before week end, get the closest one after
-    if (!closestAnalysis) {
-      historyData.analyses.forEach(analysis => {
-        const analysisDate = new Date(analysis.date);
-        const diff = Math.abs(analysisDate - weekEnd);
-        if (diff < smallestDiff) {
-          smallestDiff = diff;
-          closestAnalysis = analysis;
-        }
-      });
-    }
+  const weekEnd = new Date(week.end);
+  weekEnd.setHours(23, 59, 59, 999);
 
-    if (!closestAnalysis) {
-      return null;
-    }
+  const metrics = {};
+  let analysisDate = null;
 
-    const analysisDate = new Date(closestAnalysis.date).toISOString().split('T')[0];
-    console.log(`    Using SonarCloud analysis from: ${analysisDate}`);
-
-    // Fetch metrics for this specific analysis
-    const METRICS = [
-      'coverage',
-      'vulnerabilities',
-      'sqale_rating',
-      'reliability_rating',
-      'security_rating',
-      'bugs',
-      'code_smells',
-      'duplicated_lines_density'
-    ];
-
-    const metricsUrl = `https://sonarcloud.io/api/measures/component_tree?component=${CONFIG.PROJECT_KEY}&branch=${branch}&metricKeys=${METRICS.join(',')}&ps=1`;
-    const metricsResponse = execSync(`curl -s -u "${CONFIG.SONAR_TOKEN}:" "${metricsUrl}"`, { encoding: 'utf8' });
-
-    if (!metricsResponse || !metricsResponse.trim()) {
-      return null;
-    }
+  Object.entries(history).forEach(([metric, points]) => {
+    const last = points.filter(point => point.date <= weekEnd).pop();
+    if (!last) return;
 
-    const data = JSON.parse(metricsResponse);
-
-    if (data.baseComponent && data.baseComponent.measures) {
-      const metrics = {};
-      data.baseComponent.measures.forEach(measure => {
-        metrics[measure.metric] = parseFloat(measure.value);
-      });
-      return metrics;
+    metrics[metric] = last.value;
+    if (!analysisDate || last.date > analysisDate) {
+      analysisDate = last.date;
     }
+  });
 
-    return null;
-  } catch (error) {
-    console.log(`    ⚠ Could not fetch historical SonarCloud metrics: ${error.message}`);
+  if (!analysisDate) {
     return null;
   }
+
+  metrics.analysisDate = analysisDate.toISOString().split('T')[0];
+  return metrics;
 }
 
 /**
  * Fetch SonarCloud metrics for a specific PR
  * Used for: Per-PR quality analysis
+ * Pass { merged: true } for merged PRs so the cached analysis never expires
  */
-function fetchSonarMetricsForPR(prNumber) {
-  if (!CONFIG.SONAR_TOKEN) {
+function fetchSonarMetricsForPR(prNumber, repository, options = {}) {
+  if (!hasCredentials(CONFIG.SONAR_TOKEN)) {
     return null;
   }
 
   try {
-    const url = `https://sonarcloud.io/api/measures/component?component=${CONFIG.PROJECT_KEY}&pullRequest=${prNumber}&metricKeys=${CONFIG.METRICS}`;
-    const response = execSync(`curl -s -u "${CONFIG.SONAR_TOKEN}:" "${url}"`, { encoding: 'utf8' });
+    const url = `https://sonarcloud.io/api/measures/component?component=${repository.sonarProjectKey}&pullRequest=${prNumber}&metricKeys=${CONFIG.METRICS}`;
+    const data = fetchWithCache('sonar', { url }, () => {
+      // Rate limiting (only when actually calling SonarCloud)
+      rateLimit(0.3);
+
+      const response = runExternal('sonar', { url }, `curl -s -u "${CONFIG.SONAR_TOKEN}:" "${url}"`);
+      return response && response.trim() ? JSON.parse(response) : null;
+    }, {
+      isImmutable: result => Boolean(options.merged && result.component)
+    });
 
-    if (!response || !response.trim()) {
+    if (!data) {
       return null;
     }
 
-    const data = JSON.parse(response);
-
     if (data.component && data.component.measures) {
       const metrics = {};
       data.component.measures.forEach(measure => {
@@ -165,10 +162,10 @@ function fetchSonarMetricsForPR(prNumber) {
 }
 
 /**
- * Aggregate SonarCloud metrics across multiple PRs
+ * Aggregate SonarCloud metrics across multiple (merged) PRs
  * Returns averaged metrics
  */
-function aggregateSonarMetrics(prNumbers) {
+function aggregateSonarMetrics(prNumbers, repository) {
   const metrics = {
     coverage: [],
     vulnerabilities: [],
@@ -183,7 +180,7 @@ function aggregateSonarMetrics(prNumbers) {
   let processedCount = 0;
 
   prNumbers.forEach(prNumber => {
-    const sonarMetrics = fetchSonarMetricsForPR(prNumber);
+    const sonarMetrics = fetchSonarMetricsForPR(prNumber, repository, { merged: true });
     if (sonarMetrics) {
       Object.keys(metrics).forEach(metricKey => {
         if (sonarMetrics[metricKey] !== undefined) {
@@ -196,9 +193,6 @@ function aggregateSonarMetrics(prNumbers) {
     if (processedCount % 10 === 0) {
       process.stdout.write(`\r  Processing SonarCloud metrics: ${processedCount}/${prNumbers.length}...`);
     }
-
-    // Rate limiting
-    execSync('sleep 0.3');
   });
 
   if (prNumbers.length > 0) {
@@ -216,21 +210,31 @@ function aggregateSonarMetrics(prNumbers) {
     }
   }
 
+  return toQualityMetrics(averages);
+}
+
+/**
+ * Map SonarCloud metric keys to the dataset's quality fields (missing metrics become null)
+ */
+function toQualityMetrics(sonarMetrics) {
+  const value = key => (sonarMetrics[key] !== undefined ? sonarMetrics[key] : null);
   return {
-    testCoverage: averages.coverage,
-    cves: averages.vulnerabilities,
-    duplicatedLines: averages.duplicated_lines_density,
-    maintainability: averages.sqale_rating,
-    reliability: averages.reliability_rating,
-    security: averages.security_rating,
-    bugs: averages.bugs,
-    codeSmells: averages.code_smells
+    testCoverage: value('coverage'),
+    cves: value('vulnerabilities'),
+    duplicatedLines: value('duplicated_lines_density'),
+    maintainability: value('sqale_rating'),
+    reliability: value('reliability_rating'),
+    security: value('security_rating'),
+    bugs: value('bugs'),
+    codeSmells: value('code_smells')
   };
 }
 
 module.exports = {
   fetchSonarMetricsLatest,
+  fetchSonarMeasureHistory,
   fetchSonarMetricsForWeek,
   fetchSonarMetricsForPR,
-  aggregateSonarMetrics
+  aggregateSonarMetrics,
+  toQualityMetrics
 };
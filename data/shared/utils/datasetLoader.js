@@ -0,0 +1,99 @@
+// Load and validate the weekly metrics dataset (data/weeklyData.json)
+const fs = require('fs');
+const path = require('path');
+const CONFIG = require('../../config');
+const { validate, formatErrors } = require('./schemaValidator');
+
+const SCHEMA_PATH = path.join(__dirname, '../../schema/weeklyData.schema.json');
+const SCHEMA_VERSION = 1;
+
+function loadSchema() {
+  return JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf8'));
+}
+
+/**
+ * Validate a dataset object against the schema
+ * Throws with every problem listed so a broken collection run is easy to fix
+ */
+function validateDataset(dataset, source = 'dataset') {
+  if (dataset && typeof dataset === 'object' && dataset.schemaVersion !== undefined && dataset.schemaVersion !== SCHEMA_VERSION) {
+    throw new Error(`${source} has schemaVersion ${dataset.schemaVersion}, but this version of the scripts reads schemaVersion ${SCHEMA_VERSION}. Re-run "metrics collect" to regenerate it.`);
+  }
+
+  const errors = validate(dataset, loadSchema()).map(error => {
+    // Name the week in the path, e.g. $.weeks[4] (Week 5).featurePRs
+    const match = error.path.match(/^\$\.weeks\[(\d+)\]/);
+    const week = match && dataset.weeks[match[1]] && dataset.weeks[match[1]].week;
+    return week ? { ...error, path: error.path.replace(match[0], `${match[0]} (${week})`) } : error;
+  });
+  if (errors.length > 0) {
+    throw new Error(`${source} does not match ${path.relative(process.cwd(), SCHEMA_PATH)} (${errors.length} problem${errors.length === 1 ? '' : 's'}):\n${formatErrors(errors)}`);
+  }
+
+  return dataset;
+}
+
+/**
+ * Replace the portfolio rollup of each week with one repository's metrics
+ * Portfolio-only fields (transcripts, token breakdown) are kept; weeks where the
+ * repository has no entry get nulls for the repository-level fields.
+ */
+function selectRepositoryView(weeks, repoName) {
+  const available = [...new Set(weeks.flatMap(w => Object.keys(w.repositories || {})))];
+  if (!available.includes(repoName)) {
+    throw new Error(`Repository "${repoName}" is not in the dataset (available: ${available.length > 0 ? available.join(', ') : 'none'}, or "portfolio")`);
+  }
+
+  const repoFields = [...new Set(weeks.flatMap(w => Object.keys((w.repositories || {})[repoName] || {})))];
+  return weeks.map(week => {
+    const { repositories, ...portfolio } = week;
+    const view = { ...portfolio };
+    repoFields.forEach(field => { view[field] = null; });
+    return Object.assign(view, (repositories || {})[repoName]);
+  });
+}
+
+/**
+ * Load the weekly dataset for the report
+ * options.view: 'portfolio' (default) or a repository name from the dataset
+ * options.weeks: names of the weeks to keep (defaults to every week in the dataset)
+ * Returns { weeklyData, labels, validWeeks, generatedAt, view }
+ */
+function loadWeeklyDataset(filePath = CONFIG.WEEKLY_DATA_FILE, options = {}) {
+  const resolved = path.resolve(filePath);
+  if (!fs.existsSync(resolved)) {
+    throw new Error(`Weekly dataset not found: ${resolved}. Run "metrics collect" first.`);
+  }
+
+  let dataset;
+  try {
+    dataset = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not parse weekly dataset ${resolved}: ${err.message}`);
+  }
+
+  validateDataset(dataset, resolved);
+
+  const view = options.view || 'portfolio';
+  let weeks = dataset.weeks;
+  if (options.weeks) {
+    weeks = weeks.filter(week => options.weeks.includes(week.week));
+    if (weeks.length === 0) {
+      throw new Error(`None of the selected weeks (${options.weeks.join(', ')}) are in ${resolved}`);
+    }
+  }
+  const weeklyData = view === 'portfolio' ? weeks : selectRepositoryView(weeks, view);
+  return {
+    weeklyData,
+    labels: weeklyData.map(d => d.period),
+    validWeeks: weeklyData.filter(d => d.featurePRs > 0),
+    generatedAt: dataset.generatedAt,
+    view
+  };
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  validateDataset,
+  loadWeeklyDataset
+};
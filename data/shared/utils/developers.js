@@ -0,0 +1,71 @@
+// Developer identities: transcript folders mapped to GitHub logins, and stable pseudonyms for reports
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const CONFIG = require('../../config');
+
+const saltsByFile = {}; // salt file -> salt read or generated this run
+
+/**
+ * Developer id for a GitHub login (logins are case-insensitive)
+ */
+function developerForLogin(login) {
+  return login ? login.toLowerCase() : null;
+}
+
+/**
+ * Developer id for a transcript folder: its login from CONFIG.DEVELOPER_LOGINS, else the folder name
+ */
+function developerForFolder(folder) {
+  if (!folder) return null;
+  const mapped = Object.entries(CONFIG.DEVELOPER_LOGINS || {})
+    .find(([name]) => name.toLowerCase() === folder.toLowerCase());
+  return developerForLogin(mapped ? mapped[1] : folder);
+}
+
+/**
+ * Salt for pseudonyms: CONFIG.PSEUDONYM_SALT, else the one in CONFIG.PSEUDONYM_SALT_FILE, generated there on first use
+ */
+function pseudonymSalt() {
+  if (CONFIG.PSEUDONYM_SALT) return CONFIG.PSEUDONYM_SALT;
+
+  const file = CONFIG.PSEUDONYM_SALT_FILE;
+  if (!file) {
+    throw new Error('Cannot pseudonymise developers without a salt: set PSEUDONYM_SALT or PSEUDONYM_SALT_FILE');
+  }
+  if (!saltsByFile[file]) {
+    const existing = fs.existsSync(file) ? fs.readFileSync(file, 'utf8').trim() : '';
+    if (existing) {
+      saltsByFile[file] = existing;
+    } else {
+      saltsByFile[file] = crypto.randomBytes(32).toString('hex');
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, `${saltsByFile[file]}\n`, { mode: 0o600 });
+      console.log(`✓ Generated a pseudonym salt in ${file} (keep it private; copy it to share pseudonyms)`);
+    }
+  }
+  return saltsByFile[file];
+}
+
+/**
+ * Stable pseudonym for a developer id, e.g. "Dev 4F2A9C01" (salted, see pseudonymSalt)
+ */
+function pseudonym(developer) {
+  const hash = crypto.createHash('sha256').update(`${pseudonymSalt()}:${developer}`).digest('hex');
+  return `Dev ${hash.slice(0, 8).toUpperCase()}`;
+}
+
+/**
+ * Name shown for a developer: the pseudonym, unless pseudonyms are off or real names were asked for
+ */
+function displayName(developer, { realNames = false } = {}) {
+  if (!developer) return 'Unknown';
+  return CONFIG.PSEUDONYMISE_DEVELOPERS && !realNames ? pseudonym(developer) : developer;
+}
+
+module.exports = {
+  developerForLogin,
+  developerForFolder,
+  pseudonym,
+  displayName
+};
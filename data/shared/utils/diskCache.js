@@ -0,0 +1,138 @@
+// Content-addressed on-disk cache for GitHub, JIRA and SonarCloud responses
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const CONFIG = require('../../config');
+
+let refresh = false;
+const stats = {};
+
+/**
+ * Ignore existing entries for the rest of the run (--refresh); fresh responses are still written
+ */
+function setRefresh(value) {
+  refresh = Boolean(value);
+}
+
+function recordStat(source, outcome) {
+  if (!stats[source]) {
+    stats[source] = { hits: 0, misses: 0, expired: 0, writes: 0 };
+  }
+  stats[source][outcome]++;
+}
+
+/**
+ * Hash the source and request descriptor (never include credentials in the descriptor)
+ */
+function cacheKey(source, request) {
+  return crypto.createHash('sha256').update(JSON.stringify({ source, request })).digest('hex');
+}
+
+function cachePath(source, key) {
+  return path.join(CONFIG.CACHE_DIR, source, key.slice(0, 2), `${key}.json`);
+}
+
+function isEnabled() {
+  // Recording and replaying must see every request, so the cache only applies to live runs
+  const isLive = !CONFIG.API_MODE || CONFIG.API_MODE === 'live';
+  return isLive && CONFIG.CACHE_ENABLED !== false && Boolean(CONFIG.CACHE_DIR);
+}
+
+function readEntry(source, key) {
+  const filePath = cachePath(source, key);
+  if (!fs.existsSync(filePath)) return null;
+
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    // Treat corrupt entries as missing; they are overwritten on the next fetch
+    return null;
+  }
+}
+
+function writeEntry(source, key, entry) {
+  const filePath = cachePath(source, key);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(entry));
+}
+
+/**
+ * Return a cached response or call fetchFn and store its result
+ *
+ * options.isImmutable(value)  entries for which this returns true never expire
+ *                             (merged PRs, closed tickets)
+ * TTLs come from CONFIG.CACHE_TTL_MINUTES[source]. null/undefined results are not cached.
+ */
+function fetchWithCache(source, request, fetchFn, options = {}) {
+  if (!isEnabled()) {
+    return fetchFn();
+  }
+
+  const key = cacheKey(source, request);
+
+  if (!refresh) {
+    const entry = readEntry(source, key);
+    if (entry) {
+      const ttlMinutes = (CONFIG.CACHE_TTL_MINUTES || {})[source];
+      const ageMs = Date.now() - new Date(entry.storedAt).getTime();
+      const isFresh = entry.immutable || (ttlMinutes !== undefined && ageMs < ttlMinutes * 60 * 1000);
+
+      if (isFresh) {
+        recordStat(source, 'hits');
+        return entry.value;
+      }
+      recordStat(source, 'expired');
+    }
+  }
+
+  recordStat(source, 'misses');
+  const value = fetchFn();
+
+  if (value !== null && value !== undefined) {
+    const immutable = options.isImmutable ? Boolean(options.isImmutable(value)) : false;
+    writeEntry(source, key, {
+      source,
+      request,
+      storedAt: new Date().toISOString(),
+      immutable,
+      value
+    });
+    recordStat(source, 'writes');
+  }
+
+  return value;
+}
+
+function getCacheStats() {
+  return JSON.parse(JSON.stringify(stats));
+}
+
+/**
+ * Print per-source hit statistics for the run
+ */
+function printCacheStats() {
+  const sources = Object.keys(stats);
+  if (!isEnabled()) {
+    console.log(`Cache: disabled${CONFIG.API_MODE && CONFIG.API_MODE !== 'live' ? ` (${CONFIG.API_MODE} mode)` : ''}`);
+    return;
+  }
+  if (sources.length === 0) {
+    console.log('Cache: no cacheable requests made');
+    return;
+  }
+
+  console.log(`Cache (${CONFIG.CACHE_DIR}${refresh ? ', refreshed' : ''}):`);
+  sources.forEach(source => {
+    const s = stats[source];
+    const lookups = s.hits + s.misses;
+    const hitRate = lookups > 0 ? ((s.hits / lookups) * 100).toFixed(1) : '0.0';
+    console.log(`  ${source}: ${s.hits} hits, ${s.misses} misses (${s.expired} expired), ${hitRate}% hit rate`);
+  });
+}
+
+module.exports = {
+  fetchWithCache,
+  setRefresh,
+  getCacheStats,
+  printCacheStats
+};
@@ -0,0 +1,116 @@
+// Run external API commands (gh, curl) with optional record/replay of their responses
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { execSync } = require('child_process');
+const CONFIG = require('../../config');
+
+const MODES = ['live', 'record', 'replay'];
+const missingRecordings = [];
+
+/**
+ * Switch between live calls, recording responses into dir, or replaying them from dir
+ */
+function setApiMode(mode, fixturesDir) {
+  if (!MODES.includes(mode)) {
+    throw new Error(`Unknown API mode "${mode}" (expected ${MODES.join(', ')})`);
+  }
+  if (mode !== 'live' && !fixturesDir) {
+    throw new Error(`API mode "${mode}" needs a fixtures directory`);
+  }
+  if (mode === 'replay' && !fs.existsSync(fixturesDir)) {
+    throw new Error(`Fixtures directory not found: ${path.resolve(fixturesDir)}`);
+  }
+
+  CONFIG.API_MODE = mode;
+  CONFIG.API_FIXTURES_DIR = fixturesDir ? path.resolve(fixturesDir) : null;
+}
+
+function getApiMode() {
+  return CONFIG.API_MODE || 'live';
+}
+
+function fixturePath(source, request) {
+  const key = crypto.createHash('sha256').update(JSON.stringify({ source, request })).digest('hex');
+  return path.join(CONFIG.API_FIXTURES_DIR, source, `${key}.json`);
+}
+
+/**
+ * Execute a command against an external service and return its stdout
+ *
+ * source   'github' | 'jira' | 'sonar'
+ * request  descriptor identifying the request; used as the fixture key, so it must not contain credentials
+ * command  the shell command to run (may contain credentials; never recorded)
+ */
+function runExternal(source, request, command, options = {}) {
+  const mode = getApiMode();
+  const execOptions = { encoding: 'utf8', ...options };
+
+  if (mode === 'replay') {
+    const filePath = fixturePath(source, request);
+    if (!fs.existsSync(filePath)) {
+      const description = `${source} ${JSON.stringify(request)}`;
+      missingRecordings.push(description);
+      console.error(`  ✗ REPLAY: no recording for ${description}`);
+      throw new Error(`No recording for ${description}`);
+    }
+
+    const fixture = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (fixture.error) {
+      throw new Error(fixture.error);
+    }
+    return fixture.response;
+  }
+
+  if (mode === 'live') {
+    return execSync(command, execOptions);
+  }
+
+  // Record: store the response (or failure) so a replay run behaves the same way
+  const filePath = fixturePath(source, request);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  try {
+    const response = execSync(command, execOptions);
+    fs.writeFileSync(filePath, JSON.stringify({ source, request, recordedAt: new Date().toISOString(), response }, null, 2));
+    return response;
+  } catch (err) {
+    fs.writeFileSync(filePath, JSON.stringify({ source, request, recordedAt: new Date().toISOString(), error: err.message }, null, 2));
+    throw err;
+  }
+}
+
+/**
+ * Whether a credentialed API can be called: replays need no token, since nothing is sent
+ */
+function hasCredentials(token) {
+  return Boolean(token) || getApiMode() === 'replay';
+}
+
+/**
+ * Pause between API calls; skipped when replaying
+ */
+function rateLimit(seconds) {
+  if (getApiMode() === 'replay') return;
+  execSync(`sleep ${seconds}`);
+}
+
+/**
+ * Fail the run if any request had no recording
+ * Called before writing output so a replay never silently produces partial data
+ */
+function assertReplayComplete() {
+  if (getApiMode() !== 'replay' || missingRecordings.length === 0) return;
+
+  const unique = [...new Set(missingRecordings)];
+  throw new Error(`Replay failed: ${unique.length} request(s) have no recording in ${CONFIG.API_FIXTURES_DIR}:\n${unique.map(r => `  - ${r}`).join('\n')}\nRe-run with --record to capture them.`);
+}
+
+module.exports = {
+  setApiMode,
+  getApiMode,
+  runExternal,
+  hasCredentials,
+  rateLimit,
+  assertReplayComplete
+};
@@ -0,0 +1,123 @@
+// Load a per-team profile (JSON or YAML) and apply it to CONFIG
+const fs = require('fs');
+const path = require('path');
+const CONFIG = require('../../config');
+const { validate, formatErrors } = require('./schemaValidator');
+
+const SCHEMA_PATH = path.join(__dirname, '../../schema/profile.schema.json');
+
+// Profile key -> CONFIG key
+const CONFIG_KEYS = {
+  repositories: 'REPOSITORIES',
+  nktModuleCount: 'NKT_MODULE_COUNT',
+  usdToGbp: 'USD_TO_GBP',
+  toolErrorRules: 'TOOL_ERROR_RULES',
+  developerLogins: 'DEVELOPER_LOGINS',
+  jiraBoardId: 'JIRA_BOARD_ID'
+};
+
+function parseProfile(resolved) {
+  const content = fs.readFileSync(resolved, 'utf8');
+  const extension = path.extname(resolved).toLowerCase();
+
+  if (extension === '.json') {
+    return JSON.parse(content);
+  }
+  if (extension === '.yaml' || extension === '.yml') {
+    return require('yaml').parse(content);
+  }
+  throw new Error(`expected a .json, .yaml or .yml file, got "${extension || 'no extension'}"`);
+}
+
+/**
+ * Checks the schema cannot express: unique repository names/repos and tickets matching their JIRA project
+ */
+function checkRepositories(repositories) {
+  const errors = [];
+  const seen = {};
+
+  repositories.forEach((repository, index) => {
+    ['name', 'repo'].forEach(key => {
+      const value = repository[key];
+      if (seen[`${key}:${value}`] !== undefined) {
+        errors.push({ path: `$.repositories[${index}].${key}`, message: `duplicates $.repositories[${seen[`${key}:${value}`]}].${key} ("${value}")` });
+      } else {
+        seen[`${key}:${value}`] = index;
+      }
+    });
+
+    (repository.excludedTickets || []).forEach((ticket, ticketIndex) => {
+      if (!ticket.startsWith(`${repository.jiraProjectPrefix}-`)) {
+        errors.push({ path: `$.repositories[${index}].excludedTickets[${ticketIndex}]`, message: `"${ticket}" is not a ${repository.jiraProjectPrefix} ticket` });
+      }
+    });
+  });
+
+  return errors;
+}
+
+/**
+ * Tool error rule patterns must be valid regular expressions
+ */
+function checkToolErrorRules(rules) {
+  const errors = [];
+  rules.forEach((rule, index) => {
+    try {
+      new RegExp(rule.pattern, 'i');
+    } catch (err) {
+      errors.push({ path: `$.toolErrorRules[${index}].pattern`, message: err.message });
+    }
+  });
+  return errors;
+}
+
+/**
+ * Read and validate a profile
+ * Throws with every problem listed
+ */
+function loadProfile(filePath) {
+  const resolved = path.resolve(filePath);
+  if (!fs.existsSync(resolved)) {
+    throw new Error(`Profile not found: ${resolved}`);
+  }
+
+  let profile;
+  try {
+    profile = parseProfile(resolved);
+  } catch (err) {
+    throw new Error(`Could not parse profile ${resolved}: ${err.message}`);
+  }
+
+  const schema = JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf8'));
+  const errors = validate(profile, schema);
+  if (errors.length === 0) {
+    errors.push(...checkRepositories(profile.repositories));
+    errors.push(...checkToolErrorRules(profile.toolErrorRules || []));
+  }
+  if (errors.length > 0) {
+    throw new Error(`Profile ${resolved} is invalid (${errors.length} problem${errors.length === 1 ? '' : 's'}):\n${formatErrors(errors)}`);
+  }
+
+  return profile;
+}
+
+/**
+ * Load a profile and replace the matching CONFIG values for this run
+ */
+function applyProfile(filePath) {
+  const profile = loadProfile(filePath);
+
+  Object.entries(CONFIG_KEYS).forEach(([key, configKey]) => {
+    if (profile[key] !== undefined) {
+      CONFIG[configKey] = profile[key];
+    }
+  });
+  CONFIG.PROFILE_NAME = profile.name;
+
+  return profile;
+}
+
+module.exports = {
+  loadProfile,
+  applyProfile
+};
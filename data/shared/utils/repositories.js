@@ -0,0 +1,52 @@
+// Repository lookups for multi-repository runs (CONFIG.REPOSITORIES)
+const CONFIG = require('../../config');
+
+function getRepositories() {
+  if (!Array.isArray(CONFIG.REPOSITORIES) || CONFIG.REPOSITORIES.length === 0) {
+    throw new Error('No repositories configured (CONFIG.REPOSITORIES is empty)');
+  }
+  return CONFIG.REPOSITORIES;
+}
+
+/**
+ * Find a repository by name (e.g. "cath-service") or slug (e.g. "hmcts/cath-service")
+ */
+function getRepository(nameOrSlug) {
+  const repositories = getRepositories();
+  if (!nameOrSlug) {
+    return repositories[0];
+  }
+
+  const repository = repositories.find(r => r.name === nameOrSlug || r.repo === nameOrSlug);
+  if (!repository) {
+    throw new Error(`Unknown repository "${nameOrSlug}" (configured: ${repositories.map(r => r.name).join(', ')})`);
+  }
+  return repository;
+}
+
+/**
+ * Check whether a JIRA ticket belongs to the repository's JIRA project
+ */
+function isRepositoryTicket(repository, ticket) {
+  if (!ticket) return false;
+  if (!repository.jiraProjectPrefix) return true;
+  return ticket.toUpperCase().startsWith(`${repository.jiraProjectPrefix.toUpperCase()}-`);
+}
+
+/**
+ * Directory names the repository is checked out as on developers' machines: checkoutDirs, or by default its GitHub
+ * name and its short name (used to tell which repository an agent edit was made in)
+ */
+function checkoutDirNames(repository) {
+  if (Array.isArray(repository.checkoutDirs) && repository.checkoutDirs.length > 0) {
+    return repository.checkoutDirs;
+  }
+  return [...new Set([repository.repo.split('/').pop(), repository.name])];
+}
+
+module.exports = {
+  getRepositories,
+  getRepository,
+  isRepositoryTicket,
+  checkoutDirNames
+};
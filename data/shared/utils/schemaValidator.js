@@ -0,0 +1,107 @@
+// Minimal JSON Schema validator covering the keywords used by data/schema/*.json
+// Supported: type (incl. arrays and "integer"), enum, const, required, properties,
+// additionalProperties, items, minItems, minimum, maximum, minLength, pattern
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    default:
+      return typeOf(value) === type;
+  }
+}
+
+/**
+ * Validate a value against a schema
+ * Returns an array of { path, message } errors (empty when valid)
+ */
+function validate(value, schema, path = '$') {
+  const errors = [];
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push({ path, message: `expected ${types.join(' or ')}, got ${typeOf(value)}` });
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => option === value)) {
+    errors.push({ path, message: `expected one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}, got ${JSON.stringify(value)}` });
+  }
+
+  if (schema.const !== undefined && value !== schema.const) {
+    errors.push({ path, message: `expected ${JSON.stringify(schema.const)}, got ${JSON.stringify(value)}` });
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, message: `must be >= ${schema.minimum}, got ${value}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, message: `must be <= ${schema.maximum}, got ${value}` });
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path, message: `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path, message: `must match ${schema.pattern}, got ${JSON.stringify(value)}` });
+    }
+  }
+
+  if (Array.isArray(value) && schema.minItems !== undefined && value.length < schema.minItems) {
+    errors.push({ path, message: `must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}` });
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validate(item, schema.items, `${path}[${index}]`));
+    });
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+
+    (schema.required || []).forEach(key => {
+      if (!(key in value)) {
+        errors.push({ path: `${path}.${key}`, message: 'is required' });
+      }
+    });
+
+    Object.entries(value).forEach(([key, propValue]) => {
+      const propPath = `${path}.${key}`;
+      if (properties[key]) {
+        errors.push(...validate(propValue, properties[key], propPath));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: propPath, message: 'is not allowed' });
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        errors.push(...validate(propValue, schema.additionalProperties, propPath));
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Format validation errors as one line each
+ */
+function formatErrors(errors) {
+  return errors.map(e => `  - ${e.path} ${e.message}`).join('\n');
+}
+
+module.exports = {
+  validate,
+  formatErrors
+};
@@ -0,0 +1,88 @@
+// Build programme week definitions from a start date instead of hardcoding them
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Parse YYYY-MM-DD (or a Date) as a UTC midnight timestamp
+ */
+function toUTCDate(value) {
+  if (value instanceof Date) {
+    return new Date(Date.UTC(value.getFullYear(), value.getMonth(), value.getDate()));
+  }
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    throw new Error(`Invalid calendar date "${value}" (expected YYYY-MM-DD)`);
+  }
+  const date = new Date(`${value}T00:00:00Z`);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid calendar date "${value}"`);
+  }
+  return date;
+}
+
+function formatISODate(date) {
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Format a period label such as "Oct 7-10" or "Sep 29-Oct 3"
+ */
+function formatPeriod(start, end) {
+  const startMonth = MONTHS[start.getUTCMonth()];
+  const endMonth = MONTHS[end.getUTCMonth()];
+  const endLabel = startMonth === endMonth ? `${end.getUTCDate()}` : `${endMonth} ${end.getUTCDate()}`;
+  return `${startMonth} ${start.getUTCDate()}-${endLabel}`;
+}
+
+/**
+ * Generate week definitions ({ name, start, end, period }) for the programme
+ *
+ * calendar.START_DATE    first day of Week 1 (YYYY-MM-DD)
+ * calendar.END_DATE      last date to include (defaults to today)
+ * calendar.WEEK_START_DAY day each working week starts on (0 = Sunday, 1 = Monday)
+ * calendar.WORKING_DAYS  number of days in each period (5 = Monday-Friday)
+ * calendar.SKIP_WEEKS    dates falling in holiday weeks; those weeks are left out and not numbered
+ */
+function buildWeekCalendar(calendar, today = new Date()) {
+  const programmeStart = toUTCDate(calendar.START_DATE);
+  const until = calendar.END_DATE ? toUTCDate(calendar.END_DATE) : toUTCDate(today);
+  const weekStartDay = calendar.WEEK_START_DAY !== undefined ? calendar.WEEK_START_DAY : 1;
+  const workingDays = calendar.WORKING_DAYS || 5;
+  const skipDates = (calendar.SKIP_WEEKS || []).map(toUTCDate);
+
+  if (weekStartDay < 0 || weekStartDay > 6) {
+    throw new Error(`Invalid WEEK_START_DAY ${weekStartDay} (expected 0-6)`);
+  }
+  if (workingDays < 1 || workingDays > 7) {
+    throw new Error(`Invalid WORKING_DAYS ${workingDays} (expected 1-7)`);
+  }
+
+  // Align to the start of the calendar week containing the programme start date
+  const offset = (programmeStart.getUTCDay() - weekStartDay + 7) % 7;
+  let weekStart = new Date(programmeStart.getTime() - offset * DAY_MS);
+
+  const weeks = [];
+  while (weekStart <= until) {
+    const weekEnd = new Date(weekStart.getTime() + 7 * DAY_MS);
+    const periodStart = weekStart < programmeStart ? programmeStart : weekStart;
+    const periodEnd = new Date(weekStart.getTime() + (workingDays - 1) * DAY_MS);
+    const isSkipped = skipDates.some(date => date >= weekStart && date < weekEnd);
+
+    if (!isSkipped && periodStart <= periodEnd && periodStart <= until) {
+      weeks.push({
+        name: `Week ${weeks.length + 1}`,
+        start: formatISODate(periodStart),
+        end: formatISODate(periodEnd),
+        period: formatPeriod(periodStart, periodEnd)
+      });
+    }
+
+    weekStart = weekEnd;
+  }
+
+  return weeks;
+}
+
+module.exports = {
+  buildWeekCalendar,
+  formatPeriod
+};
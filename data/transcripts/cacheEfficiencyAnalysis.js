@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const CONFIG = require('../config');
+const { analyzeCacheEfficiencyForWeek } = require('./utils/cacheEfficiency');
+const { loadTranscriptIndex } = require('./utils/transcriptIndex');
+const { writeJSON } = require('../shared/utils/fileUtils');
+
+function percent(value) {
+  return value !== null ? `${(value * 100).toFixed(1)}%` : 'N/A';
+}
+
+/**
+ * Print cache hit ratio, cost saved by caching and poor-caching sessions per week and export them as JSON for `metrics collect`
+ * Options: weeks (defaults to CONFIG.WEEKS), output (JSON export path, defaults to CONFIG.TRANSCRIPT_EXPORTS_DIR)
+ */
+async function runCacheEfficiencyAnalysis(options = {}) {
+  const weeks = options.weeks || CONFIG.WEEKS;
+  const results = [];
+
+  console.log('='.repeat(80));
+  console.log('PROMPT CACHE EFFICIENCY FROM TRANSCRIPTS');
+  console.log('='.repeat(80));
+  console.log();
+
+  const index = await loadTranscriptIndex();
+  console.log();
+
+  weeks.forEach(week => {
+    console.log(`${week.name} (${week.period}):`);
+
+    try {
+      const result = analyzeCacheEfficiencyForWeek(week, index);
+      results.push({ week: week.name, period: week.period, ...result });
+
+      const cache = result.cacheEfficiency;
+      if (cache.inputTokens === 0) {
+        console.log('  No token usage');
+        console.log();
+        return;
+      }
+
+      console.log(`  Input Tokens: ${cache.inputTokens.toLocaleString()} (${cache.cacheReadTokens.toLocaleString()} cache read, ${cache.cacheCreationTokens.toLocaleString()} cache write)`);
+      console.log(`  Cache Hit Ratio: ${percent(cache.hitRatio)} (median session ${percent(cache.medianSessionHitRatio)})`);
+      console.log(`  Cost Saved by Caching: ${cache.costSaved !== null ? `$${cache.costSaved.toFixed(2)} of $${cache.inputCostWithoutCache.toFixed(2)} input cost` : 'N/A (no priced models)'}`);
+      console.log(`  Sessions with Poor Cache Reuse: ${cache.poorSessionCount}`);
+      cache.poorSessions.forEach(session => {
+        console.log(`    ${session.sessionId} (${session.developer || 'unknown'}, ${session.ticket}): ${percent(session.cacheHitRatio)} of ${session.inputTokens.toLocaleString()} tokens`);
+      });
+      console.log();
+    } catch (err) {
+      console.error(`  Error: ${err.message}`);
+      console.log();
+    }
+  });
+
+  console.log('='.repeat(80));
+
+  if (results.length > 0) {
+    const outputPath = options.output
+      ? path.resolve(options.output)
+      : path.join(CONFIG.TRANSCRIPT_EXPORTS_DIR, 'cacheEfficiency.json');
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    writeJSON(outputPath, { type: 'cacheEfficiency', generatedAt: new Date().toISOString(), weeks: results });
+    console.log(`Cache efficiency export written to: ${outputPath}`);
+  }
+
+  return results;
+}
+
+module.exports = { runCacheEfficiencyAnalysis };
+
+if (require.main === module) {
+  require('../../cli/commands').runCommand(['transcripts', 'cache'], process.argv.slice(2));
+}
@@ -0,0 +1,145 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const CONFIG = require('../config');
+const { samplePrompts, evaluateClassifier, formatConfusionMatrix } = require('./utils/classifierEvaluation');
+const { loadPromptTaxonomy } = require('./utils/promptTaxonomy');
+const { loadTranscriptIndex } = require('./utils/transcriptIndex');
+const { writeJSON } = require('../shared/utils/fileUtils');
+
+function categoryNames(taxonomy) {
+  return [...taxonomy.categories.map(category => category.name), taxonomy.fallback];
+}
+
+/**
+ * Export a random sample of prompts with their current classification for labelling
+ * Options: weeks (defaults to CONFIG.WEEKS), size (default 200), seed (default 1),
+ * output (labelling file, defaults to CONFIG.PROMPT_LABELS_FILE; an existing file with labels is never overwritten)
+ */
+async function runPromptSample(options = {}) {
+  const weeks = options.weeks || CONFIG.WEEKS;
+  const size = options.size !== undefined ? parseInt(options.size, 10) : 200;
+  const seed = options.seed !== undefined ? parseInt(options.seed, 10) : 1;
+  const outputPath = path.resolve(options.output || CONFIG.PROMPT_LABELS_FILE);
+
+  if (!Number.isInteger(size) || size < 1) {
+    throw new Error(`--size must be a positive whole number, got "${options.size}"`);
+  }
+  if (!Number.isInteger(seed)) {
+    throw new Error(`--seed must be a whole number, got "${options.seed}"`);
+  }
+  if (fs.existsSync(outputPath)) {
+    const existing = JSON.parse(fs.readFileSync(outputPath, 'utf8'));
+    const labelled = (existing.prompts || []).filter(prompt => prompt.label).length;
+    if (labelled > 0) {
+      throw new Error(`${outputPath} already has ${labelled} labelled prompt(s); pass a different --output for the new sample`);
+    }
+  }
+
+  const taxonomy = loadPromptTaxonomy();
+  const index = await loadTranscriptIndex();
+  const prompts = samplePrompts(index, weeks, taxonomy, { size, seed });
+
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  writeJSON(outputPath, {
+    type: 'promptLabels',
+    generatedAt: new Date().toISOString(),
+    taxonomy: taxonomy.file,
+    seed,
+    categories: categoryNames(taxonomy),
+    prompts
+  });
+
+  console.log(`Sampled ${prompts.length} prompts from ${weeks.length} week(s) to: ${outputPath}`);
+  console.log('Set "label" on each prompt to one of the listed categories, then run "metrics classifier evaluate".');
+
+  return prompts;
+}
+
+function printEvaluation(title, result) {
+  console.log(title);
+  console.log(`  Accuracy: ${result.accuracy} (primary category), ${result.labelAccuracy} (label among predicted labels)`);
+  console.log();
+  console.log(`  ${'Category'.padEnd(22)}${'Precision'.padStart(10)}${'Recall'.padStart(8)}${'F1'.padStart(8)}${'Support'.padStart(9)}${'Predicted'.padStart(11)}`);
+  Object.entries(result.categories).forEach(([name, stats]) => {
+    const value = v => (v !== null ? v.toFixed(2) : 'N/A');
+    console.log(`  ${name.padEnd(22)}${value(stats.precision).padStart(10)}${value(stats.recall).padStart(8)}${value(stats.f1).padStart(8)}${String(stats.support).padStart(9)}${String(stats.predicted).padStart(11)}`);
+  });
+  console.log();
+  formatConfusionMatrix(result.confusion, Object.keys(result.categories)).forEach(line => console.log(`  ${line}`));
+  console.log();
+}
+
+/**
+ * Score the current taxonomy (and optionally a proposed one) against a labelled sample
+ * Options: labels (labelling file, defaults to CONFIG.PROMPT_LABELS_FILE), taxonomy (proposed taxonomy file),
+ * output (optional JSON report path)
+ */
+async function runClassifierEvaluation(options = {}) {
+  const labelsPath = path.resolve(options.labels || CONFIG.PROMPT_LABELS_FILE);
+  if (!fs.existsSync(labelsPath)) {
+    throw new Error(`Labelling file not found: ${labelsPath}. Run "metrics classifier sample" first.`);
+  }
+
+  let labelsFile;
+  try {
+    labelsFile = JSON.parse(fs.readFileSync(labelsPath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not parse labelling file ${labelsPath}: ${err.message}`);
+  }
+  if (!labelsFile || !Array.isArray(labelsFile.prompts)) {
+    throw new Error(`${labelsPath} is not a labelling file (missing prompts)`);
+  }
+
+  const labelled = labelsFile.prompts.filter(prompt => typeof prompt.label === 'string' && prompt.label.trim());
+  if (labelled.length === 0) {
+    throw new Error(`No labelled prompts in ${labelsPath}; set "label" on the prompts first`);
+  }
+  const samples = labelled.map(prompt => ({ text: prompt.text, label: prompt.label.trim() }));
+
+  const current = loadPromptTaxonomy();
+  const taxonomies = [{ name: 'current', title: `Current taxonomy (${current.file})`, taxonomy: current }];
+  if (options.taxonomy) {
+    const proposed = loadPromptTaxonomy(options.taxonomy);
+    taxonomies.push({ name: 'proposed', title: `Proposed taxonomy (${proposed.file})`, taxonomy: proposed });
+  }
+
+  console.log('='.repeat(80));
+  console.log('PROMPT CLASSIFIER EVALUATION');
+  console.log('='.repeat(80));
+  console.log();
+  console.log(`${labelled.length} of ${labelsFile.prompts.length} prompts labelled in ${labelsPath}`);
+
+  const known = new Set(taxonomies.flatMap(({ taxonomy }) => categoryNames(taxonomy)));
+  const unknown = [...new Set(samples.map(sample => sample.label).filter(label => !known.has(label)))];
+  if (unknown.length > 0) {
+    console.log(`⚠ Labels not in any taxonomy (typos?): ${unknown.join(', ')}`);
+  }
+  console.log();
+
+  const results = {};
+  taxonomies.forEach(({ name, title, taxonomy }) => {
+    results[name] = { taxonomy: taxonomy.file, ...evaluateClassifier(samples, taxonomy) };
+    printEvaluation(title, results[name]);
+  });
+
+  if (results.proposed) {
+    const change = (field) => (results.proposed[field] - results.current[field]).toFixed(3);
+    console.log(`Proposed vs current: accuracy ${change('accuracy')}, label accuracy ${change('labelAccuracy')}`);
+    console.log();
+  }
+
+  console.log('='.repeat(80));
+
+  if (options.output) {
+    const outputPath = path.resolve(options.output);
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    writeJSON(outputPath, { type: 'classifierEvaluation', generatedAt: new Date().toISOString(), labels: labelsPath, results });
+    console.log(`Evaluation written to: ${outputPath}`);
+  }
+
+  return results;
+}
+
+module.exports = { runPromptSample, runClassifierEvaluation };
@@ -1,44 +1,60 @@
 #!/usr/bin/env node
 
+const fs = require('fs');
+const path = require('path');
 const CONFIG = require('../config');
 const { analyzeCompactionsForWeek } = require('./utils/compactionUtils');
+const { analyzeContextWindowForWeek, contextCurvesForWeek } = require('./utils/contextWindow');
+const { loadTranscriptIndex } = require('./utils/transcriptIndex');
+const { writeJSON } = require('../shared/utils/fileUtils');
 
-// CLI arg parsing
-const args = process.argv.slice(2);
-let weekName = null;
-for (let i = 0; i < args.length; i++) {
-  if ((args[i] === '--week' || args[i] === '-w') && args[i + 1]) {
-    weekName = args[i + 1];
-    i++;
-  }
+const CURVE_HEADERS = ['Week', 'Session', 'Turn', 'Minutes', 'Context Tokens', 'Compactions Before'];
+
+function formatTokens(tokens) {
+  return tokens !== null ? tokens.toLocaleString() : 'N/A';
 }
 
-// Execute and display
-console.log('='.repeat(80));
-console.log('COMPACTION ANALYSIS FROM TRANSCRIPTS');
-console.log('='.repeat(80));
-console.log();
+/**
+ * Print compaction and context-window metrics per week, export them as JSON for `metrics collect` and write the
+ * per-turn context size of each session as CSV
+ * Options: weeks (defaults to CONFIG.WEEKS), output (JSON export path, defaults to CONFIG.TRANSCRIPT_EXPORTS_DIR),
+ * curves (context curve CSV path, defaults to contextCurves.csv in CONFIG.TRANSCRIPT_EXPORTS_DIR)
+ */
+async function runCompactionAnalysis(options = {}) {
+  const weeks = options.weeks || CONFIG.WEEKS;
+  const results = [];
+  const curveLines = [CURVE_HEADERS.join(',')];
 
-try {
-  const weeks = weekName
-    ? CONFIG.WEEKS.filter(w => w.name === weekName)
-    : CONFIG.WEEKS;
+  console.log('='.repeat(80));
+  console.log('COMPACTION ANALYSIS FROM TRANSCRIPTS');
+  console.log('='.repeat(80));
+  console.log();
 
-  if (weeks.length === 0) {
-    console.error(`Error: Week "${weekName}" not found in config`);
-    process.exit(1);
-  }
+  const index = await loadTranscriptIndex();
+  console.log();
 
   weeks.forEach(week => {
     console.log(`${week.name} (${week.period}):`);
 
     try {
-      const result = analyzeCompactionsForWeek(week);
+      const result = { ...analyzeCompactionsForWeek(week, index), ...analyzeContextWindowForWeek(week, index) };
+      results.push({ week: week.name, period: week.period, ...result });
+      contextCurvesForWeek(week, index).forEach(row => {
+        curveLines.push([week.name, row.sessionId, row.turn, row.minutes, row.contextTokens, row.segment].join(','));
+      });
 
       console.log(`  Manual Compactions: ${result.manualCompactions}`);
       console.log(`  Automatic Compactions: ${result.autoCompactions}`);
       console.log(`  Total: ${result.manualCompactions + result.autoCompactions}`);
       console.log(`  Avg Time to Context Window: ${result.avgTimeToContextWindow !== null ? result.avgTimeToContextWindow.toFixed(2) + ' minutes' : 'N/A'}`);
+
+      const context = result.contextWindow;
+      const atCompaction = context.contextAtCompaction;
+      console.log(`  Peak Context: avg ${formatTokens(context.avgPeakContextTokens)}, median ${formatTokens(context.medianPeakContextTokens)}, max ${formatTokens(context.maxPeakContextTokens)} tokens (${context.sessions} sessions)`);
+      if (context.compactions > 0) {
+        console.log(`  Context at Compaction: p25 ${formatTokens(atCompaction.p25)}, median ${formatTokens(atCompaction.median)}, p75 ${formatTokens(atCompaction.p75)} tokens`);
+        console.log(`  Median Turns Until Compaction: ${context.medianTurnsUntilCompaction}`);
+      }
       console.log();
     } catch (err) {
       console.error(`  Error: ${err.message}`);
@@ -47,7 +63,28 @@ try {
   });
 
   console.log('='.repeat(80));
-} catch (err) {
-  console.error('Error analyzing compactions:', err.message);
-  process.exit(1);
+
+  if (results.length > 0) {
+    const outputPath = options.output
+      ? path.resolve(options.output)
+      : path.join(CONFIG.TRANSCRIPT_EXPORTS_DIR, 'compactions.json');
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    writeJSON(outputPath, { type: 'compactions', generatedAt: new Date().toISOString(), weeks: results });
+    console.log(`Compaction export written to: ${outputPath}`);
+
+    const curvesPath = options.curves
+      ? path.resolve(options.curves)
+      : path.join(CONFIG.TRANSCRIPT_EXPORTS_DIR, 'contextCurves.csv');
+    fs.mkdirSync(path.dirname(curvesPath), { recursive: true });
+    fs.writeFileSync(curvesPath, curveLines.join('\n'));
+    console.log(`Context curves written to: ${curvesPath}`);
+  }
+
+  return results;
+}
+
+module.exports = { runCompactionAnalysis };
+
+if (require.main === module) {
+  require('../../cli/commands').runCommand(['transcripts', 'compactions'], process.argv.slice(2));
 }
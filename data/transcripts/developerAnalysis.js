@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const CONFIG = require('../config');
+const { analyzeDevelopersForWeek } = require('./utils/developerMetrics');
+const { loadTranscriptIndex } = require('./utils/transcriptIndex');
+const { displayName } = require('../shared/utils/developers');
+const { writeJSON } = require('../shared/utils/fileUtils');
+
+/**
+ * Print tokens, prompts, interruptions, sessions and active time per developer per week and export them as JSON
+ * for `metrics collect`, which adds each developer's PRs, LOC, cycle time and cost
+ * Developers are printed as pseudonyms unless realNames is set; the export keeps the developer ids
+ * Options: weeks (defaults to CONFIG.WEEKS), output (JSON export path, defaults to CONFIG.TRANSCRIPT_EXPORTS_DIR), realNames
+ */
+async function runDeveloperAnalysis(options = {}) {
+  const weeks = options.weeks || CONFIG.WEEKS;
+  const results = [];
+
+  console.log('='.repeat(80));
+  console.log('DEVELOPER METRICS FROM TRANSCRIPTS');
+  console.log('='.repeat(80));
+  console.log();
+
+  const index = await loadTranscriptIndex();
+  console.log();
+
+  weeks.forEach(week => {
+    console.log(`${week.name} (${week.period}):`);
+
+    try {
+      const result = analyzeDevelopersForWeek(week, index);
+      results.push({ week: week.name, period: week.period, ...result });
+
+      const developers = Object.entries(result.developers).sort((a, b) => b[1].tokens - a[1].tokens);
+      if (developers.length === 0) {
+        console.log('  No developer activity');
+        console.log();
+        return;
+      }
+
+      developers.forEach(([developer, stats]) => {
+        const cost = stats.estimatedCost !== null ? `$${stats.estimatedCost.toFixed(2)}` : 'N/A';
+        console.log(`  ${displayName(developer, { realNames: options.realNames })}: ${stats.tokens.toLocaleString()} tokens (est. ${cost}), ${stats.prompts} prompts, ${stats.interruptions} interruptions (${stats.interruptionRate}%), ${stats.sessions} sessions, ${stats.activeMinutes} active min`);
+      });
+      console.log();
+    } catch (err) {
+      console.error(`  Error: ${err.message}`);
+      console.log();
+    }
+  });
+
+  console.log('='.repeat(80));
+
+  if (results.length > 0) {
+    const outputPath = options.output
+      ? path.resolve(options.output)
+      : path.join(CONFIG.TRANSCRIPT_EXPORTS_DIR, 'developers.json');
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    writeJSON(outputPath, { type: 'developers', generatedAt: new Date().toISOString(), weeks: results });
+    console.log(`Developer export written to: ${outputPath}`);
+  }
+
+  return results;
+}
+
+module.exports = { runDeveloperAnalysis };
+
+if (require.main === module) {
+  require('../../cli/commands').runCommand(['transcripts', 'developers'], process.argv.slice(2));
+}
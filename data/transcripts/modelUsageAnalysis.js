@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const CONFIG = require('../config');
+const { analyzeModelUsageForWeek } = require('./utils/modelUsage');
+const { getCostsForWeek } = require('../analytics/utils/bedrockCostParser');
+const { loadTranscriptIndex } = require('./utils/transcriptIndex');
+const { writeJSON } = require('../shared/utils/fileUtils');
+
+/**
+ * Print token usage per model and the estimated cost next to the Bedrock cost per week, and export them as JSON for `metrics collect`
+ * Options: weeks (defaults to CONFIG.WEEKS), output (JSON export path, defaults to CONFIG.TRANSCRIPT_EXPORTS_DIR)
+ */
+async function runModelUsageAnalysis(options = {}) {
+  const weeks = options.weeks || CONFIG.WEEKS;
+  const results = [];
+
+  console.log('='.repeat(80));
+  console.log('MODEL USAGE AND ESTIMATED COST FROM TRANSCRIPTS');
+  console.log('='.repeat(80));
+  console.log();
+
+  const index = await loadTranscriptIndex();
+  console.log();
+
+  weeks.forEach(week => {
+    console.log(`${week.name} (${week.period}):`);
+
+    try {
+      const result = analyzeModelUsageForWeek(week, index);
+      results.push({ week: week.name, period: week.period, ...result });
+
+      const models = Object.entries(result.modelUsage);
+      if (models.length === 0) {
+        console.log('  No token usage');
+        console.log();
+        return;
+      }
+
+      models.forEach(([model, usage]) => {
+        const cost = usage.estimatedCost !== null ? `$${usage.estimatedCost.toFixed(2)}` : 'no price (check MODEL_PRICES)';
+        console.log(`  ${model}: ${usage.total.toLocaleString()} tokens, ${cost}`);
+      });
+
+      const bedrock = getCostsForWeek(week).claudeCost;
+      console.log(`  Estimated cost: ${result.estimatedCost !== null ? `$${result.estimatedCost.toFixed(2)}` : 'N/A'}, Bedrock cost: ${bedrock ? `$${bedrock.toFixed(2)}` : 'N/A'}`);
+      if (result.unpricedTokens > 0) {
+        console.log(`  ⚠ ${result.unpricedTokens.toLocaleString()} tokens from models without a price`);
+      }
+      console.log();
+    } catch (err) {
+      console.error(`  Error: ${err.message}`);
+      console.log();
+    }
+  });
+
+  console.log('='.repeat(80));
+
+  if (results.length > 0) {
+    const outputPath = options.output
+      ? path.resolve(options.output)
+      : path.join(CONFIG.TRANSCRIPT_EXPORTS_DIR, 'modelUsage.json');
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    writeJSON(outputPath, { type: 'modelUsage', generatedAt: new Date().toISOString(), weeks: results });
+    console.log(`Model usage export written to: ${outputPath}`);
+  }
+
+  return results;
+}
+
+module.exports = { runModelUsageAnalysis };
+
+if (require.main === module) {
+  require('../../cli/commands').runCommand(['transcripts', 'models'], process.argv.slice(2));
+}
@@ -1,50 +1,52 @@
 #!/usr/bin/env node
 
+const fs = require('fs');
+const path = require('path');
 const CONFIG = require('../config');
 const { analyzePromptCategoriesForWeek } = require('./utils/categoryUtils');
+const { loadTranscriptIndex } = require('./utils/transcriptIndex');
+const { writeJSON } = require('../shared/utils/fileUtils');
 
-// CLI arg parsing
-const args = process.argv.slice(2);
-let weekName = null;
-for (let i = 0; i < args.length; i++) {
-  if ((args[i] === '--week' || args[i] === '-w') && args[i + 1]) {
-    weekName = args[i + 1];
-    i++;
-  }
-}
-
-// Execute and display
-console.log('='.repeat(80));
-console.log('PROMPT CATEGORY ANALYSIS FROM TRANSCRIPTS');
-console.log('='.repeat(80));
-console.log();
+/**
+ * Print prompt category breakdowns per week and export them as JSON for `metrics collect`
+ * Options: weeks (defaults to CONFIG.WEEKS), output (JSON export path, defaults to CONFIG.TRANSCRIPT_EXPORTS_DIR)
+ */
+async function runPromptCategoryAnalysis(options = {}) {
+  const weeks = options.weeks || CONFIG.WEEKS;
+  const results = [];
 
-try {
-  const weeks = weekName
-    ? CONFIG.WEEKS.filter(w => w.name === weekName)
-    : CONFIG.WEEKS;
+  console.log('='.repeat(80));
+  console.log('PROMPT CATEGORY ANALYSIS FROM TRANSCRIPTS');
+  console.log('='.repeat(80));
+  console.log();
 
-  if (weeks.length === 0) {
-    console.error(`Error: Week "${weekName}" not found in config`);
-    process.exit(1);
-  }
+  const index = await loadTranscriptIndex();
+  console.log();
 
   weeks.forEach(week => {
     console.log(`${week.name} (${week.period}):`);
 
     try {
-      const result = analyzePromptCategoriesForWeek(week);
+      const result = analyzePromptCategoriesForWeek(week, index);
+      results.push({ week: week.name, period: week.period, ...result });
 
       console.log(`  Total Prompts: ${result.totalPrompts}`);
       console.log(`  Avg Prompt Length: ${result.avgPromptLength} characters`);
       console.log(`  Top Category: ${result.topCategory} (${result.topCategoryCount} prompts)`);
+      console.log(`  Top Subcategory: ${result.topSubcategory || 'N/A'}${result.topSubcategory ? ` (${result.topSubcategoryCount} prompts)` : ''}`);
+      console.log(`  Avg Confidence: ${result.avgCategoryConfidence !== null ? result.avgCategoryConfidence : 'N/A'}, multi-label prompts: ${result.multiLabelPrompts}`);
       console.log();
       console.log('  Category Breakdown:');
 
       Object.entries(result.promptCategories)
         .sort((a, b) => b[1].count - a[1].count)
         .forEach(([cat, data]) => {
-          console.log(`    ${cat}: ${data.count}`);
+          console.log(`    ${cat}: ${data.count} (labelled ${data.labelCount}, confidence ${data.avgConfidence})`);
+          Object.entries(data.subcategories)
+            .sort((a, b) => b[1] - a[1])
+            .forEach(([sub, count]) => {
+              console.log(`      ${sub}: ${count}`);
+            });
         });
 
       console.log();
@@ -55,7 +57,21 @@ try {
   });
 
   console.log('='.repeat(80));
-} catch (err) {
-  console.error('Error analyzing prompt categories:', err.message);
-  process.exit(1);
+
+  if (results.length > 0) {
+    const outputPath = options.output
+      ? path.resolve(options.output)
+      : path.join(CONFIG.TRANSCRIPT_EXPORTS_DIR, 'promptCategories.json');
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    writeJSON(outputPath, { type: 'promptCategories', generatedAt: new Date().toISOString(), weeks: results });
+    console.log(`Prompt category export written to: ${outputPath}`);
+  }
+
+  return results;
+}
+
+module.exports = { runPromptCategoryAnalysis };
+
+if (require.main === module) {
+  require('../../cli/commands').runCommand(['transcripts', 'prompts'], process.argv.slice(2));
 }
@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const CONFIG = require('../config');
+const { analyzeSessionsForWeek, sessionsForWeek } = require('./utils/sessionMetrics');
+const { loadTranscriptIndex } = require('./utils/transcriptIndex');
+const { writeJSON } = require('../shared/utils/fileUtils');
+const { displayName } = require('../shared/utils/developers');
+
+const CSV_HEADERS = [
+  'Week',
+  'Session',
+  'Developer',
+  'Start',
+  'End',
+  'Duration (min)',
+  'Active (min)',
+  'Idle (min)',
+  'Agent Working (min)',
+  'Think Time (min)',
+  'Prompts',
+  'Assistant Turns',
+  'Tool Calls',
+  'Subagent Runs',
+  'Tokens',
+  'Cache Hit Ratio',
+  'Ticket',
+  'Commit',
+  'PR'
+];
+
+function toCSVRow(week, session, realNames) {
+  return [
+    week.name,
+    session.sessionId,
+    session.developer ? displayName(session.developer, { realNames }) : '',
+    new Date(session.start).toISOString(),
+    new Date(session.end).toISOString(),
+    session.durationMinutes,
+    session.activeMinutes,
+    session.idleMinutes,
+    session.agentWorkingMinutes,
+    session.thinkMinutes,
+    session.prompts,
+    session.assistantTurns,
+    session.toolCalls,
+    session.subagentRuns,
+    session.tokens,
+    session.cacheHitRatio !== null ? session.cacheHitRatio : '',
+    session.ticket,
+    session.committed ? 'yes' : 'no',
+    session.openedPR ? 'yes' : 'no'
+  ].join(',');
+}
+
+/**
+ * Print session aggregates per week, export them as JSON for `metrics collect` and write one CSV row per session
+ * Options: weeks (defaults to CONFIG.WEEKS), output (JSON export path, defaults to CONFIG.TRANSCRIPT_EXPORTS_DIR),
+ * csv (per-session CSV path, defaults to sessions.csv in CONFIG.TRANSCRIPT_EXPORTS_DIR), realNames (CSV developers
+ * are pseudonyms unless set)
+ */
+async function runSessionAnalysis(options = {}) {
+  const weeks = options.weeks || CONFIG.WEEKS;
+  const results = [];
+  const csvLines = [CSV_HEADERS.join(',')];
+
+  console.log('='.repeat(80));
+  console.log('SESSION ANALYSIS FROM TRANSCRIPTS');
+  console.log('='.repeat(80));
+  console.log();
+
+  const index = await loadTranscriptIndex();
+  console.log();
+
+  weeks.forEach(week => {
+    console.log(`${week.name} (${week.period}):`);
+
+    try {
+      const result = analyzeSessionsForWeek(week, index);
+      results.push({ week: week.name, period: week.period, ...result });
+      sessionsForWeek(week, index).forEach(session => csvLines.push(toCSVRow(week, session, options.realNames)));
+
+      const stats = result.sessions;
+      if (stats.count === 0) {
+        console.log('  No sessions');
+        console.log();
+        return;
+      }
+
+      console.log(`  Sessions: ${stats.count} (${stats.totalActiveMinutes} active minutes)`);
+      console.log(`  Avg duration: ${stats.avgDurationMinutes} min (${stats.avgActiveMinutes} active, ${stats.avgIdleMinutes} idle)`);
+      console.log(`  Avg per session: ${stats.avgPrompts} prompts, ${stats.avgAssistantTurns} assistant turns, ${stats.avgToolCalls} tool calls, ${stats.avgTokens.toLocaleString()} tokens`);
+      console.log(`  Finished with a commit or PR: ${stats.commitOrPRRate}% (${stats.withCommit} with commits, ${stats.withPR} with PRs)`);
+      console.log();
+    } catch (err) {
+      console.error(`  Error: ${err.message}`);
+      console.log();
+    }
+  });
+
+  console.log('='.repeat(80));
+
+  if (results.length > 0) {
+    const outputPath = options.output
+      ? path.resolve(options.output)
+      : path.join(CONFIG.TRANSCRIPT_EXPORTS_DIR, 'sessions.json');
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    writeJSON(outputPath, { type: 'sessions', generatedAt: new Date().toISOString(), weeks: results });
+    console.log(`Session export written to: ${outputPath}`);
+
+    const csvPath = options.csv
+      ? path.resolve(options.csv)
+      : path.join(CONFIG.TRANSCRIPT_EXPORTS_DIR, 'sessions.csv');
+    fs.mkdirSync(path.dirname(csvPath), { recursive: true });
+    fs.writeFileSync(csvPath, csvLines.join('\n'));
+    console.log(`Per-session CSV written to: ${csvPath}`);
+  }
+
+  return results;
+}
+
+module.exports = { runSessionAnalysis };
+
+if (require.main === module) {
+  require('../../cli/commands').runCommand(['transcripts', 'sessions'], process.argv.slice(2));
+}
@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const CONFIG = require('../config');
+const { analyzeTestRunsForWeek } = require('./utils/testRuns');
+const { loadTranscriptIndex } = require('./utils/transcriptIndex');
+const { writeJSON } = require('../shared/utils/fileUtils');
+
+/**
+ * Print the agent's test runs, pass rate, red/green cycles per ticket and commits made with failing tests per week
+ * and export them as JSON for `metrics collect`
+ * Options: weeks (defaults to CONFIG.WEEKS), output (JSON export path, defaults to CONFIG.TRANSCRIPT_EXPORTS_DIR)
+ */
+async function runTestRunAnalysis(options = {}) {
+  const weeks = options.weeks || CONFIG.WEEKS;
+  const results = [];
+
+  console.log('='.repeat(80));
+  console.log('AGENT TEST RUNS FROM TRANSCRIPTS');
+  console.log('='.repeat(80));
+  console.log();
+
+  const index = await loadTranscriptIndex();
+  console.log();
+
+  weeks.forEach(week => {
+    console.log(`${week.name} (${week.period}):`);
+
+    try {
+      const result = analyzeTestRunsForWeek(week, index);
+      results.push({ week: week.name, period: week.period, ...result });
+
+      const tests = result.testRuns;
+      if (tests.runs === 0 && tests.commits === 0) {
+        console.log('  No test runs or commits');
+        console.log();
+        return;
+      }
+
+      console.log(`  Test Runs: ${tests.runs} (${tests.passedRuns} passed, ${tests.failedRuns} failed, ${tests.unknownRuns} without a result)`);
+      console.log(`  Pass Rate: ${tests.passRate !== null ? `${tests.passRate}%` : 'N/A'}`);
+      console.log(`  Tests: ${tests.testsPassed} passed, ${tests.testsFailed} failed`);
+      console.log(`  Red/Green Cycles: ${tests.redGreenCycles}`);
+      const marker = tests.commitsWithFailingTests > 0 ? '⚠' : '✓';
+      console.log(`  ${marker} Commits: ${tests.commits} (${tests.commitsWithFailingTests} after a failing test run, ${tests.commitsWithoutTestRun} without a test run)`);
+
+      const tickets = Object.entries(tests.byTicket).sort((a, b) => b[1].runs - a[1].runs);
+      if (tickets.length > 0) {
+        console.log('  By Ticket:');
+        tickets.slice(0, 10).forEach(([ticket, stats]) => {
+          console.log(`    ${ticket}: ${stats.runs} runs, ${stats.failedRuns} failed, ${stats.redGreenCycles} red/green cycles`);
+        });
+      }
+      console.log();
+    } catch (err) {
+      console.error(`  Error: ${err.message}`);
+      console.log();
+    }
+  });
+
+  console.log('='.repeat(80));
+
+  if (results.length > 0) {
+    const outputPath = options.output
+      ? path.resolve(options.output)
+      : path.join(CONFIG.TRANSCRIPT_EXPORTS_DIR, 'testRuns.json');
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    writeJSON(outputPath, { type: 'testRuns', generatedAt: new Date().toISOString(), weeks: results });
+    console.log(`Test run export written to: ${outputPath}`);
+  }
+
+  return results;
+}
+
+module.exports = { runTestRunAnalysis };
+
+if (require.main === module) {
+  require('../../cli/commands').runCommand(['transcripts', 'tests'], process.argv.slice(2));
+}
@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const CONFIG = require('../config');
+const { analyzeAttributionForWeek } = require('./utils/ticketAttribution');
+const { loadTranscriptIndex } = require('./utils/transcriptIndex');
+const { fetchAllPRs } = require('../github/utils/prAnalysis');
+const { getRepositories } = require('../shared/utils/repositories');
+const { writeJSON } = require('../shared/utils/fileUtils');
+const { displayName } = require('../shared/utils/developers');
+
+/**
+ * PRs of every configured repository, or null when GitHub cannot be reached
+ */
+function loadPRs() {
+  try {
+    return getRepositories().flatMap(repository => fetchAllPRs(repository));
+  } catch (err) {
+    console.log(`⚠ Open-PR attribution skipped: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Print attributed tokens per signal and the unattributed tokens and sessions per week, and export them as JSON for `metrics collect`
+ * The developers of unattributed sessions are printed and exported as pseudonyms unless realNames is set
+ * Options: weeks (defaults to CONFIG.WEEKS), output (JSON export path, defaults to CONFIG.TRANSCRIPT_EXPORTS_DIR), realNames
+ */
+async function runTicketAttributionAnalysis(options = {}) {
+  const weeks = options.weeks || CONFIG.WEEKS;
+  const results = [];
+
+  console.log('='.repeat(80));
+  console.log('TICKET ATTRIBUTION FROM TRANSCRIPTS');
+  console.log('='.repeat(80));
+  console.log();
+
+  const index = await loadTranscriptIndex();
+  const prs = loadPRs();
+  console.log();
+
+  weeks.forEach(week => {
+    console.log(`${week.name} (${week.period}):`);
+
+    try {
+      const attribution = analyzeAttributionForWeek(week, index, prs).ticketAttribution;
+      const unattributedSessions = attribution.unattributedSessions.map(session => ({
+        ...session,
+        developer: session.developer && displayName(session.developer, { realNames: options.realNames })
+      }));
+      results.push({ week: week.name, period: week.period, ticketAttribution: { ...attribution, unattributedSessions } });
+
+      if (attribution.totalTokens === 0) {
+        console.log('  No token usage');
+        console.log();
+        return;
+      }
+
+      console.log(`  Attributed: ${attribution.attributedTokens.toLocaleString()} of ${attribution.totalTokens.toLocaleString()} tokens, avg confidence ${attribution.avgConfidence !== null ? attribution.avgConfidence.toFixed(2) : 'N/A'}`);
+      Object.entries(attribution.bySource)
+        .sort((a, b) => b[1] - a[1])
+        .forEach(([source, tokens]) => {
+          console.log(`    ${source}: ${tokens.toLocaleString()} tokens (confidence ${CONFIG.TICKET_ATTRIBUTION_CONFIDENCE[source]})`);
+        });
+      console.log(`  Unattributed: ${attribution.unattributedTokens.toLocaleString()} tokens (${attribution.unattributedShare}%) in ${attribution.unattributedSessionCount} session(s)`);
+      unattributedSessions.forEach(session => {
+        console.log(`    ${session.sessionId} (${session.developer || 'Unknown'}, ${session.start}): ${session.tokens.toLocaleString()} tokens`);
+      });
+      console.log();
+    } catch (err) {
+      console.error(`  Error: ${err.message}`);
+      console.log();
+    }
+  });
+
+  console.log('='.repeat(80));
+
+  if (results.length > 0) {
+    const outputPath = options.output
+      ? path.resolve(options.output)
+      : path.join(CONFIG.TRANSCRIPT_EXPORTS_DIR, 'ticketAttribution.json');
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    writeJSON(outputPath, { type: 'ticketAttribution', generatedAt: new Date().toISOString(), weeks: results });
+    console.log(`Ticket attribution export written to: ${outputPath}`);
+  }
+
+  return results;
+}
+
+module.exports = { runTicketAttributionAnalysis };
+
+if (require.main === module) {
+  require('../../cli/commands').runCommand(['transcripts', 'attribution'], process.argv.slice(2));
+}
@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const CONFIG = require('../config');
+const { analyzeToolUsageForWeek } = require('./utils/toolUsage');
+const { loadTranscriptIndex } = require('./utils/transcriptIndex');
+const { writeJSON } = require('../shared/utils/fileUtils');
+
+/**
+ * Print per-tool call counts, error rates, error classes and common errors per week and export them as JSON for `metrics collect`
+ * Options: weeks (defaults to CONFIG.WEEKS), output (JSON export path, defaults to CONFIG.TRANSCRIPT_EXPORTS_DIR)
+ */
+async function runToolUsageAnalysis(options = {}) {
+  const weeks = options.weeks || CONFIG.WEEKS;
+  const results = [];
+
+  console.log('='.repeat(80));
+  console.log('TOOL USAGE ANALYSIS FROM TRANSCRIPTS');
+  console.log('='.repeat(80));
+  console.log();
+
+  const index = await loadTranscriptIndex();
+  console.log();
+
+  weeks.forEach(week => {
+    console.log(`${week.name} (${week.period}):`);
+
+    try {
+      const result = analyzeToolUsageForWeek(week, index);
+      results.push({ week: week.name, period: week.period, ...result });
+
+      const tools = Object.entries(result.toolUsage.tools);
+      if (tools.length === 0) {
+        console.log('  No tool calls');
+        console.log();
+        return;
+      }
+
+      const errorClasses = Object.entries(result.toolUsage.errorClasses).sort((a, b) => b[1] - a[1]);
+      if (errorClasses.length > 0) {
+        console.log(`  Errors by class: ${errorClasses.map(([errorClass, count]) => `${errorClass} ${count}`).join(', ')}`);
+      }
+      tools.forEach(([name, stats]) => {
+        console.log(`  ${name}: ${stats.calls} calls, ${stats.errors} errors (${stats.errorRate}%), median result ${stats.medianResultSize !== null ? stats.medianResultSize + ' chars' : 'N/A'}`);
+        stats.topErrors.slice(0, 3).forEach(error => {
+          console.log(`      ${error.count}x ${error.message}`);
+        });
+      });
+      console.log();
+    } catch (err) {
+      console.error(`  Error: ${err.message}`);
+      console.log();
+    }
+  });
+
+  console.log('='.repeat(80));
+
+  if (results.length > 0) {
+    const outputPath = options.output
+      ? path.resolve(options.output)
+      : path.join(CONFIG.TRANSCRIPT_EXPORTS_DIR, 'toolUsage.json');
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    writeJSON(outputPath, { type: 'toolUsage', generatedAt: new Date().toISOString(), weeks: results });
+    console.log(`Tool usage export written to: ${outputPath}`);
+  }
+
+  return results;
+}
+
+module.exports = { runToolUsageAnalysis };
+
+if (require.main === module) {
+  require('../../cli/commands').runCommand(['transcripts', 'tools'], process.argv.slice(2));
+}
@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const CONFIG = require('../config');
+const { analyzeTurnTimingForWeek } = require('./utils/turnTiming');
+const { loadTranscriptIndex } = require('./utils/transcriptIndex');
+const { writeJSON } = require('../shared/utils/fileUtils');
+const { displayName } = require('../shared/utils/developers');
+
+function formatDistribution(stats, unit) {
+  if (stats.count === 0) return 'N/A';
+  return `median ${stats.median}${unit}, p25 ${stats.p25}${unit}, p75 ${stats.p75}${unit}, p90 ${stats.p90}${unit}, max ${stats.max}${unit} (${stats.count})`;
+}
+
+/**
+ * Print agent response latency, agent working time, human think time and the longest unattended runs per week and
+ * export them as JSON for `metrics collect`
+ * The developers of the longest runs are printed and exported as pseudonyms unless realNames is set
+ * Options: weeks (defaults to CONFIG.WEEKS), output (JSON export path, defaults to CONFIG.TRANSCRIPT_EXPORTS_DIR), realNames
+ */
+async function runTurnTimingAnalysis(options = {}) {
+  const weeks = options.weeks || CONFIG.WEEKS;
+  const results = [];
+
+  console.log('='.repeat(80));
+  console.log('AGENT WORKING TIME VS HUMAN WAIT TIME FROM TRANSCRIPTS');
+  console.log('='.repeat(80));
+  console.log();
+
+  const index = await loadTranscriptIndex();
+  console.log();
+
+  weeks.forEach(week => {
+    console.log(`${week.name} (${week.period}):`);
+
+    try {
+      const timing = analyzeTurnTimingForWeek(week, index).turnTiming;
+      const longestRuns = timing.longestRuns.map(run => ({
+        ...run,
+        developer: run.developer && displayName(run.developer, { realNames: options.realNames })
+      }));
+      results.push({ week: week.name, period: week.period, turnTiming: { ...timing, longestRuns } });
+
+      if (timing.prompts === 0) {
+        console.log('  No prompts');
+        console.log();
+        return;
+      }
+
+      console.log(`  Prompts: ${timing.prompts} (${timing.breaks} followed by a break of ${CONFIG.SESSION_IDLE_GAP_MINUTES}+ min)`);
+      console.log(`  Agent Response Latency: ${formatDistribution(timing.responseLatencySeconds, 's')}`);
+      console.log(`  Agent Working Time per Prompt: ${formatDistribution(timing.agentWorkingMinutes, ' min')}`);
+      console.log(`  Human Think Time: ${formatDistribution(timing.thinkTimeSeconds, 's')}`);
+      console.log(`  Developer Waiting on the Agent: ${timing.humanWaitShare !== null ? `${timing.humanWaitShare}%` : 'N/A'} of active time`);
+      console.log(`  Longest Unattended Runs:`);
+      longestRuns.slice(0, 5).forEach(run => {
+        console.log(`    ${run.minutes} min, ${run.toolCalls} tool calls${run.interrupted ? ', interrupted' : ''} - ${run.sessionId} (${run.developer || 'Unknown'}, ${run.ticket}) at ${run.start}`);
+      });
+      console.log();
+    } catch (err) {
+      console.error(`  Error: ${err.message}`);
+      console.log();
+    }
+  });
+
+  console.log('='.repeat(80));
+
+  if (results.length > 0) {
+    const outputPath = options.output
+      ? path.resolve(options.output)
+      : path.join(CONFIG.TRANSCRIPT_EXPORTS_DIR, 'turnTiming.json');
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    writeJSON(outputPath, { type: 'turnTiming', generatedAt: new Date().toISOString(), weeks: results });
+    console.log(`Turn timing export written to: ${outputPath}`);
+  }
+
+  return results;
+}
+
+module.exports = { runTurnTimingAnalysis };
+
+if (require.main === module) {
+  require('../../cli/commands').runCommand(['transcripts', 'timing'], process.argv.slice(2));
+}
@@ -0,0 +1,35 @@
+// Active vs idle time from activity timestamps
+const CONFIG = require('../../config');
+
+/**
+ * Whether a gap between two activity timestamps is a break rather than work (SESSION_IDLE_GAP_MINUTES or more)
+ */
+function isIdleGap(gapMs, idleGapMinutes = CONFIG.SESSION_IDLE_GAP_MINUTES) {
+  return gapMs >= idleGapMinutes * 60 * 1000;
+}
+
+/**
+ * Split the time between sorted timestamps into active and idle milliseconds
+ * Gaps of SESSION_IDLE_GAP_MINUTES or more are idle. Stops at the first timestamp at or after `until`
+ */
+function splitActiveIdle(timestamps, until = Infinity, idleGapMinutes = CONFIG.SESSION_IDLE_GAP_MINUTES) {
+  let activeMs = 0;
+  let idleMs = 0;
+
+  for (let i = 1; i < timestamps.length; i++) {
+    const gap = timestamps[i] - timestamps[i - 1];
+    if (!isIdleGap(gap, idleGapMinutes)) {
+      activeMs += gap;
+    } else {
+      idleMs += gap;
+    }
+    if (timestamps[i] >= until) break;
+  }
+
+  return { activeMs, idleMs };
+}
+
+module.exports = {
+  isIdleGap,
+  splitActiveIdle
+};
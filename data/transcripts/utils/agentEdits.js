@@ -0,0 +1,89 @@
+// Lines written and removed by the agent's file edits (Edit, MultiEdit and Write tool calls)
+const crypto = require('crypto');
+
+const EDIT_TOOLS = ['Edit', 'MultiEdit', 'Write'];
+
+const editsByIndex = new WeakMap(); // index -> { [developer]: [edit] }
+
+/**
+ * Key for matching a line between an agent edit and a PR diff: a short hash of the line with whitespace collapsed,
+ * or null for lines with no letters or digits (blank lines, lone brackets), which match too easily to be evidence
+ */
+function lineKey(line) {
+  const normalised = line.trim().replace(/\s+/g, ' ');
+  if (!/[A-Za-z0-9]/.test(normalised)) return null;
+  return crypto.createHash('sha1').update(normalised).digest('hex').slice(0, 16);
+}
+
+function lineKeys(text) {
+  if (typeof text !== 'string') return [];
+  return text.split('\n').map(lineKey).filter(Boolean);
+}
+
+/**
+ * Lines a replacement adds and removes: new lines not in the old text, and old lines not in the new text
+ */
+function diffKeys(oldText, newText) {
+  const oldKeys = new Set(lineKeys(oldText));
+  const newKeys = new Set(lineKeys(newText));
+  return {
+    added: [...newKeys].filter(key => !oldKeys.has(key)),
+    removed: [...oldKeys].filter(key => !newKeys.has(key))
+  };
+}
+
+/**
+ * The file and line keys of an Edit, MultiEdit or Write tool call, or null for other tools
+ * Returns { filePath, added, removed }; a Write replaces the whole file, so only its lines are known (added)
+ */
+function editedLines(name, input) {
+  if (!EDIT_TOOLS.includes(name) || !input || typeof input.file_path !== 'string') return null;
+
+  if (name === 'Write') {
+    return { filePath: input.file_path, added: [...new Set(lineKeys(input.content))], removed: [] };
+  }
+
+  const edits = name === 'MultiEdit' ? (Array.isArray(input.edits) ? input.edits : []) : [input];
+  const added = new Set();
+  const removed = new Set();
+  edits.forEach(edit => {
+    const keys = diffKeys(edit.old_string, edit.new_string);
+    keys.added.forEach(key => added.add(key));
+    keys.removed.forEach(key => removed.add(key));
+  });
+  return { filePath: input.file_path, added: [...added], removed: [...removed] };
+}
+
+/**
+ * Agent file edits per developer, oldest first: { [developer]: [{ timestamp, filePath, cwd, added, removed }] }
+ * (built once per index; subagent edits count for the developer of the transcript, and edits whose tool
+ * result was an error, e.g. an old_string that did not match, are left out)
+ */
+function agentEditsByDeveloper(index) {
+  if (editsByIndex.has(index)) {
+    return editsByIndex.get(index);
+  }
+
+  const failed = new Set(index.events.toolResult
+    .filter(result => result.isError && result.toolUseId)
+    .map(result => result.toolUseId));
+
+  const byDeveloper = {};
+  index.events.toolUse.forEach(call => {
+    const developer = index.files[call.file].developer;
+    if (!call.edit || !developer || call.timestamp === null || failed.has(call.toolUseId)) return;
+    if (!byDeveloper[developer]) byDeveloper[developer] = [];
+    byDeveloper[developer].push({ timestamp: call.timestamp, ...call.edit });
+  });
+  Object.values(byDeveloper).forEach(edits => edits.sort((a, b) => a.timestamp - b.timestamp));
+
+  editsByIndex.set(index, byDeveloper);
+  return byDeveloper;
+}
+
+module.exports = {
+  EDIT_TOOLS,
+  lineKey,
+  editedLines,
+  agentEditsByDeveloper
+};
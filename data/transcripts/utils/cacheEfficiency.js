@@ -0,0 +1,96 @@
+// Prompt cache efficiency: hit ratio, cost saved by caching and sessions with poor cache reuse
+const CONFIG = require('../../config');
+const { eventsInWeek } = require('./transcriptIndex');
+const { priceForModel } = require('./modelUsage');
+const { sessionsForWeek } = require('./sessionMetrics');
+
+const MAX_POOR_SESSIONS = 10;
+
+function ratio(part, whole) {
+  return whole > 0 ? parseFloat((part / whole).toFixed(3)) : null;
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+}
+
+/**
+ * USD saved by caching at a price entry: cache reads billed below the input price,
+ * less the premium paid for cache writes
+ */
+function cacheSavings(tokens, price) {
+  return (
+    tokens.cacheRead * (price.input - price.cacheRead) -
+    tokens.cacheCreation * (price.cacheWrite - price.input)
+  ) / 1000000;
+}
+
+/**
+ * Cache efficiency for a week
+ * hitRatio is cache reads over all input tokens (input + cache creation + cache read); costSaved is net of the
+ * cache write premium and inputCostWithoutCache is those input tokens at the plain input price, both in USD for
+ * models in MODEL_PRICES
+ * Returns { cacheEfficiency: { inputTokens, cacheCreationTokens, cacheReadTokens, hitRatio, costSaved, inputCostWithoutCache,
+ *   medianSessionHitRatio, poorSessionCount, poorSessions: [{ sessionId, developer, ticket, inputTokens, cacheHitRatio }] } }
+ */
+function analyzeCacheEfficiencyForWeek(week, index) {
+  const byModel = {};
+  eventsInWeek(index, 'usage', week).forEach(usage => {
+    const model = usage.model || 'unknown';
+    if (!byModel[model]) byModel[model] = { input: 0, cacheCreation: 0, cacheRead: 0 };
+    byModel[model].input += usage.input;
+    byModel[model].cacheCreation += usage.cacheCreation;
+    byModel[model].cacheRead += usage.cacheRead;
+  });
+
+  const totals = { input: 0, cacheCreation: 0, cacheRead: 0 };
+  let costSaved = null;
+  let inputCostWithoutCache = null;
+  Object.entries(byModel).forEach(([model, tokens]) => {
+    totals.input += tokens.input;
+    totals.cacheCreation += tokens.cacheCreation;
+    totals.cacheRead += tokens.cacheRead;
+
+    const price = priceForModel(model);
+    if (!price) return;
+    costSaved = (costSaved || 0) + cacheSavings(tokens, price);
+    inputCostWithoutCache = (inputCostWithoutCache || 0) + (tokens.input + tokens.cacheCreation + tokens.cacheRead) * price.input / 1000000;
+  });
+  const inputTokens = totals.input + totals.cacheCreation + totals.cacheRead;
+
+  // Sessions large enough for their hit ratio to mean something
+  const sessions = sessionsForWeek(week, index)
+    .filter(session => session.inputTokens >= CONFIG.CACHE_MIN_SESSION_TOKENS);
+  const medianHitRatio = median(sessions.map(session => session.cacheHitRatio));
+  const poorSessions = medianHitRatio === null ? [] : sessions
+    .filter(session => session.cacheHitRatio <= medianHitRatio - CONFIG.CACHE_POOR_HIT_RATIO_GAP)
+    .sort((a, b) => a.cacheHitRatio - b.cacheHitRatio);
+
+  return {
+    cacheEfficiency: {
+      inputTokens,
+      cacheCreationTokens: totals.cacheCreation,
+      cacheReadTokens: totals.cacheRead,
+      hitRatio: ratio(totals.cacheRead, inputTokens),
+      costSaved: costSaved !== null ? parseFloat(costSaved.toFixed(2)) : null,
+      inputCostWithoutCache: inputCostWithoutCache !== null ? parseFloat(inputCostWithoutCache.toFixed(2)) : null,
+      medianSessionHitRatio: medianHitRatio !== null ? parseFloat(medianHitRatio.toFixed(3)) : null,
+      poorSessionCount: poorSessions.length,
+      poorSessions: poorSessions.slice(0, MAX_POOR_SESSIONS).map(session => ({
+        sessionId: session.sessionId,
+        developer: session.developer,
+        ticket: session.ticket,
+        inputTokens: session.inputTokens,
+        cacheHitRatio: session.cacheHitRatio
+      }))
+    }
+  };
+}
+
+module.exports = {
+  analyzeCacheEfficiencyForWeek,
+  cacheSavings
+};
@@ -1,101 +1,90 @@
 // Prompt category classification helpers
-const CONFIG = require('../../config');
-const { findFiles, readJSONL } = require('../../shared/utils/fileUtils');
 const { isInWeek } = require('../../shared/utils/dateUtils');
-
-// Category patterns
-const CATEGORIES = {
-  feature_development: /implement|add feature|create|build|develop|new feature/i,
-  bug_fix: /fix|bug|error|issue|problem|broken|debug/i,
-  testing: /test|spec|jest|playwright|unit test|e2e|integration test/i,
-  refactoring: /refactor|reorganize|restructure|clean up|improve code/i,
-  documentation: /document|readme|comment|doc|explain|describe/i,
-  code_review: /review|check|validate|verify|examine/i,
-  code_understanding: /how does|what does|explain|understand|clarify/i,
-  version_control: /commit|push|pull|merge|branch|git/i,
-  configuration: /config|setup|install|configure|environment/i,
-  general: /.*/  // Catch-all
-};
-
-function classifyPrompt(text) {
-  if (!text || typeof text !== 'string') return 'general';
-
-  for (const [category, pattern] of Object.entries(CATEGORIES)) {
-    if (category === 'general') continue; // Check this last
-    if (pattern.test(text)) {
-      return category;
-    }
+const { loadPromptTaxonomy, classifyWithTaxonomy } = require('./promptTaxonomy');
+
+/**
+ * Classify a prompt with the configured taxonomy (see promptTaxonomy.yaml)
+ * Returns { category, subcategory, labels, confidence }
+ */
+function classifyPrompt(text, taxonomy = loadPromptTaxonomy()) {
+  if (!text || typeof text !== 'string') {
+    return { category: taxonomy.fallback, subcategory: null, labels: [taxonomy.fallback], confidence: 0 };
   }
-
-  return 'general';
+  return classifyWithTaxonomy(text, taxonomy);
 }
 
-function analyzePromptCategoriesForWeek(week) {
-  const transcriptsDir = CONFIG.TRANSCRIPTS_DIR;
-
-  if (!transcriptsDir) {
-    throw new Error('TRANSCRIPTS_DIR not configured');
-  }
+function average(values, decimals) {
+  if (values.length === 0) return null;
+  return parseFloat((values.reduce((a, b) => a + b, 0) / values.length).toFixed(decimals));
+}
 
-  const files = findFiles(transcriptsDir, '.jsonl');
-  const categoryCount = {};
+/**
+ * Prompt categories for the transcripts that started in a week, from the transcript index
+ */
+function analyzePromptCategoriesForWeek(week, index) {
+  const taxonomy = loadPromptTaxonomy();
+  const categories = {}; // category -> { count, labelCount, confidences, subcategories }
+  const subcategoryCount = {};
   const promptLengths = [];
+  const confidences = [];
+  let multiLabelPrompts = 0;
   let totalPrompts = 0;
 
-  files.forEach(filePath => {
-    const entries = readJSONL(filePath);
+  const categoryEntry = name => {
+    if (!categories[name]) {
+      categories[name] = { count: 0, labelCount: 0, confidences: [], subcategories: {} };
+    }
+    return categories[name];
+  };
 
-    // Determine if this file is in the target week by checking first entry timestamp
-    if (entries.length === 0) return;
-    const firstEntry = entries[0];
-    if (!firstEntry.timestamp) return;
-    if (!isInWeek(firstEntry.timestamp, week)) return;
+  index.events.prompt.forEach(prompt => {
+    // Subagent "prompts" are written by the parent agent, not a developer
+    if (prompt.isSubagent) return;
 
-    entries.forEach(entry => {
-      // Check for user message (NOT entry.role, but entry.message.role)
-      if (!entry.message || entry.message.role !== 'user') return;
-      if (!entry.message.content) return;
+    // A transcript belongs to the week its first entry is in
+    const firstEntryTimestamp = index.files[prompt.file].firstEntryTimestamp;
+    if (firstEntryTimestamp === null || !isInWeek(firstEntryTimestamp, week)) return;
 
-      let textContent = '';
-      if (typeof entry.message.content === 'string') {
-        textContent = entry.message.content;
-      } else if (Array.isArray(entry.message.content)) {
-        textContent = entry.message.content
-          .filter(c => c.type === 'text')
-          .map(c => c.text)
-          .join(' ');
-      }
+    totalPrompts++;
+    promptLengths.push(prompt.text.length);
 
-      // Skip empty content and "Warmup" prompts
-      if (!textContent || textContent.trim().length === 0 || textContent === 'Warmup') return;
+    const classification = classifyPrompt(prompt.text, taxonomy);
+    const category = categoryEntry(classification.category);
+    category.count++;
+    category.confidences.push(classification.confidence);
+    confidences.push(classification.confidence);
 
-      totalPrompts++;
-      promptLengths.push(textContent.length);
+    if (classification.subcategory) {
+      category.subcategories[classification.subcategory] = (category.subcategories[classification.subcategory] || 0) + 1;
+      const key = `${classification.category}/${classification.subcategory}`;
+      subcategoryCount[key] = (subcategoryCount[key] || 0) + 1;
+    }
 
-      const category = classifyPrompt(textContent);
-      categoryCount[category] = (categoryCount[category] || 0) + 1;
-    });
+    classification.labels.forEach(label => { categoryEntry(label).labelCount++; });
+    if (classification.labels.length > 1) multiLabelPrompts++;
   });
 
-  // Calculate averages
-  const avgPromptLength = promptLengths.length > 0
-    ? Math.round(promptLengths.reduce((a, b) => a + b, 0) / promptLengths.length)
-    : 0;
+  const avgPromptLength = promptLengths.length > 0 ? Math.round(average(promptLengths, 0)) : 0;
 
-  // Find top category
-  let topCategory = null;
-  let topCategoryCount = 0;
-  Object.entries(categoryCount).forEach(([cat, count]) => {
-    if (count > topCategoryCount) {
-      topCategory = cat;
-      topCategoryCount = count;
-    }
-  });
+  // Most frequent category and category/subcategory (first seen wins ties)
+  const top = counts => Object.entries(counts).reduce(
+    (best, [name, count]) => (count > best[1] ? [name, count] : best),
+    [null, 0]
+  );
+  const [topCategory, topCategoryCount] = top(Object.fromEntries(
+    Object.entries(categories).map(([name, category]) => [name, category.count])
+  ));
+  const [topSubcategory, topSubcategoryCount] = top(subcategoryCount);
 
-  // Format categories for output
+  // Format categories for output; labelCount also counts prompts where the category was a secondary label
   const promptCategories = {};
-  Object.entries(categoryCount).forEach(([cat, count]) => {
-    promptCategories[cat] = { count };
+  Object.entries(categories).forEach(([name, category]) => {
+    promptCategories[name] = {
+      count: category.count,
+      labelCount: category.labelCount,
+      avgConfidence: average(category.confidences, 2),
+      subcategories: category.subcategories
+    };
   });
 
   return {
@@ -103,8 +92,10 @@ function analyzePromptCategoriesForWeek(week) {
     avgPromptLength,
     topCategory,
     topCategoryCount,
-    topSubcategory: null,  // Not implemented yet
-    topSubcategoryCount: 0,
+    topSubcategory,
+    topSubcategoryCount,
+    avgCategoryConfidence: average(confidences, 2),
+    multiLabelPrompts,
     promptCategories
   };
 }
@@ -0,0 +1,141 @@
+// Prompt classifier evaluation: labelling samples, precision/recall and confusion matrices
+const { isInWeek } = require('../../shared/utils/dateUtils');
+const { classifyWithTaxonomy } = require('./promptTaxonomy');
+
+const MAX_PROMPT_LENGTH = 2000;
+
+/**
+ * Seeded pseudo-random generator (mulberry32) so a sample can be reproduced
+ */
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Random sample of distinct developer prompts from the given weeks, each with the current classification
+ * Returns [{ id, week, text, predicted, predictedSubcategory, predictedLabels, confidence, label: null }]
+ */
+function samplePrompts(index, weeks, taxonomy, { size, seed }) {
+  const seen = new Set();
+  const candidates = [];
+
+  index.events.prompt.forEach(prompt => {
+    if (prompt.isSubagent || prompt.isRepeat || !prompt.uuid || prompt.timestamp === null) return;
+    const week = weeks.find(w => isInWeek(prompt.timestamp, w));
+    const text = prompt.text.trim();
+    if (!week || seen.has(text)) return;
+
+    seen.add(text);
+    candidates.push({ id: prompt.uuid, week: week.name, text: text.slice(0, MAX_PROMPT_LENGTH) });
+  });
+
+  // Partial Fisher-Yates shuffle
+  const random = seededRandom(seed);
+  const count = Math.min(size, candidates.length);
+  for (let i = 0; i < count; i++) {
+    const j = i + Math.floor(random() * (candidates.length - i));
+    [candidates[i], candidates[j]] = [candidates[j], candidates[i]];
+  }
+
+  return candidates.slice(0, count).map(candidate => {
+    const classification = classifyWithTaxonomy(candidate.text, taxonomy);
+    return {
+      ...candidate,
+      predicted: classification.category,
+      predictedSubcategory: classification.subcategory,
+      predictedLabels: classification.labels,
+      confidence: classification.confidence,
+      label: null
+    };
+  });
+}
+
+function round(value) {
+  return value !== null ? parseFloat(value.toFixed(3)) : null;
+}
+
+/**
+ * Score a taxonomy against human-labelled prompts ({ text, label })
+ * Returns { labelled, accuracy, labelAccuracy, categories: { [name]: { precision, recall, f1, support, predicted } },
+ *   confusion: { [actual]: { [predicted]: count } } }
+ * labelAccuracy counts a prompt as correct when the human label is any of the predicted labels
+ */
+function evaluateClassifier(labelledPrompts, taxonomy) {
+  const confusion = {};
+  const names = new Set();
+  let correct = 0;
+  let labelCorrect = 0;
+
+  labelledPrompts.forEach(({ text, label }) => {
+    const classification = classifyWithTaxonomy(text, taxonomy);
+    const predicted = classification.category;
+    names.add(label);
+    names.add(predicted);
+
+    if (!confusion[label]) confusion[label] = {};
+    confusion[label][predicted] = (confusion[label][predicted] || 0) + 1;
+    if (predicted === label) correct++;
+    if (classification.labels.includes(label)) labelCorrect++;
+  });
+
+  const categories = {};
+  [...names].sort().forEach(name => {
+    const truePositives = (confusion[name] && confusion[name][name]) || 0;
+    const support = Object.values(confusion[name] || {}).reduce((sum, count) => sum + count, 0);
+    const predictedCount = Object.values(confusion).reduce((sum, row) => sum + (row[name] || 0), 0);
+
+    const precision = predictedCount > 0 ? truePositives / predictedCount : null;
+    const recall = support > 0 ? truePositives / support : null;
+    let f1 = null;
+    if (precision !== null && recall !== null) {
+      f1 = precision + recall > 0 ? 2 * precision * recall / (precision + recall) : 0;
+    }
+
+    categories[name] = {
+      precision: round(precision),
+      recall: round(recall),
+      f1: round(f1),
+      support,
+      predicted: predictedCount
+    };
+  });
+
+  const labelled = labelledPrompts.length;
+  return {
+    labelled,
+    accuracy: labelled > 0 ? round(correct / labelled) : null,
+    labelAccuracy: labelled > 0 ? round(labelCorrect / labelled) : null,
+    categories,
+    confusion
+  };
+}
+
+/**
+ * Confusion matrix as text rows: actual categories down, predicted across
+ */
+function formatConfusionMatrix(confusion, categoryNames) {
+  const rowLabels = categoryNames.map((name, i) => `[${i + 1}] ${name}`);
+  const header = 'actual \\ predicted';
+  const width = Math.max(header.length, ...rowLabels.map(label => label.length));
+  const cell = 6;
+
+  const lines = [`${header.padEnd(width)}${categoryNames.map((_, i) => `[${i + 1}]`.padStart(cell)).join('')}`];
+  categoryNames.forEach((actual, i) => {
+    const row = categoryNames.map(predicted => String((confusion[actual] && confusion[actual][predicted]) || 0).padStart(cell));
+    lines.push(`${rowLabels[i].padEnd(width)}${row.join('')}`);
+  });
+  return lines;
+}
+
+module.exports = {
+  samplePrompts,
+  evaluateClassifier,
+  formatConfusionMatrix
+};
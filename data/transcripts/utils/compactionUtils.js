@@ -1,48 +1,29 @@
 // Transcript compaction analysis helpers
-const CONFIG = require('../../config');
-const { findFiles, readJSONL } = require('../../shared/utils/fileUtils');
 const { isInWeek } = require('../../shared/utils/dateUtils');
+const { splitActiveIdle } = require('./activeTime');
 
+/**
+ * Compaction marker written by Claude Code, or null
+ * - a `compact_boundary` system entry (compactMetadata.trigger is "manual" or "auto", preTokens the context size)
+ * - the `isCompactSummary` user entry carrying the summary, on its own only in transcripts without boundaries
+ */
 function detectCompaction(entry) {
-  // Check for system compaction types
-  if (entry.type === 'compaction' || entry.type === 'system') {
+  if (entry.type === 'system' && entry.subtype === 'compact_boundary') {
+    const metadata = entry.compactMetadata || {};
     return {
-      type: 'automatic',
+      type: metadata.trigger === 'manual' ? 'manual' : 'automatic',
+      marker: 'compact_boundary',
+      preTokens: typeof metadata.preTokens === 'number' ? metadata.preTokens : null,
       timestamp: entry.timestamp,
       sessionId: entry.sessionId
     };
   }
 
-  // Check message content for compaction indicators
-  if (!entry.message || !entry.message.content) return null;
-
-  let textContent = '';
-  if (typeof entry.message.content === 'string') {
-    textContent = entry.message.content;
-  } else if (Array.isArray(entry.message.content)) {
-    textContent = entry.message.content
-      .filter(c => c.type === 'text')
-      .map(c => c.text)
-      .join(' ');
-  }
-
-  if (!textContent) return null;
-
-  const lower = textContent.toLowerCase();
-
-  // Manual compaction indicators
-  if (lower.match(/\/compact|compact history|manually compact|compress context|compress conversation/i)) {
+  if (entry.isCompactSummary === true) {
     return {
-      type: 'manual',
-      timestamp: entry.timestamp,
-      sessionId: entry.sessionId
-    };
-  }
-
-  // Automatic compaction indicators
-  if (lower.match(/context window.*exceeded|automatically compacting|auto.*compact|compaction.*triggered/i)) {
-    return {
-      type: 'automatic',
+      type: null, // unknown from the summary alone; the index uses a preceding /compact command
+      marker: 'compact_summary',
+      preTokens: null,
       timestamp: entry.timestamp,
       sessionId: entry.sessionId
     };
@@ -51,54 +32,39 @@ function detectCompaction(entry) {
   return null;
 }
 
-function analyzeCompactionsForWeek(week) {
-  const transcriptsDir = CONFIG.TRANSCRIPTS_DIR;
-
-  if (!transcriptsDir) {
-    throw new Error('TRANSCRIPTS_DIR not configured');
-  }
-
-  const files = findFiles(transcriptsDir, '.jsonl');
+/**
+ * Compactions and time to context window for a week, from the transcript index
+ */
+function analyzeCompactionsForWeek(week, index) {
   const compactionData = {
     manualCompactions: 0,
     autoCompactions: 0,
     timeToContextWindow: []
   };
 
-  const sessionMessages = {};
   const firstCompactions = {};
 
-  files.forEach(filePath => {
-    const entries = readJSONL(filePath);
-
-    entries.forEach(entry => {
-      if (!entry.sessionId || !entry.timestamp) return;
-      if (!isInWeek(entry.timestamp, week)) return;
-
-      // Track session messages
-      if (!sessionMessages[entry.sessionId]) {
-        sessionMessages[entry.sessionId] = [];
+  index.events.compaction
+    .filter(event => isInWeek(event.timestamp, week))
+    .forEach(event => {
+      if (event.compactionType === 'manual') {
+        compactionData.manualCompactions++;
+      } else {
+        compactionData.autoCompactions++;
       }
-      sessionMessages[entry.sessionId].push({
-        timestamp: new Date(entry.timestamp).getTime(),
-        role: entry.role
-      });
-
-      // Detect compaction
-      const compaction = detectCompaction(entry);
-      if (compaction) {
-        if (compaction.type === 'manual') {
-          compactionData.manualCompactions++;
-        } else {
-          compactionData.autoCompactions++;
-        }
-
-        // Track first compaction per session
-        if (!firstCompactions[entry.sessionId]) {
-          firstCompactions[entry.sessionId] = new Date(entry.timestamp).getTime();
-        }
+
+      // Track first compaction per session
+      if (!firstCompactions[event.sessionId]) {
+        firstCompactions[event.sessionId] = event.timestamp;
       }
     });
+
+  // Session activity within the week
+  const sessionMessages = {};
+  Object.keys(firstCompactions).forEach(sessionId => {
+    sessionMessages[sessionId] = index.sessions[sessionId].timestamps
+      .filter(timestamp => isInWeek(timestamp, week))
+      .map(timestamp => ({ timestamp }));
   });
 
   // Calculate time to context window
@@ -108,20 +74,12 @@ function analyzeCompactionsForWeek(week) {
 
     messages.sort((a, b) => a.timestamp - b.timestamp);
 
-    const firstTimestamp = messages[0].timestamp;
     const compactionTimestamp = firstCompactions[sessionId];
 
-    // Filter out idle time (gaps > 30 minutes)
-    let activeTime = 0;
-    for (let i = 1; i < messages.length; i++) {
-      const gap = messages[i].timestamp - messages[i - 1].timestamp;
-      if (gap < 30 * 60 * 1000) { // 30 minutes
-        activeTime += gap;
-      }
-      if (messages[i].timestamp >= compactionTimestamp) break;
-    }
+    // Filter out idle time (gaps of 30+ minutes)
+    const { activeMs } = splitActiveIdle(messages.map(m => m.timestamp), compactionTimestamp);
 
-    const timeInMinutes = activeTime / (1000 * 60);
+    const timeInMinutes = activeMs / (1000 * 60);
     compactionData.timeToContextWindow.push(timeInMinutes);
   });
 
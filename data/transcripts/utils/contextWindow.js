@@ -0,0 +1,172 @@
+// Context-window fill per session from per-turn usage, and context size at compaction
+const { isInWeek } = require('../../shared/utils/dateUtils');
+
+const CONTEXT_BUCKETS = [
+  { label: '<50k', max: 50000 },
+  { label: '50-100k', max: 100000 },
+  { label: '100-150k', max: 150000 },
+  { label: '150-200k', max: 200000 },
+  { label: '200k+', max: Infinity }
+];
+
+const timelinesByIndex = new WeakMap(); // index -> { [sessionId]: { turns, compactions } }
+
+/**
+ * Tokens in the context for a turn: everything sent as input, cached or not
+ */
+function contextSize(usage) {
+  return usage.input + usage.cacheCreation + usage.cacheRead;
+}
+
+/**
+ * Per main session: turns ({ timestamp, contextTokens, segment }) and compactions
+ * ({ timestamp, compactionType, turnsSinceLast, contextTokens }), oldest first (built once per index)
+ * Subagents run in their own context window and are left out
+ */
+function buildContextTimelines(index) {
+  if (timelinesByIndex.has(index)) {
+    return timelinesByIndex.get(index);
+  }
+
+  const timelines = {};
+  const timelineFor = sessionId => {
+    if (!timelines[sessionId]) timelines[sessionId] = { turns: [], compactions: [] };
+    return timelines[sessionId];
+  };
+
+  // Streamed messages repeat their usage on every entry; keep one turn per message id
+  const seenMessages = new Set();
+  index.events.usage.forEach(usage => {
+    if (usage.isSubagent || !usage.sessionId || usage.timestamp === null) return;
+    if (usage.messageId) {
+      const key = `${usage.sessionId}:${usage.messageId}`;
+      if (seenMessages.has(key)) return;
+      seenMessages.add(key);
+    }
+    timelineFor(usage.sessionId).turns.push({ timestamp: usage.timestamp, contextTokens: contextSize(usage) });
+  });
+
+  index.events.compaction.forEach(compaction => {
+    if (compaction.isSubagent || compaction.timestamp === null) return;
+    timelineFor(compaction.sessionId).compactions.push({
+      timestamp: compaction.timestamp,
+      compactionType: compaction.compactionType,
+      preTokens: compaction.preTokens
+    });
+  });
+
+  Object.values(timelines).forEach(timeline => {
+    timeline.turns.sort((a, b) => a.timestamp - b.timestamp);
+    timeline.compactions.sort((a, b) => a.timestamp - b.timestamp);
+
+    // Walk the turns once, splitting them into segments at each compaction
+    let turnIndex = 0;
+    timeline.compactions.forEach((compaction, segment) => {
+      let turnsSinceLast = 0;
+      let lastContext = null;
+      while (turnIndex < timeline.turns.length && timeline.turns[turnIndex].timestamp <= compaction.timestamp) {
+        timeline.turns[turnIndex].segment = segment;
+        lastContext = timeline.turns[turnIndex].contextTokens;
+        turnsSinceLast++;
+        turnIndex++;
+      }
+      compaction.turnsSinceLast = turnsSinceLast;
+      compaction.contextTokens = compaction.preTokens !== null ? compaction.preTokens : lastContext;
+    });
+    for (; turnIndex < timeline.turns.length; turnIndex++) {
+      timeline.turns[turnIndex].segment = timeline.compactions.length;
+    }
+  });
+
+  timelinesByIndex.set(index, timelines);
+  return timelines;
+}
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const position = (sorted.length - 1) * p;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return Math.round(sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower));
+}
+
+/**
+ * Context-window utilisation for a week
+ * Peak context covers main sessions with turns in the week; the compaction figures cover compactions in the week
+ * Returns { contextWindow: { sessions, avgPeakContextTokens, medianPeakContextTokens, maxPeakContextTokens, compactions,
+ *   medianTurnsUntilCompaction, contextAtCompaction: { p25, median, p75, max }, contextAtCompactionBuckets } }
+ */
+function analyzeContextWindowForWeek(week, index) {
+  const peaks = [];
+  const turnsUntilCompaction = [];
+  const contextAtCompaction = [];
+  const buckets = Object.fromEntries(CONTEXT_BUCKETS.map(bucket => [bucket.label, 0]));
+
+  Object.values(buildContextTimelines(index)).forEach(timeline => {
+    const turns = timeline.turns.filter(turn => isInWeek(turn.timestamp, week));
+    if (turns.length > 0) {
+      peaks.push(Math.max(...turns.map(turn => turn.contextTokens)));
+    }
+
+    timeline.compactions
+      .filter(compaction => isInWeek(compaction.timestamp, week))
+      .forEach(compaction => {
+        turnsUntilCompaction.push(compaction.turnsSinceLast);
+        if (compaction.contextTokens !== null) {
+          contextAtCompaction.push(compaction.contextTokens);
+          buckets[CONTEXT_BUCKETS.find(bucket => compaction.contextTokens < bucket.max).label]++;
+        }
+      });
+  });
+
+  peaks.sort((a, b) => a - b);
+  turnsUntilCompaction.sort((a, b) => a - b);
+  contextAtCompaction.sort((a, b) => a - b);
+
+  return {
+    contextWindow: {
+      sessions: peaks.length,
+      avgPeakContextTokens: peaks.length > 0 ? Math.round(peaks.reduce((a, b) => a + b, 0) / peaks.length) : null,
+      medianPeakContextTokens: percentile(peaks, 0.5),
+      maxPeakContextTokens: peaks.length > 0 ? peaks[peaks.length - 1] : null,
+      compactions: turnsUntilCompaction.length,
+      medianTurnsUntilCompaction: percentile(turnsUntilCompaction, 0.5),
+      contextAtCompaction: {
+        p25: percentile(contextAtCompaction, 0.25),
+        median: percentile(contextAtCompaction, 0.5),
+        p75: percentile(contextAtCompaction, 0.75),
+        max: contextAtCompaction.length > 0 ? contextAtCompaction[contextAtCompaction.length - 1] : null
+      },
+      contextAtCompactionBuckets: buckets
+    }
+  };
+}
+
+/**
+ * Fill curve rows for the main sessions with turns in a week:
+ * [{ sessionId, turn, minutes (since the session's first turn), contextTokens, segment (compactions before the turn) }]
+ */
+function contextCurvesForWeek(week, index) {
+  const rows = [];
+  Object.entries(buildContextTimelines(index)).forEach(([sessionId, timeline]) => {
+    if (timeline.turns.length === 0) return;
+    const start = timeline.turns[0].timestamp;
+    timeline.turns.forEach((turn, i) => {
+      if (!isInWeek(turn.timestamp, week)) return;
+      rows.push({
+        sessionId,
+        turn: i + 1,
+        minutes: parseFloat(((turn.timestamp - start) / (1000 * 60)).toFixed(1)),
+        contextTokens: turn.contextTokens,
+        segment: turn.segment
+      });
+    });
+  });
+  return rows;
+}
+
+module.exports = {
+  CONTEXT_BUCKETS,
+  analyzeContextWindowForWeek,
+  contextCurvesForWeek
+};
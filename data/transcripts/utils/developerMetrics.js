@@ -0,0 +1,86 @@
+// Transcript metrics per developer (developer ids come from shared/utils/developers.js)
+const { eventsInWeek } = require('./transcriptIndex');
+const { priceForModel, estimateCost } = require('./modelUsage');
+const { sessionsForWeek } = require('./sessionMetrics');
+
+function emptyDeveloper() {
+  return {
+    tokens: 0,
+    prompts: 0,
+    interruptions: 0,
+    interruptionRate: 0,
+    toolCalls: 0,
+    sessions: 0,
+    activeMinutes: 0,
+    estimatedCost: null
+  };
+}
+
+/**
+ * Transcript metrics per developer for a week; prompts and interruptions count main sessions only, as in
+ * calculateInterruptionsForWeek, and sessions are those that started in the week
+ * Returns { developers: { [developer]: { tokens, prompts, interruptions, interruptionRate, toolCalls, sessions,
+ *   activeMinutes, estimatedCost } } }
+ */
+function analyzeDevelopersForWeek(week, index) {
+  const developers = {};
+  const developerFor = event => {
+    const developer = index.files[event.file].developer;
+    if (!developer) return null;
+    if (!developers[developer]) developers[developer] = emptyDeveloper();
+    return developers[developer];
+  };
+
+  eventsInWeek(index, 'prompt', week)
+    .filter(prompt => prompt.uuid && !prompt.isRepeat && !prompt.isSubagent)
+    .forEach(prompt => {
+      const developer = developerFor(prompt);
+      if (developer) developer.prompts++;
+    });
+
+  eventsInWeek(index, 'interruption', week)
+    .filter(event => !event.isSubagent)
+    .forEach(event => {
+      const developer = developerFor(event);
+      if (developer) developer.interruptions++;
+    });
+
+  eventsInWeek(index, 'toolUse', week).forEach(call => {
+    const developer = developerFor(call);
+    if (developer) developer.toolCalls++;
+  });
+
+  eventsInWeek(index, 'usage', week).forEach(usage => {
+    const developer = developerFor(usage);
+    if (!developer) return;
+    developer.tokens += usage.total;
+
+    const price = priceForModel(usage.model);
+    if (price) {
+      developer.estimatedCost = (developer.estimatedCost || 0) + estimateCost(usage, price);
+    }
+  });
+
+  sessionsForWeek(week, index).forEach(session => {
+    if (!session.developer) return;
+    if (!developers[session.developer]) developers[session.developer] = emptyDeveloper();
+    developers[session.developer].sessions++;
+    developers[session.developer].activeMinutes += session.activeMinutes;
+  });
+
+  Object.values(developers).forEach(developer => {
+    developer.interruptionRate = developer.prompts > 0
+      ? parseFloat((developer.interruptions / developer.prompts * 100).toFixed(2))
+      : 0;
+    developer.activeMinutes = parseFloat(developer.activeMinutes.toFixed(1));
+    if (developer.estimatedCost !== null) {
+      developer.estimatedCost = parseFloat(developer.estimatedCost.toFixed(2));
+    }
+  });
+
+  return { developers };
+}
+
+module.exports = {
+  analyzeDevelopersForWeek
+};
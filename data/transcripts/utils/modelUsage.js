@@ -0,0 +1,86 @@
+// Token usage per model and cost estimated from CONFIG.MODEL_PRICES
+const CONFIG = require('../../config');
+const { eventsInWeek } = require('./transcriptIndex');
+
+/**
+ * Price entry for a model id (e.g. claude-sonnet-4-5-20250929 or a Bedrock inference profile id), or null
+ */
+function priceForModel(model, prices = CONFIG.MODEL_PRICES) {
+  if (!model) return null;
+  return prices.find(price => new RegExp(price.pattern, 'i').test(model)) || null;
+}
+
+/**
+ * Estimated USD cost of a token count at a price entry
+ */
+function estimateCost(tokens, price) {
+  return (
+    tokens.input * price.input +
+    (tokens.output + tokens.thinking) * price.output +
+    tokens.cacheCreation * price.cacheWrite +
+    tokens.cacheRead * price.cacheRead
+  ) / 1000000;
+}
+
+/**
+ * Token usage per model for a week, with the cost estimated from the price table
+ * Returns { modelUsage: { [model]: { priceName, input, output, cacheCreation, cacheRead, thinking, total, estimatedCost } },
+ *   estimatedCost, unpricedTokens }
+ */
+function analyzeModelUsageForWeek(week, index) {
+  const byModel = {};
+
+  eventsInWeek(index, 'usage', week).forEach(usage => {
+    if (usage.total === 0) return; // e.g. <synthetic> messages written by Claude Code itself
+
+    const model = usage.model || 'unknown';
+    if (!byModel[model]) {
+      byModel[model] = { input: 0, output: 0, cacheCreation: 0, cacheRead: 0, thinking: 0, total: 0 };
+    }
+    const tokens = byModel[model];
+    tokens.input += usage.input;
+    tokens.output += usage.output;
+    tokens.cacheCreation += usage.cacheCreation;
+    tokens.cacheRead += usage.cacheRead;
+    tokens.thinking += usage.thinking;
+    tokens.total += usage.total;
+  });
+
+  const modelUsage = {};
+  let estimatedCost = 0;
+  let unpricedTokens = 0;
+
+  Object.entries(byModel)
+    .sort((a, b) => b[1].total - a[1].total)
+    .forEach(([model, tokens]) => {
+      const price = priceForModel(model);
+      const cost = price ? estimateCost(tokens, price) : null;
+
+      if (cost !== null) {
+        estimatedCost += cost;
+      } else {
+        unpricedTokens += tokens.total;
+      }
+
+      modelUsage[model] = {
+        priceName: price ? price.name : null,
+        ...tokens,
+        estimatedCost: cost !== null ? parseFloat(cost.toFixed(2)) : null
+      };
+    });
+
+  const pricedTokens = Object.values(modelUsage).reduce((sum, tokens) => sum + tokens.total, 0) - unpricedTokens;
+
+  return {
+    modelUsage,
+    // null when no usage in the week could be priced
+    estimatedCost: pricedTokens > 0 ? parseFloat(estimatedCost.toFixed(2)) : null,
+    unpricedTokens
+  };
+}
+
+module.exports = {
+  analyzeModelUsageForWeek,
+  priceForModel,
+  estimateCost
+};
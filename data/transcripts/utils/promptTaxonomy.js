@@ -0,0 +1,146 @@
+// Load the prompt taxonomy (CONFIG.PROMPT_TAXONOMY_FILE) and score prompts against its weighted rules
+const fs = require('fs');
+const path = require('path');
+const CONFIG = require('../../config');
+const { validate, formatErrors } = require('../../shared/utils/schemaValidator');
+
+const SCHEMA_PATH = path.join(__dirname, '../../schema/promptTaxonomy.schema.json');
+
+const taxonomyCache = {}; // resolved path -> compiled taxonomy
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Turn a rule into { regex, weight }; keywords become one whole-word alternation
+ */
+function compileRule(rule, rulePath, errors) {
+  if (!rule.pattern && !rule.keywords) {
+    errors.push({ path: rulePath, message: 'needs a pattern or keywords' });
+    return null;
+  }
+
+  const source = rule.pattern || `\\b(?:${rule.keywords.map(escapeRegex).join('|')})\\b`;
+  try {
+    return { regex: new RegExp(source, 'i'), weight: rule.weight !== undefined ? rule.weight : 1 };
+  } catch (err) {
+    errors.push({ path: `${rulePath}.pattern`, message: err.message });
+    return null;
+  }
+}
+
+function compileRules(rules, rulesPath, errors) {
+  return rules.map((rule, i) => compileRule(rule, `${rulesPath}[${i}]`, errors)).filter(Boolean);
+}
+
+function parseTaxonomy(resolved) {
+  const content = fs.readFileSync(resolved, 'utf8');
+  const extension = path.extname(resolved).toLowerCase();
+
+  if (extension === '.json') {
+    return JSON.parse(content);
+  }
+  if (extension === '.yaml' || extension === '.yml') {
+    return require('yaml').parse(content);
+  }
+  throw new Error(`expected a .json, .yaml or .yml file, got "${extension || 'no extension'}"`);
+}
+
+/**
+ * Read, validate and compile a taxonomy file (once per path)
+ * Throws with every problem listed
+ */
+function loadPromptTaxonomy(filePath = CONFIG.PROMPT_TAXONOMY_FILE) {
+  const resolved = path.resolve(filePath);
+  if (taxonomyCache[resolved]) {
+    return taxonomyCache[resolved];
+  }
+  if (!fs.existsSync(resolved)) {
+    throw new Error(`Prompt taxonomy not found: ${resolved}`);
+  }
+
+  let taxonomy;
+  try {
+    taxonomy = parseTaxonomy(resolved);
+  } catch (err) {
+    throw new Error(`Could not parse prompt taxonomy ${resolved}: ${err.message}`);
+  }
+
+  const schema = JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf8'));
+  const errors = validate(taxonomy, schema);
+  const categories = [];
+
+  if (errors.length === 0) {
+    Object.entries(taxonomy.categories).forEach(([name, category]) => {
+      const categoryPath = `$.categories.${name}`;
+      categories.push({
+        name,
+        rules: compileRules(category.rules, `${categoryPath}.rules`, errors),
+        subcategories: Object.entries(category.subcategories || {}).map(([subName, subcategory]) => ({
+          name: subName,
+          rules: compileRules(subcategory.rules, `${categoryPath}.subcategories.${subName}.rules`, errors)
+        }))
+      });
+    });
+  }
+  if (errors.length > 0) {
+    throw new Error(`Prompt taxonomy ${resolved} is invalid (${errors.length} problem${errors.length === 1 ? '' : 's'}):\n${formatErrors(errors)}`);
+  }
+
+  taxonomyCache[resolved] = {
+    file: resolved,
+    multiLabel: Boolean(taxonomy.multiLabel),
+    minScore: taxonomy.minScore !== undefined ? taxonomy.minScore : 1,
+    labelThreshold: taxonomy.labelThreshold !== undefined ? taxonomy.labelThreshold : 0.5,
+    fallback: taxonomy.fallback,
+    categories
+  };
+  return taxonomyCache[resolved];
+}
+
+function score(rules, text) {
+  return rules.reduce((sum, rule) => sum + (rule.regex.test(text) ? rule.weight : 0), 0);
+}
+
+/**
+ * Classify one prompt
+ * Returns { category, subcategory, labels, confidence } where confidence is the top score's share of all
+ * category scores (0 for the fallback category)
+ */
+function classifyWithTaxonomy(text, taxonomy) {
+  const scored = taxonomy.categories
+    .map(category => ({ category, score: score(category.rules, text) }))
+    .filter(entry => entry.score > 0);
+  const totalScore = scored.reduce((sum, entry) => sum + entry.score, 0);
+  // Stable sort keeps taxonomy order for ties
+  const ranked = [...scored].sort((a, b) => b.score - a.score);
+  const top = ranked[0];
+
+  if (!top || top.score < taxonomy.minScore) {
+    return { category: taxonomy.fallback, subcategory: null, labels: [taxonomy.fallback], confidence: 0 };
+  }
+
+  const subcategory = top.category.subcategories
+    .map(sub => ({ name: sub.name, score: score(sub.rules, text) }))
+    .filter(entry => entry.score > 0)
+    .sort((a, b) => b.score - a.score)[0];
+
+  const labels = taxonomy.multiLabel
+    ? ranked
+      .filter(entry => entry.score >= taxonomy.minScore && entry.score >= top.score * taxonomy.labelThreshold)
+      .map(entry => entry.category.name)
+    : [top.category.name];
+
+  return {
+    category: top.category.name,
+    subcategory: subcategory ? subcategory.name : null,
+    labels,
+    confidence: parseFloat((top.score / totalScore).toFixed(2))
+  };
+}
+
+module.exports = {
+  loadPromptTaxonomy,
+  classifyWithTaxonomy
+};
@@ -0,0 +1,162 @@
+// Session model: activity, tokens, ticket and outcome per transcript session
+const { isInWeek } = require('../../shared/utils/dateUtils');
+const { splitActiveIdle } = require('./activeTime');
+const { COMMIT_PATTERN, PR_PATTERN } = require('./ticketExtraction');
+const { buildTurns } = require('./turnTiming');
+
+const sessionsByIndex = new WeakMap(); // index -> { [sessionId]: session record }
+
+function toMinutes(ms) {
+  return parseFloat((ms / (1000 * 60)).toFixed(1));
+}
+
+/**
+ * Most frequent ticket of a session, preferring any ticket over UNATTRIBUTED
+ */
+function guessTicket(ticketCounts) {
+  const ranked = Object.entries(ticketCounts)
+    .sort((a, b) => b[1] - a[1])
+    .map(([ticket]) => ticket);
+  return ranked.find(ticket => ticket !== 'UNATTRIBUTED') || 'UNATTRIBUTED';
+}
+
+/**
+ * One record per main session; linked subagent runs count towards their parent session
+ * (built once per index)
+ */
+function buildSessions(index) {
+  if (sessionsByIndex.has(index)) {
+    return sessionsByIndex.get(index);
+  }
+
+  const records = {};
+  const ticketCounts = {};
+
+  Object.values(index.sessions)
+    .filter(session => !session.isSubagent)
+    .forEach(session => {
+      const timestamps = [...session.timestamps].sort((a, b) => a - b);
+      const { activeMs, idleMs } = splitActiveIdle(timestamps);
+
+      records[session.id] = {
+        sessionId: session.id,
+        developer: index.files[session.file].developer,
+        start: timestamps[0],
+        end: timestamps[timestamps.length - 1],
+        durationMinutes: toMinutes(timestamps[timestamps.length - 1] - timestamps[0]),
+        activeMinutes: toMinutes(activeMs),
+        idleMinutes: toMinutes(idleMs),
+        agentWorkingMinutes: 0, // the agent working on prompts (see turnTiming.js)
+        thinkMinutes: 0, // the developer reading and writing the next prompt
+        prompts: 0,
+        assistantTurns: session.assistantTurns,
+        toolCalls: 0,
+        subagentRuns: (session.subagentSessionIds || []).length,
+        tokens: 0,
+        inputTokens: 0, // input + cache creation + cache read
+        cacheReadTokens: 0,
+        cacheHitRatio: null,
+        ticket: 'UNATTRIBUTED',
+        committed: false,
+        openedPR: false
+      };
+      ticketCounts[session.id] = {};
+    });
+
+  // Subagent events belong to the parent session; unlinked subagent runs are left out
+  const recordFor = event => {
+    const session = index.sessions[event.sessionId];
+    if (!session) return null;
+    return records[session.isSubagent ? session.parentSessionId : session.id] || null;
+  };
+
+  ['prompt', 'toolUse', 'usage'].forEach(type => {
+    index.events[type].forEach(event => {
+      const record = recordFor(event);
+      if (!record) return;
+
+      if (type === 'prompt') {
+        if (!event.uuid || event.isRepeat || event.isSubagent) return;
+        record.prompts++;
+      } else if (type === 'toolUse') {
+        record.toolCalls++;
+        if (event.command && COMMIT_PATTERN.test(event.command)) record.committed = true;
+        if (event.command && PR_PATTERN.test(event.command)) record.openedPR = true;
+      } else {
+        record.tokens += event.total;
+        record.inputTokens += event.input + event.cacheCreation + event.cacheRead;
+        record.cacheReadTokens += event.cacheRead;
+      }
+
+      const counts = ticketCounts[record.sessionId];
+      counts[event.ticket] = (counts[event.ticket] || 0) + 1;
+    });
+  });
+
+  const turnTotals = {};
+  buildTurns(index).forEach(turn => {
+    if (!turnTotals[turn.sessionId]) turnTotals[turn.sessionId] = { agentMs: 0, thinkMs: 0 };
+    turnTotals[turn.sessionId].agentMs += turn.agentActiveMs;
+    turnTotals[turn.sessionId].thinkMs += turn.thinkTimeMs || 0;
+  });
+
+  Object.values(records).forEach(record => {
+    if (turnTotals[record.sessionId]) {
+      record.agentWorkingMinutes = toMinutes(turnTotals[record.sessionId].agentMs);
+      record.thinkMinutes = toMinutes(turnTotals[record.sessionId].thinkMs);
+    }
+    record.ticket = guessTicket(ticketCounts[record.sessionId]);
+    if (record.inputTokens > 0) {
+      record.cacheHitRatio = parseFloat((record.cacheReadTokens / record.inputTokens).toFixed(3));
+    }
+  });
+
+  sessionsByIndex.set(index, records);
+  return records;
+}
+
+/**
+ * Sessions that started in a week, oldest first
+ */
+function sessionsForWeek(week, index) {
+  return Object.values(buildSessions(index))
+    .filter(session => isInWeek(session.start, week))
+    .sort((a, b) => a.start - b.start);
+}
+
+function average(sessions, field) {
+  if (sessions.length === 0) return null;
+  const total = sessions.reduce((sum, session) => sum + session[field], 0);
+  return parseFloat((total / sessions.length).toFixed(1));
+}
+
+/**
+ * Weekly session aggregates
+ * Returns { sessions: { count, totalActiveMinutes, avg*, withCommit, withPR, commitOrPRRate } }
+ */
+function analyzeSessionsForWeek(week, index) {
+  const sessions = sessionsForWeek(week, index);
+  const withCommitOrPR = sessions.filter(session => session.committed || session.openedPR).length;
+
+  return {
+    sessions: {
+      count: sessions.length,
+      totalActiveMinutes: parseFloat(sessions.reduce((sum, session) => sum + session.activeMinutes, 0).toFixed(1)),
+      avgDurationMinutes: average(sessions, 'durationMinutes'),
+      avgActiveMinutes: average(sessions, 'activeMinutes'),
+      avgIdleMinutes: average(sessions, 'idleMinutes'),
+      avgPrompts: average(sessions, 'prompts'),
+      avgAssistantTurns: average(sessions, 'assistantTurns'),
+      avgToolCalls: average(sessions, 'toolCalls'),
+      avgTokens: sessions.length > 0 ? Math.round(sessions.reduce((sum, session) => sum + session.tokens, 0) / sessions.length) : null,
+      withCommit: sessions.filter(session => session.committed).length,
+      withPR: sessions.filter(session => session.openedPR).length,
+      commitOrPRRate: sessions.length > 0 ? parseFloat((withCommitOrPR / sessions.length * 100).toFixed(2)) : 0
+    }
+  };
+}
+
+module.exports = {
+  analyzeSessionsForWeek,
+  sessionsForWeek
+};
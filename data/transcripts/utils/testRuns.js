@@ -0,0 +1,140 @@
+// Agent test runs: test commands in Bash calls, their pass/fail counts, red/green cycles and commits made on red
+const CONFIG = require('../../config');
+const { isInWeek } = require('../../shared/utils/dateUtils');
+const { COMMIT_PATTERN } = require('./ticketExtraction');
+
+const compiledPatterns = {}; // pattern string -> RegExp
+
+/**
+ * Whether a Bash command runs tests (CONFIG.TEST_COMMAND_PATTERN, case-insensitive)
+ */
+function isTestCommand(command, pattern = CONFIG.TEST_COMMAND_PATTERN) {
+  if (!command || !pattern) return false;
+  if (!compiledPatterns[pattern]) {
+    try {
+      compiledPatterns[pattern] = new RegExp(pattern, 'i');
+    } catch (err) {
+      throw new Error(`TEST_COMMAND_PATTERN is not a valid regex: ${err.message}`);
+    }
+  }
+  return compiledPatterns[pattern].test(command);
+}
+
+function countBefore(text, words) {
+  const match = text.match(new RegExp(`(\\d+)\\s+(?:${words})\\b`, 'i'));
+  return match ? parseInt(match[1], 10) : 0;
+}
+
+/**
+ * Passed and failed test counts from a test command's output, and the run's status
+ * Reads the "Tests" summary line of vitest and jest when there is one (not "Test Files" / "Test Suites"), else the
+ * first "N passed/passing" and "N failed/failing" counts (playwright, pytest, mocha). A run with failures, or with
+ * none counted but a failed exit (e.g. a compile error), is red
+ * Returns { passed, failed, status: 'pass' | 'fail' | 'unknown' }
+ */
+function parseTestOutput(text, isError) {
+  const output = (text || '').replace(/\x1b\[[0-9;]*m/g, '');
+  const summary = output.match(/^\s*Tests:?\s+(.*\d+\s+(?:passed|failed).*)$/im);
+  const source = summary ? summary[1] : output;
+
+  const passed = countBefore(source, 'passed|passing');
+  const failed = countBefore(source, 'failed|failing');
+
+  let status = 'unknown';
+  if (failed > 0 || isError) {
+    status = 'fail';
+  } else if (passed > 0) {
+    status = 'pass';
+  }
+  return { passed, failed, status };
+}
+
+/**
+ * Number of times a sequence of runs went from red to green
+ */
+function redGreenCycles(runs) {
+  let cycles = 0;
+  let red = false;
+  runs.forEach(run => {
+    if (run.testRun.status === 'fail') {
+      red = true;
+    } else if (run.testRun.status === 'pass' && red) {
+      cycles++;
+      red = false;
+    }
+  });
+  return cycles;
+}
+
+/**
+ * Test runs, pass rate, red/green cycles and commits made with failing tests for a week
+ * Runs are the Bash test commands of main sessions and subagents; a commit is checked against the last test run
+ * before it in the same session (its subagents included)
+ * Returns { testRuns: { runs, passedRuns, failedRuns, unknownRuns, passRate, testsPassed, testsFailed, redGreenCycles,
+ *   commits, commitsWithFailingTests, commitsWithoutTestRun, byTicket: { [ticket]: { runs, failedRuns, redGreenCycles } } } }
+ */
+function analyzeTestRunsForWeek(week, index) {
+  const sessionOf = event => {
+    const session = index.sessions[event.sessionId];
+    return session && session.isSubagent ? session.parentSessionId : event.sessionId;
+  };
+
+  const allRuns = index.events.toolResult
+    .filter(result => result.testRun && result.timestamp !== null)
+    .sort((a, b) => a.timestamp - b.timestamp);
+  const runs = allRuns.filter(run => isInWeek(run.timestamp, week));
+
+  const passedRuns = runs.filter(run => run.testRun.status === 'pass').length;
+  const failedRuns = runs.filter(run => run.testRun.status === 'fail').length;
+
+  const runsByTicket = {};
+  runs.forEach(run => {
+    if (!runsByTicket[run.ticket]) runsByTicket[run.ticket] = [];
+    runsByTicket[run.ticket].push(run);
+  });
+  const byTicket = {};
+  Object.entries(runsByTicket).forEach(([ticket, ticketRuns]) => {
+    byTicket[ticket] = {
+      runs: ticketRuns.length,
+      failedRuns: ticketRuns.filter(run => run.testRun.status === 'fail').length,
+      redGreenCycles: redGreenCycles(ticketRuns)
+    };
+  });
+
+  const commits = index.events.toolUse
+    .filter(call => call.command && COMMIT_PATTERN.test(call.command) && call.timestamp !== null && isInWeek(call.timestamp, week));
+  let commitsWithFailingTests = 0;
+  let commitsWithoutTestRun = 0;
+  commits.forEach(commit => {
+    const session = sessionOf(commit);
+    const previous = allRuns.filter(run => sessionOf(run) === session && run.timestamp <= commit.timestamp);
+    if (previous.length === 0) {
+      commitsWithoutTestRun++;
+    } else if (previous[previous.length - 1].testRun.status === 'fail') {
+      commitsWithFailingTests++;
+    }
+  });
+
+  return {
+    testRuns: {
+      runs: runs.length,
+      passedRuns,
+      failedRuns,
+      unknownRuns: runs.length - passedRuns - failedRuns,
+      passRate: passedRuns + failedRuns > 0 ? parseFloat((passedRuns / (passedRuns + failedRuns) * 100).toFixed(2)) : null,
+      testsPassed: runs.reduce((sum, run) => sum + run.testRun.passed, 0),
+      testsFailed: runs.reduce((sum, run) => sum + run.testRun.failed, 0),
+      redGreenCycles: Object.values(byTicket).reduce((sum, ticket) => sum + ticket.redGreenCycles, 0),
+      commits: commits.length,
+      commitsWithFailingTests,
+      commitsWithoutTestRun,
+      byTicket
+    }
+  };
+}
+
+module.exports = {
+  isTestCommand,
+  parseTestOutput,
+  analyzeTestRunsForWeek
+};
@@ -0,0 +1,210 @@
+// Ticket attribution beyond the per-entry signals: commits in the session, subagent runs and open PRs
+// Each attributed event carries ticketSource and ticketConfidence (CONFIG.TICKET_ATTRIBUTION_CONFIDENCE)
+const CONFIG = require('../../config');
+const { isInWeek } = require('../../shared/utils/dateUtils');
+const { developerForLogin } = require('../../shared/utils/developers');
+const { extractTicketFromCommand, extractTicketFromText } = require('./ticketExtraction');
+
+const UNATTRIBUTED = 'UNATTRIBUTED';
+const MAX_UNATTRIBUTED_SESSIONS = 10;
+
+const attributionsByIndex = new WeakMap(); // index -> Map(open-PR windows key -> usage attributions)
+
+function setTicket(event, ticket, source, confidence = CONFIG.TICKET_ATTRIBUTION_CONFIDENCE[source]) {
+  event.ticket = ticket;
+  event.ticketSource = source;
+  event.ticketConfidence = confidence;
+}
+
+/**
+ * Events of each main session, oldest first
+ */
+function mainSessionEvents(index) {
+  const bySession = {};
+  Object.values(index.events).forEach(events => {
+    events.forEach(event => {
+      if (event.isSubagent || !event.sessionId || event.timestamp === null) return;
+      if (!bySession[event.sessionId]) bySession[event.sessionId] = [];
+      bySession[event.sessionId].push(event);
+    });
+  });
+  Object.values(bySession).forEach(events => events.sort((a, b) => a.timestamp - b.timestamp));
+  return bySession;
+}
+
+/**
+ * The last event at or before a timestamp (the first event when the timestamp precedes them all)
+ */
+function eventAt(events, timestamp) {
+  let low = 0;
+  let high = events.length - 1;
+  let found = 0;
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (events[mid].timestamp <= timestamp) {
+      found = mid;
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return events[found];
+}
+
+/**
+ * Attribution passes run once the whole index is built:
+ * - unattributed main-session events go to the ticket of the session's next `git commit` / `gh pr create`,
+ *   or of the last one when the work came after it
+ * - subagent events take the ticket the parent session was on when the subagent ran
+ */
+function attributeSessionTickets(index) {
+  const eventsBySession = mainSessionEvents(index);
+
+  Object.values(eventsBySession).forEach(events => {
+    const commits = events
+      .filter(event => event.type === 'toolUse' && event.command)
+      .map(event => ({ timestamp: event.timestamp, ticket: extractTicketFromCommand(event.command) }))
+      .filter(commit => commit.ticket);
+    if (commits.length === 0) return;
+
+    events
+      .filter(event => event.ticket === UNATTRIBUTED)
+      .forEach(event => {
+        const next = commits.find(commit => commit.timestamp >= event.timestamp);
+        if (next) {
+          setTicket(event, next.ticket, 'commit');
+        } else {
+          setTicket(event, commits[commits.length - 1].ticket, 'priorCommit');
+        }
+      });
+  });
+
+  Object.values(index.events).forEach(events => {
+    events.forEach(event => {
+      if (!event.isSubagent || !event.sessionId || event.timestamp === null) return;
+
+      const session = index.sessions[event.sessionId];
+      const parentEvents = session && eventsBySession[session.parentSessionId];
+      if (!parentEvents) return;
+
+      const parent = eventAt(parentEvents, event.timestamp);
+      if (parent.ticket !== UNATTRIBUTED) {
+        setTicket(event, parent.ticket, parent.ticketSource, parent.ticketConfidence);
+      }
+    });
+  });
+}
+
+/**
+ * When each PR naming a ticket was open: [{ ticket, author, start, end }]
+ * Closed PRs that were never merged are left out, as the PR list has no close time
+ */
+function openPRWindows(prs) {
+  return prs
+    .filter(pr => pr.state === 'OPEN' || pr.mergedAt)
+    .map(pr => ({
+      ticket: extractTicketFromText(pr.title),
+      author: pr.author ? developerForLogin(pr.author.login) : null,
+      start: new Date(pr.createdAt).getTime(),
+      end: pr.mergedAt ? new Date(pr.mergedAt).getTime() : Infinity
+    }))
+    .filter(window => window.ticket && window.author);
+}
+
+/**
+ * Ticket attribution of every usage event: [{ usage, ticket, source, confidence }] (built once per index and set of
+ * open-PR windows, so a refetched PR list with the same PRs reuses it)
+ * With a PR list (the PRs of every repository, from fetchAllPRs), usage still unattributed goes to a PR its developer
+ * had open at the time; transcript folders are matched to logins by developerForFolder. When several were open the
+ * most recently opened one is used, with the confidence split between them
+ */
+function usageAttributions(index, prs = null) {
+  if (!attributionsByIndex.has(index)) {
+    attributionsByIndex.set(index, new Map());
+  }
+  const cache = attributionsByIndex.get(index);
+  const windows = prs ? openPRWindows(prs) : [];
+  const key = windows.map(window => `${window.ticket}:${window.author}:${window.start}:${window.end}`).join(',');
+  if (cache.has(key)) {
+    return cache.get(key);
+  }
+
+  const attributions = index.events.usage.map(usage => {
+    const attribution = { usage, ticket: usage.ticket, source: usage.ticketSource, confidence: usage.ticketConfidence };
+    const developer = index.files[usage.file].developer;
+    if (usage.ticket !== UNATTRIBUTED || !developer || usage.timestamp === null) return attribution;
+
+    const open = windows.filter(window =>
+      window.author === developer && window.start <= usage.timestamp && usage.timestamp <= window.end);
+    if (open.length === 0) return attribution;
+
+    const tickets = new Set(open.map(window => window.ticket));
+    const latest = open.reduce((a, b) => (b.start > a.start ? b : a));
+    return { usage, ticket: latest.ticket, source: 'openPR', confidence: CONFIG.TICKET_ATTRIBUTION_CONFIDENCE.openPR / tickets.size };
+  });
+
+  cache.set(key, attributions);
+  return attributions;
+}
+
+/**
+ * Attributed and unattributed tokens for a week
+ * Returns { ticketAttribution: { totalTokens, attributedTokens, unattributedTokens, unattributedShare, avgConfidence,
+ *   bySource: { [source]: tokens }, unattributedSessionCount, unattributedSessions: [{ sessionId, developer, start, tokens }] } }
+ * avgConfidence is weighted by tokens; subagent tokens are listed under their parent session
+ */
+function analyzeAttributionForWeek(week, index, prs = null) {
+  let totalTokens = 0;
+  let unattributedTokens = 0;
+  let weightedConfidence = 0;
+  const bySource = {};
+  const sessions = {};
+
+  usageAttributions(index, prs).forEach(({ usage, ticket, source, confidence }) => {
+    if (usage.timestamp === null || !isInWeek(usage.timestamp, week)) return;
+    totalTokens += usage.total;
+
+    if (ticket !== UNATTRIBUTED) {
+      bySource[source] = (bySource[source] || 0) + usage.total;
+      weightedConfidence += confidence * usage.total;
+      return;
+    }
+
+    unattributedTokens += usage.total;
+    const session = index.sessions[usage.sessionId];
+    const sessionId = session && session.isSubagent && session.parentSessionId ? session.parentSessionId : (usage.sessionId || 'unknown');
+    if (!sessions[sessionId]) {
+      sessions[sessionId] = { sessionId, developer: index.files[usage.file].developer, start: usage.timestamp, tokens: 0 };
+    }
+    sessions[sessionId].start = Math.min(sessions[sessionId].start, usage.timestamp);
+    sessions[sessionId].tokens += usage.total;
+  });
+
+  const attributedTokens = totalTokens - unattributedTokens;
+  const unattributedSessions = Object.values(sessions)
+    .filter(session => session.tokens > 0)
+    .sort((a, b) => b.tokens - a.tokens);
+
+  return {
+    ticketAttribution: {
+      totalTokens,
+      attributedTokens,
+      unattributedTokens,
+      unattributedShare: totalTokens > 0 ? parseFloat((unattributedTokens / totalTokens * 100).toFixed(2)) : null,
+      avgConfidence: attributedTokens > 0 ? parseFloat((weightedConfidence / attributedTokens).toFixed(3)) : null,
+      bySource,
+      unattributedSessionCount: unattributedSessions.length,
+      unattributedSessions: unattributedSessions.slice(0, MAX_UNATTRIBUTED_SESSIONS).map(session => ({
+        ...session,
+        start: new Date(session.start).toISOString()
+      }))
+    }
+  };
+}
+
+module.exports = {
+  UNATTRIBUTED,
+  attributeSessionTickets,
+  usageAttributions,
+  analyzeAttributionForWeek
+};
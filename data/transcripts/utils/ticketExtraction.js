@@ -0,0 +1,86 @@
+// Work out which JIRA ticket a transcript entry belongs to
+const CONFIG = require('../../config');
+
+const COMMIT_PATTERN = /\bgit\s+(?:-C\s+\S+\s+)?commit\b/;
+const PR_PATTERN = /\bgh\s+pr\s+create\b/;
+
+const ticketPatterns = {}; // joined prefix list -> RegExp
+
+/**
+ * Extract ticket ID from branch name
+ */
+function extractTicketFromBranch(branch) {
+  if (!branch) return null;
+  const match = branch.match(/([A-Z]+-\d+)/i);
+  return match ? match[0].toUpperCase() : null;
+}
+
+/**
+ * Extract ticket ID from workflow command
+ */
+function extractTicketFromWorkflow(content) {
+  if (!content) return null;
+
+  let contentStr = '';
+  if (typeof content === 'string') {
+    contentStr = content;
+  } else if (Array.isArray(content)) {
+    contentStr = JSON.stringify(content);
+  }
+
+  const argsMatch = contentStr.match(/<command-args>([^<]+)<\/command-args>/);
+  if (argsMatch && argsMatch[1]) {
+    const match = argsMatch[1].match(/([A-Z]+-\d+)/i);
+    return match ? match[0].toUpperCase() : null;
+  }
+
+  return null;
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Ticket ID pattern for free text: IDs of the configured JIRA projects, or any upper-case KEY-123 when no
+ * repository sets jiraProjectPrefix (free text is noisier than branch names, e.g. "UTF-8")
+ * (compiled once per prefix list, as profiles and --config can change the repositories)
+ */
+function ticketPattern() {
+  const prefixes = CONFIG.REPOSITORIES
+    .map(repository => repository.jiraProjectPrefix)
+    .filter(Boolean);
+  if (prefixes.length === 0) return /\b[A-Z][A-Z0-9]*-\d+\b/;
+
+  const key = prefixes.join('|');
+  if (!ticketPatterns[key]) {
+    ticketPatterns[key] = new RegExp(`\\b(?:${prefixes.map(escapeRegex).join('|')})-\\d+\\b`, 'i');
+  }
+  return ticketPatterns[key];
+}
+
+/**
+ * Extract ticket ID from free text such as a prompt
+ */
+function extractTicketFromText(text) {
+  if (!text) return null;
+  const match = text.match(ticketPattern());
+  return match ? match[0].toUpperCase() : null;
+}
+
+/**
+ * Extract ticket ID from a `git commit` or `gh pr create` command (message, title or branch)
+ */
+function extractTicketFromCommand(command) {
+  if (!command || !(COMMIT_PATTERN.test(command) || PR_PATTERN.test(command))) return null;
+  return extractTicketFromText(command);
+}
+
+module.exports = {
+  COMMIT_PATTERN,
+  PR_PATTERN,
+  extractTicketFromBranch,
+  extractTicketFromWorkflow,
+  extractTicketFromText,
+  extractTicketFromCommand
+};
@@ -1,190 +1,81 @@
-// Extract token usage from transcript JSONL files
-const fs = require('fs');
-const path = require('path');
-const readline = require('readline');
-const { findFiles } = require('../../shared/utils/fileUtils');
+// Extract token usage per ticket from the transcript index
 const CONFIG = require('../../config');
-
-/**
- * Extract ticket ID from branch name
- */
-function extractTicketFromBranch(branch) {
-  if (!branch) return null;
-  const match = branch.match(/([A-Z]+-\d+)/i);
-  return match ? match[0].toUpperCase() : null;
+const { loadTranscriptIndex } = require('./transcriptIndex');
+const { extractTicketFromBranch, extractTicketFromWorkflow } = require('./ticketExtraction');
+const { usageAttributions } = require('./ticketAttribution');
+
+const tokensByAttributions = new WeakMap(); // usage attributions (cached per index and open PRs) -> tokens per ticket
+
+function emptyTokens() {
+  return {
+    total: 0,
+    input: 0,
+    output: 0,
+    cacheCreation: 0,
+    cacheRead: 0,
+    thinking: 0
+  };
 }
 
-/**
- * Extract ticket ID from workflow command
- */
-function extractTicketFromWorkflow(content) {
-  if (!content) return null;
-
-  let contentStr = '';
-  if (typeof content === 'string') {
-    contentStr = content;
-  } else if (Array.isArray(content)) {
-    contentStr = JSON.stringify(content);
-  }
-
-  const argsMatch = contentStr.match(/<command-args>([^<]+)<\/command-args>/);
-  if (argsMatch && argsMatch[1]) {
-    const match = argsMatch[1].match(/([A-Z]+-\d+)/i);
-    return match ? match[0].toUpperCase() : null;
-  }
-
-  return null;
+function addUsage(tokens, usage) {
+  tokens.total += usage.total;
+  tokens.input += usage.input;
+  tokens.output += usage.output;
+  tokens.cacheCreation += usage.cacheCreation;
+  tokens.cacheRead += usage.cacheRead;
+  tokens.thinking += usage.thinking;
 }
 
 /**
- * Process a single transcript file and extract tokens per ticket
+ * Aggregate the usage events of an index per ticket (see ticketAttribution.js; prs adds open-PR attribution)
+ * Top-level counts combine the main agent and its subagents; main and subagent hold the split.
+ * confidence is the token-weighted attribution confidence and bySource the tokens per attribution signal
  */
-async function extractTokensFromTranscript(filePath) {
-  const fileStream = fs.createReadStream(filePath);
-  const rl = readline.createInterface({
-    input: fileStream,
-    crlfDelay: Infinity
-  });
-
-  let currentBranch = null;
-  let currentTicketFromBranch = null;
-  let currentTicketFromWorkflow = null;
+function tokensPerTicket(index, prs = null) {
+  const attributions = usageAttributions(index, prs);
+  if (tokensByAttributions.has(attributions)) {
+    return tokensByAttributions.get(attributions);
+  }
 
   const tokensByTicket = {};
-
-  for await (const line of rl) {
-    try {
-      const data = JSON.parse(line);
-
-      // Track branch updates
-      if (data.gitBranch) {
-        currentBranch = data.gitBranch;
-        currentTicketFromBranch = extractTicketFromBranch(data.gitBranch);
-      }
-
-      // Check for workflow command override
-      if (data.message && data.message.content) {
-        const ticket = extractTicketFromWorkflow(data.message.content);
-        if (ticket) {
-          currentTicketFromWorkflow = ticket;
-        }
-      }
-
-      const currentTicket = currentTicketFromWorkflow || currentTicketFromBranch || 'UNATTRIBUTED';
-
-      // Attribute ALL tokens when assistant responds
-      if (data.type === "assistant" && data.message && data.message.usage) {
-        const usage = data.message.usage;
-
-        const totalTokens = (usage.input_tokens || 0) +
-                           (usage.output_tokens || 0) +
-                           (usage.cache_creation_input_tokens || 0) +
-                           (usage.cache_read_input_tokens || 0) +
-                           (usage.thinking_output_tokens || 0);
-
-        if (!tokensByTicket[currentTicket]) {
-          tokensByTicket[currentTicket] = {
-            total: 0,
-            input: 0,
-            output: 0,
-            cacheCreation: 0,
-            cacheRead: 0,
-            thinking: 0
-          };
-        }
-
-        tokensByTicket[currentTicket].total += totalTokens;
-        tokensByTicket[currentTicket].input += (usage.input_tokens || 0);
-        tokensByTicket[currentTicket].output += (usage.output_tokens || 0);
-        tokensByTicket[currentTicket].cacheCreation += (usage.cache_creation_input_tokens || 0);
-        tokensByTicket[currentTicket].cacheRead += (usage.cache_read_input_tokens || 0);
-        tokensByTicket[currentTicket].thinking += (usage.thinking_output_tokens || 0);
-      }
-    } catch (e) {
-      // Skip invalid JSON lines
+  attributions.forEach(({ usage, ticket, source, confidence }) => {
+    if (!tokensByTicket[ticket]) {
+      tokensByTicket[ticket] = { ...emptyTokens(), main: emptyTokens(), subagent: emptyTokens(), confidence: 0, bySource: {} };
     }
-  }
-
-  return tokensByTicket;
-}
-
-/**
- * Recursively find all .jsonl files in a directory
- */
-function findTranscriptFiles(dir) {
-  const files = [];
-
-  function scan(currentDir) {
-    const entries = fs.readdirSync(currentDir, { withFileTypes: true });
-
-    for (const entry of entries) {
-      const fullPath = path.join(currentDir, entry.name);
-
-      if (entry.isDirectory()) {
-        // Recursively scan subdirectories
-        scan(fullPath);
-      } else if (entry.isFile() && entry.name.endsWith('.jsonl') && !entry.name.startsWith('agent-')) {
-        files.push(fullPath);
-      }
+    const tokens = tokensByTicket[ticket];
+    addUsage(tokens, usage);
+    addUsage(usage.isSubagent ? tokens.subagent : tokens.main, usage);
+    if (source) {
+      tokens.confidence += confidence * usage.total; // weighted sum until all usage is added
+      tokens.bySource[source] = (tokens.bySource[source] || 0) + usage.total;
     }
-  }
+  });
+  Object.values(tokensByTicket).forEach(tokens => {
+    tokens.confidence = tokens.total > 0 ? parseFloat((tokens.confidence / tokens.total).toFixed(3)) : 0;
+  });
 
-  scan(dir);
-  return files;
+  tokensByAttributions.set(attributions, tokensByTicket);
+  return tokensByTicket;
 }
 
 /**
  * Extract tokens from all transcript files
- * Returns aggregated tokens per ticket
+ * Returns aggregated tokens per ticket; prs (from fetchAllPRs) enables open-PR attribution
  */
-async function extractAllTokens(transcriptDir = CONFIG.TRANSCRIPTS_DIR) {
-  if (!fs.existsSync(transcriptDir)) {
-    throw new Error(`Transcript directory not found: ${transcriptDir}`);
-  }
+async function extractAllTokens(transcriptDir = CONFIG.TRANSCRIPTS_DIR, prs = null) {
+  const index = await loadTranscriptIndex(transcriptDir);
 
-  // Recursively find all .jsonl files
-  const files = findTranscriptFiles(transcriptDir);
-
-  if (files.length === 0) {
+  if (index.files.length === 0) {
     console.warn(`  Warning: No .jsonl transcript files found in ${transcriptDir}`);
     return {};
   }
 
-  console.log(`  Found ${files.length} transcript files to process`);
-
-  const allTokensByTicket = {};
-
-  for (const file of files) {
-    const tokensByTicket = await extractTokensFromTranscript(file);
-
-    // Merge into global totals
-    for (const [ticket, tokens] of Object.entries(tokensByTicket)) {
-      if (!allTokensByTicket[ticket]) {
-        allTokensByTicket[ticket] = {
-          total: 0,
-          input: 0,
-          output: 0,
-          cacheCreation: 0,
-          cacheRead: 0,
-          thinking: 0
-        };
-      }
-
-      allTokensByTicket[ticket].total += tokens.total;
-      allTokensByTicket[ticket].input += tokens.input;
-      allTokensByTicket[ticket].output += tokens.output;
-      allTokensByTicket[ticket].cacheCreation += tokens.cacheCreation;
-      allTokensByTicket[ticket].cacheRead += tokens.cacheRead;
-      allTokensByTicket[ticket].thinking += tokens.thinking;
-    }
-  }
-
-  return allTokensByTicket;
+  return tokensPerTicket(index, prs);
 }
 
 module.exports = {
   extractTicketFromBranch,
   extractTicketFromWorkflow,
-  extractTokensFromTranscript,
+  tokensPerTicket,
   extractAllTokens
 };
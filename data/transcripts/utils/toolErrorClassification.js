@@ -0,0 +1,58 @@
+// Classify errored tool results using the rules in CONFIG.TOOL_ERROR_RULES
+const CONFIG = require('../../config');
+
+const UNCLASSIFIED = 'other';
+const compiledRules = new WeakMap(); // rules array -> [{ category, regex, tools }]
+
+/**
+ * Compile rules ({ category, pattern, tools? }) into case-insensitive regexes
+ * Throws on a rule without a category or with an invalid pattern
+ */
+function compileRules(rules) {
+  if (!Array.isArray(rules)) {
+    throw new Error('TOOL_ERROR_RULES must be an array of { category, pattern, tools? } rules');
+  }
+
+  return rules.map((rule, i) => {
+    if (!rule || typeof rule.category !== 'string' || typeof rule.pattern !== 'string') {
+      throw new Error(`TOOL_ERROR_RULES[${i}] needs a string category and pattern`);
+    }
+    let regex;
+    try {
+      regex = new RegExp(rule.pattern, 'i');
+    } catch (err) {
+      throw new Error(`TOOL_ERROR_RULES[${i}] (${rule.category}) has an invalid pattern: ${err.message}`);
+    }
+    return { category: rule.category, regex, tools: rule.tools || null };
+  });
+}
+
+function getCompiledRules(rules) {
+  if (!compiledRules.has(rules)) {
+    compiledRules.set(rules, compileRules(rules));
+  }
+  return compiledRules.get(rules);
+}
+
+/**
+ * Error class of a tool result: the first rule whose tools (if any) include the tool and whose pattern matches
+ */
+function classifyToolError(errorText, toolName, rules = CONFIG.TOOL_ERROR_RULES) {
+  const text = (errorText || '').replace(/<\/?tool_use_error>/g, '');
+  const match = getCompiledRules(rules).find(rule =>
+    (!rule.tools || rule.tools.includes(toolName)) && rule.regex.test(text));
+  return match ? match.category : UNCLASSIFIED;
+}
+
+/**
+ * Every category the rules can produce, in rule order, followed by the catch-all
+ */
+function errorCategories(rules = CONFIG.TOOL_ERROR_RULES) {
+  return [...new Set([...getCompiledRules(rules).map(rule => rule.category), UNCLASSIFIED])];
+}
+
+module.exports = {
+  UNCLASSIFIED,
+  classifyToolError,
+  errorCategories
+};
@@ -0,0 +1,129 @@
+// Per-tool usage and failure analytics from the transcript index
+const { eventsInWeek } = require('./transcriptIndex');
+const { classifyToolError } = require('./toolErrorClassification');
+
+const TOP_ERRORS = 5;
+const resultsByIndex = new WeakMap(); // index -> { [toolUseId]: toolResult event }
+
+/**
+ * Map tool_use ids to their tool_result events (built once per index)
+ */
+function toolResultsById(index) {
+  if (!resultsByIndex.has(index)) {
+    const results = {};
+    index.events.toolResult.forEach(result => {
+      if (result.toolUseId) results[result.toolUseId] = result;
+    });
+    resultsByIndex.set(index, results);
+  }
+  return resultsByIndex.get(index);
+}
+
+/**
+ * Group an error message with others that differ only in numbers, ids or paths
+ */
+function normalizeErrorMessage(text) {
+  const firstLine = (text || '')
+    .replace(/<\/?tool_use_error>/g, '')
+    .trim()
+    .split('\n')[0];
+
+  return firstLine
+    .replace(/(?:\/[\w.@-]+){2,}/g, '<path>')
+    .replace(/\b[0-9a-f]{8,}\b/gi, '<id>')
+    .replace(/\d+/g, 'N')
+    .slice(0, 120) || '(no message)';
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+}
+
+function countCall(groups, key, toolName, isError) {
+  if (!groups[key]) groups[key] = {};
+  if (!groups[key][toolName]) groups[key][toolName] = { calls: 0, errors: 0 };
+  groups[key][toolName].calls++;
+  if (isError) groups[key][toolName].errors++;
+}
+
+function errorRate(errors, calls) {
+  return calls > 0 ? parseFloat((errors / calls * 100).toFixed(2)) : 0;
+}
+
+/**
+ * Tool calls for a week, broken down by tool, ticket and developer, with errors counted per error class
+ * Returns { toolUsage: { tools, errorClasses, byTicket, byDeveloper } }
+ */
+function analyzeToolUsageForWeek(week, index) {
+  const results = toolResultsById(index);
+  const tools = {};
+  const byTicket = {};
+  const byDeveloper = {};
+  const errorClasses = {};
+
+  eventsInWeek(index, 'toolUse', week).forEach(call => {
+    const result = call.toolUseId ? results[call.toolUseId] : null;
+    const isError = Boolean(result && result.isError);
+
+    if (!tools[call.name]) {
+      tools[call.name] = { calls: 0, errors: 0, resultSizes: [], errorMessages: {}, errorClasses: {} };
+    }
+    const tool = tools[call.name];
+    tool.calls++;
+    if (result) tool.resultSizes.push(result.size);
+    if (isError) {
+      tool.errors++;
+      const message = normalizeErrorMessage(result.errorText);
+      tool.errorMessages[message] = (tool.errorMessages[message] || 0) + 1;
+      const errorClass = classifyToolError(result.errorText, call.name);
+      tool.errorClasses[errorClass] = (tool.errorClasses[errorClass] || 0) + 1;
+      errorClasses[errorClass] = (errorClasses[errorClass] || 0) + 1;
+    }
+
+    countCall(byTicket, call.ticket, call.name, isError);
+    countCall(byDeveloper, index.files[call.file].developer || 'unknown', call.name, isError);
+  });
+
+  const toolStats = {};
+  Object.entries(tools)
+    .sort((a, b) => b[1].calls - a[1].calls)
+    .forEach(([name, tool]) => {
+      toolStats[name] = {
+        calls: tool.calls,
+        errors: tool.errors,
+        errorRate: errorRate(tool.errors, tool.calls),
+        medianResultSize: median(tool.resultSizes),
+        errorClasses: tool.errorClasses,
+        topErrors: Object.entries(tool.errorMessages)
+          .sort((a, b) => b[1] - a[1])
+          .slice(0, TOP_ERRORS)
+          .map(([message, count]) => ({ message, count }))
+      };
+    });
+
+  [byTicket, byDeveloper].forEach(groups => {
+    Object.values(groups).forEach(groupTools => {
+      Object.values(groupTools).forEach(stats => {
+        stats.errorRate = errorRate(stats.errors, stats.calls);
+      });
+    });
+  });
+
+  return {
+    toolUsage: {
+      tools: toolStats,
+      errorClasses,
+      byTicket,
+      byDeveloper
+    }
+  };
+}
+
+module.exports = {
+  analyzeToolUsageForWeek,
+  normalizeErrorMessage,
+  toolResultsById
+};
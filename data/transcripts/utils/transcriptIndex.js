@@ -0,0 +1,338 @@
+// Single-pass transcript index shared by all transcript analyzers
+// Every JSONL file is streamed once; analyzers query the extracted events per week
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const CONFIG = require('../../config');
+const { findFiles } = require('../../shared/utils/fileUtils');
+const { isInWeek } = require('../../shared/utils/dateUtils');
+const { developerForFolder } = require('../../shared/utils/developers');
+const { detectCompaction } = require('./compactionUtils');
+const { extractTicketFromBranch, extractTicketFromWorkflow, extractTicketFromText } = require('./ticketExtraction');
+const { attributeSessionTickets } = require('./ticketAttribution');
+const { editedLines } = require('./agentEdits');
+const { isTestCommand, parseTestOutput } = require('./testRuns');
+
+const EVENT_TYPES = ['prompt', 'interruption', 'toolUse', 'toolResult', 'usage', 'compaction', 'command'];
+const INTERRUPTION_MARKERS = ['[Request interrupted by user]', '[Request interrupted by user for tool use]'];
+
+const indexCache = {}; // transcripts dir -> Promise<index>
+
+/**
+ * Join the text parts of a message content (string or content blocks)
+ */
+function getTextContent(content) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+  return content
+    .filter(c => c.type === 'text')
+    .map(c => c.text)
+    .join(' ');
+}
+
+function isInterruption(entry) {
+  if (entry.type !== 'user' || !entry.message?.content) return false;
+  const content = entry.message.content;
+
+  if (typeof content === 'string') {
+    return INTERRUPTION_MARKERS.some(marker => content.includes(marker));
+  }
+  return Array.isArray(content) && content.some(item =>
+    item.type === 'text' && item.text && INTERRUPTION_MARKERS.some(marker => item.text.includes(marker)));
+}
+
+/**
+ * Slash command invoked by a user entry (<command-name>/name</command-name>), or null
+ */
+function parseSlashCommand(content) {
+  const text = typeof content === 'string' ? content : JSON.stringify(content);
+  const nameMatch = text.match(/<command-name>\s*\/?([^<\s]+)\s*<\/command-name>/);
+  if (!nameMatch) return null;
+
+  const argsMatch = text.match(/<command-args>([^<]*)<\/command-args>/);
+  return { name: `/${nameMatch[1]}`, args: argsMatch ? argsMatch[1].trim() : '' };
+}
+
+function toolResultSize(content) {
+  if (typeof content === 'string') return content.length;
+  if (Array.isArray(content)) return getTextContent(content).length;
+  return 0;
+}
+
+/**
+ * Developer of a transcript: files are stored as <dir>/<developer folder>/<workspace>/<session>.jsonl,
+ * and the folder is mapped to a developer id (GitHub login) by developerForFolder
+ */
+function developerForFile(transcriptsDir, filePath) {
+  const parts = path.relative(transcriptsDir, filePath).split(path.sep);
+  return parts.length >= 3 ? developerForFolder(parts[0]) : null;
+}
+
+/**
+ * Stream one transcript and append its events to the index
+ */
+async function indexTranscriptFile(index, filePath, fileIndex) {
+  const file = index.files[fileIndex];
+  const seenPromptIds = new Set();
+  const seenAssistantMessageIds = new Set();
+  const testCommandIds = new Set(); // tool_use ids of Bash test commands, whose results are parsed
+  let pendingBoundary = false;
+  let lastCommandName = null;
+
+  let currentTicketFromBranch = null;
+  let currentTicketFromWorkflow = null;
+  let currentTicketFromPrompt = null;
+
+  const rl = readline.createInterface({
+    input: fs.createReadStream(filePath),
+    crlfDelay: Infinity
+  });
+
+  for await (const line of rl) {
+    if (!line.trim()) continue;
+
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (e) {
+      file.malformedLines++;
+      continue;
+    }
+
+    const timestamp = entry.timestamp ? new Date(entry.timestamp).getTime() : null;
+    if (file.firstEntryTimestamp === undefined) {
+      file.firstEntryTimestamp = timestamp;
+    }
+
+    // Ticket attribution: a workflow command's arguments, else the branch name, else the last ticket ID the
+    // developer typed in a prompt; commits and open PRs fill the gaps after indexing (see ticketAttribution.js)
+    if (entry.gitBranch) {
+      currentTicketFromBranch = extractTicketFromBranch(entry.gitBranch);
+    }
+    if (entry.message && entry.message.content) {
+      const ticket = extractTicketFromWorkflow(entry.message.content);
+      if (ticket) {
+        currentTicketFromWorkflow = ticket;
+      }
+    }
+    if (!file.isSubagent && entry.message?.role === 'user' && entry.message.content && !entry.isCompactSummary) {
+      const ticket = extractTicketFromText(getTextContent(entry.message.content));
+      if (ticket) {
+        currentTicketFromPrompt = ticket;
+      }
+    }
+
+    const signals = [['workflow', currentTicketFromWorkflow], ['branch', currentTicketFromBranch], ['prompt', currentTicketFromPrompt]];
+    const [ticketSource, ticket] = signals.find(([, signalTicket]) => signalTicket) || [null, 'UNATTRIBUTED'];
+
+    // Subagent entries carry the parent's sessionId; give each subagent run its own session
+    const sessionId = entry.sessionId
+      ? (file.isSubagent ? `${entry.sessionId}/${entry.agentId || path.basename(filePath, '.jsonl')}` : entry.sessionId)
+      : null;
+
+    const base = {
+      timestamp,
+      sessionId,
+      file: fileIndex,
+      isSubagent: file.isSubagent,
+      ticket,
+      ticketSource,
+      ticketConfidence: ticketSource ? CONFIG.TICKET_ATTRIBUTION_CONFIDENCE[ticketSource] : 0
+    };
+    const add = (type, fields) => index.events[type].push({ type, ...base, ...fields });
+
+    if (sessionId && timestamp !== null) {
+      if (!index.sessions[sessionId]) {
+        index.sessions[sessionId] = {
+          id: sessionId,
+          file: fileIndex,
+          isSubagent: file.isSubagent,
+          parentSessionId: file.isSubagent ? entry.sessionId : null,
+          timestamps: [],
+          assistantTurns: 0
+        };
+      }
+      const session = index.sessions[sessionId];
+      session.timestamps.push(timestamp);
+
+      // A streamed assistant message is written as one entry per content block, sharing the message id
+      if (entry.type === 'assistant') {
+        const messageId = entry.message?.id || entry.uuid;
+        if (!messageId || !seenAssistantMessageIds.has(messageId)) {
+          if (messageId) seenAssistantMessageIds.add(messageId);
+          session.assistantTurns++;
+        }
+      }
+
+      // A boundary is followed by its summary entry; only count the summary when it has no boundary
+      const compaction = detectCompaction(entry);
+      if (compaction && compaction.marker === 'compact_boundary') {
+        pendingBoundary = true;
+        add('compaction', { compactionType: compaction.type, marker: compaction.marker, preTokens: compaction.preTokens });
+      } else if (compaction && !pendingBoundary) {
+        add('compaction', { compactionType: lastCommandName === '/compact' ? 'manual' : 'automatic', marker: compaction.marker, preTokens: null });
+      } else if (compaction) {
+        pendingBoundary = false;
+      }
+    }
+
+    // User-typed prompts (skip empty content, "Warmup" prompts and compaction summaries)
+    if (entry.message?.role === 'user' && entry.message.content && !entry.isCompactSummary) {
+      const text = getTextContent(entry.message.content);
+      if (text && text.trim().length > 0 && text !== 'Warmup') {
+        // The same uuid can appear more than once in a file; isRepeat marks the copies
+        const isRepeat = Boolean(entry.uuid) && seenPromptIds.has(entry.uuid);
+        if (entry.uuid) seenPromptIds.add(entry.uuid);
+        // isMeta entries are written by Claude Code itself, e.g. the expanded prompt of a custom slash command
+        add('prompt', { uuid: entry.uuid || null, text, isRepeat, isMeta: Boolean(entry.isMeta) });
+        lastCommandName = null;
+      }
+    }
+
+    if (entry.type === 'user' && entry.message?.content) {
+      const command = parseSlashCommand(entry.message.content);
+      if (command) {
+        // Remembered until the next prompt, to tell a /compact summary from an automatic one
+        lastCommandName = command.name;
+        add('command', { commandName: command.name, args: command.args });
+      }
+    }
+
+    if (isInterruption(entry)) {
+      add('interruption', {});
+    }
+
+    if (entry.message?.content) {
+      const content = Array.isArray(entry.message.content) ? entry.message.content : [entry.message.content];
+      content.forEach(item => {
+        if (item.type === 'tool_use') {
+          // Bash commands are kept (truncated) to spot commits, PRs and test runs
+          const command = item.name === 'Bash' && typeof item.input?.command === 'string'
+            ? item.input.command.slice(0, 500)
+            : null;
+          if (item.name === 'Bash' && item.id && isTestCommand(item.input?.command)) testCommandIds.add(item.id);
+          // File edits are kept as hashed line keys, with the working directory, to match against PR diffs (see agentEdits.js)
+          const edit = editedLines(item.name, item.input);
+          add('toolUse', { toolUseId: item.id || null, name: item.name || 'unknown', command, edit: edit && { ...edit, cwd: entry.cwd || null } });
+        }
+        if (item.type === 'tool_result') {
+          // Only error text is kept; successful results can be whole files. Test command output is reduced to its counts
+          add('toolResult', {
+            toolUseId: item.tool_use_id || null,
+            isError: Boolean(item.is_error),
+            size: toolResultSize(item.content),
+            errorText: item.is_error ? getTextContent(item.content).slice(0, 500) : null,
+            testRun: testCommandIds.has(item.tool_use_id) ? parseTestOutput(getTextContent(item.content), Boolean(item.is_error)) : null
+          });
+        }
+      });
+    }
+
+    if (entry.type === 'assistant' && entry.message && entry.message.usage) {
+      const usage = entry.message.usage;
+      const tokens = {
+        input: usage.input_tokens || 0,
+        output: usage.output_tokens || 0,
+        cacheCreation: usage.cache_creation_input_tokens || 0,
+        cacheRead: usage.cache_read_input_tokens || 0,
+        thinking: usage.thinking_output_tokens || 0
+      };
+      tokens.total = tokens.input + tokens.output + tokens.cacheCreation + tokens.cacheRead + tokens.thinking;
+      add('usage', { messageId: entry.message.id || null, model: entry.message.model || null, ...tokens });
+    }
+
+    if (timestamp !== null) {
+      if (file.firstTimestamp === null || timestamp < file.firstTimestamp) file.firstTimestamp = timestamp;
+      if (file.lastTimestamp === null || timestamp > file.lastTimestamp) file.lastTimestamp = timestamp;
+    }
+  }
+
+  if (file.firstEntryTimestamp === undefined) {
+    file.firstEntryTimestamp = null;
+  }
+}
+
+/**
+ * Link subagent (agent-*.jsonl) runs to their parent session
+ */
+function linkSubagents(index) {
+  Object.values(index.sessions)
+    .filter(session => session.isSubagent)
+    .forEach(session => {
+      const parent = index.sessions[session.parentSessionId];
+      session.linked = Boolean(parent);
+      index.files[session.file].parentSessionId = session.parentSessionId;
+      if (parent) {
+        parent.subagentSessionIds = [...(parent.subagentSessionIds || []), session.id];
+      }
+    });
+}
+
+/**
+ * Build the index for a transcripts directory
+ * Returns { dir, files: [...], sessions: { [sessionId]: ... }, events: { [type]: [...] } }
+ */
+async function buildTranscriptIndex(transcriptsDir = CONFIG.TRANSCRIPTS_DIR) {
+  if (!transcriptsDir) {
+    throw new Error('TRANSCRIPTS_DIR not configured');
+  }
+  if (!fs.existsSync(transcriptsDir)) {
+    throw new Error(`Transcript directory not found: ${transcriptsDir}`);
+  }
+
+  const startedAt = Date.now();
+  const filePaths = findFiles(transcriptsDir, '.jsonl');
+  const index = {
+    dir: transcriptsDir,
+    files: filePaths.map(filePath => ({
+      path: filePath,
+      developer: developerForFile(transcriptsDir, filePath),
+      isSubagent: path.basename(filePath).startsWith('agent-'),
+      firstTimestamp: null,
+      lastTimestamp: null,
+      malformedLines: 0
+    })),
+    sessions: {},
+    events: {}
+  };
+  EVENT_TYPES.forEach(type => { index.events[type] = []; });
+
+  for (let i = 0; i < filePaths.length; i++) {
+    await indexTranscriptFile(index, filePaths[i], i);
+  }
+  linkSubagents(index);
+  attributeSessionTickets(index);
+
+  const eventCount = EVENT_TYPES.reduce((sum, type) => sum + index.events[type].length, 0);
+  const subagentSessions = Object.values(index.sessions).filter(session => session.isSubagent);
+  const unlinked = subagentSessions.filter(session => !session.linked).length;
+  console.log(`  Indexed ${filePaths.length} transcript files (${eventCount.toLocaleString()} events, ${subagentSessions.length} subagent runs${unlinked > 0 ? `, ${unlinked} without a parent session` : ''}) in ${((Date.now() - startedAt) / 1000).toFixed(1)}s`);
+
+  return index;
+}
+
+/**
+ * Build the index once per directory and reuse it for the rest of the run
+ */
+function loadTranscriptIndex(transcriptsDir = CONFIG.TRANSCRIPTS_DIR) {
+  if (!indexCache[transcriptsDir]) {
+    indexCache[transcriptsDir] = buildTranscriptIndex(transcriptsDir);
+    // Let a failed build be retried
+    indexCache[transcriptsDir].catch(() => { delete indexCache[transcriptsDir]; });
+  }
+  return indexCache[transcriptsDir];
+}
+
+/**
+ * Events of one type with a timestamp inside the week
+ */
+function eventsInWeek(index, type, week) {
+  return index.events[type].filter(event => event.timestamp !== null && isInWeek(event.timestamp, week));
+}
+
+module.exports = {
+  buildTranscriptIndex,
+  loadTranscriptIndex,
+  eventsInWeek,
+  getTextContent
+};
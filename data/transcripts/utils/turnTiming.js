@@ -0,0 +1,181 @@
+// Who waits on whom: agent response latency and working time per prompt, and human think time between turns
+const { isInWeek } = require('../../shared/utils/dateUtils');
+const { isIdleGap, splitActiveIdle } = require('./activeTime');
+
+const MAX_LONGEST_RUNS = 10;
+
+const turnsByIndex = new WeakMap(); // index -> [turn]
+
+/**
+ * One turn per developer prompt in a main session, oldest first (built once per index):
+ * { sessionId, developer, ticket, promptAt, responded, responseLatencyMs, agentActiveMs, toolCalls, interrupted, thinkTimeMs,
+ *   isBreak }
+ *
+ * The agent works from the prompt until its last assistant message, tool call or tool result (subagent activity
+ * included) before the next prompt, or until the developer interrupts it. Gaps of SESSION_IDLE_GAP_MINUTES or more
+ * are left out of agentActiveMs, and a response that takes that long has no latency. Think time runs from the end
+ * of the agent's turn to the next prompt; a gap that long is a break (isBreak) rather than think time.
+ * Time spent waiting for a tool permission prompt counts as agent time, as transcripts do not record it
+ */
+function buildTurns(index) {
+  if (turnsByIndex.has(index)) {
+    return turnsByIndex.get(index);
+  }
+
+  const timelines = {};
+  const timelineFor = event => {
+    const session = index.sessions[event.sessionId];
+    if (!session || event.timestamp === null) return null;
+    const sessionId = session.isSubagent ? session.parentSessionId : session.id;
+    if (!index.sessions[sessionId]) return null;
+    if (!timelines[sessionId]) timelines[sessionId] = [];
+    return timelines[sessionId];
+  };
+
+  // Interruption markers are user entries too; they end a turn rather than start one
+  const interruptions = new Set();
+  index.events.interruption.forEach(event => {
+    if (event.isSubagent) return;
+    interruptions.add(`${event.sessionId}:${event.timestamp}`);
+    const timeline = timelineFor(event);
+    if (timeline) timeline.push({ kind: 'interruption', timestamp: event.timestamp });
+  });
+
+  index.events.prompt
+    .filter(prompt => prompt.uuid && !prompt.isRepeat && !prompt.isSubagent)
+    .filter(prompt => !interruptions.has(`${prompt.sessionId}:${prompt.timestamp}`))
+    .forEach(prompt => {
+      const timeline = timelineFor(prompt);
+      if (timeline) timeline.push({ kind: 'prompt', timestamp: prompt.timestamp, ticket: prompt.ticket });
+    });
+
+  ['usage', 'toolUse', 'toolResult'].forEach(type => {
+    index.events[type].forEach(event => {
+      const timeline = timelineFor(event);
+      if (timeline) timeline.push({ kind: 'agent', timestamp: event.timestamp, isToolCall: type === 'toolUse' });
+    });
+  });
+
+  const turns = [];
+  Object.entries(timelines).forEach(([sessionId, timeline]) => {
+    // Prompts sort before agent activity with the same timestamp
+    const order = { prompt: 0, interruption: 1, agent: 2 };
+    timeline.sort((a, b) => a.timestamp - b.timestamp || order[a.kind] - order[b.kind]);
+
+    const developer = index.files[index.sessions[sessionId].file].developer;
+    let turn = null;
+    const closeTurn = nextPromptAt => {
+      const end = turn.interruptedAt !== null ? turn.interruptedAt : turn.activity[turn.activity.length - 1];
+      const latency = turn.activity.length > 1 ? turn.activity[1] - turn.promptAt : null;
+      const thinkTime = nextPromptAt !== null ? nextPromptAt - end : null;
+
+      turns.push({
+        sessionId,
+        developer,
+        ticket: turn.ticket,
+        promptAt: turn.promptAt,
+        responded: turn.activity.length > 1,
+        responseLatencyMs: latency !== null && !isIdleGap(latency) ? latency : null,
+        agentActiveMs: splitActiveIdle(turn.activity).activeMs,
+        toolCalls: turn.toolCalls,
+        interrupted: turn.interruptedAt !== null,
+        thinkTimeMs: thinkTime !== null && !isIdleGap(thinkTime) ? thinkTime : null,
+        isBreak: thinkTime !== null && isIdleGap(thinkTime)
+      });
+    };
+
+    timeline.forEach(item => {
+      if (item.kind === 'prompt') {
+        if (turn) closeTurn(item.timestamp);
+        turn = { promptAt: item.timestamp, ticket: item.ticket, activity: [item.timestamp], toolCalls: 0, interruptedAt: null };
+      } else if (turn && turn.interruptedAt === null) {
+        if (item.kind === 'interruption') {
+          turn.interruptedAt = item.timestamp;
+        } else {
+          turn.activity.push(item.timestamp);
+          if (item.isToolCall) turn.toolCalls++;
+        }
+      }
+    });
+    if (turn) closeTurn(null);
+  });
+
+  turnsByIndex.set(index, turns);
+  return turns;
+}
+
+function percentile(sorted, p) {
+  const position = (sorted.length - 1) * p;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Count, percentiles and total of durations in milliseconds, converted to seconds or minutes (unitMs)
+ */
+function distribution(valuesMs, unitMs, decimals) {
+  const sorted = valuesMs.map(ms => ms / unitMs).sort((a, b) => a - b);
+  if (sorted.length === 0) {
+    return { count: 0, p25: null, median: null, p75: null, p90: null, max: null, total: 0 };
+  }
+
+  const round = value => parseFloat(value.toFixed(decimals));
+  return {
+    count: sorted.length,
+    p25: round(percentile(sorted, 0.25)),
+    median: round(percentile(sorted, 0.5)),
+    p75: round(percentile(sorted, 0.75)),
+    p90: round(percentile(sorted, 0.9)),
+    max: round(sorted[sorted.length - 1]),
+    total: round(sorted.reduce((sum, value) => sum + value, 0))
+  };
+}
+
+/**
+ * Agent and human waiting time for the prompts sent in a week
+ * responseLatencySeconds is prompt to first agent activity, agentWorkingMinutes the agent's active time per answered
+ * prompt (an unattended run) and thinkTimeSeconds the end of a turn to the next prompt, each as { count, p25, median, p75,
+ * p90, max, total }; breaks are the gaps left out of think time
+ * Returns { turnTiming: { prompts, responseLatencySeconds, agentWorkingMinutes, thinkTimeSeconds, breaks,
+ *   humanWaitShare, longestRuns: [{ sessionId, developer, ticket, start, minutes, toolCalls, interrupted }] } }
+ */
+function analyzeTurnTimingForWeek(week, index) {
+  const turns = buildTurns(index).filter(turn => isInWeek(turn.promptAt, week));
+  const agentWorkingMinutes = distribution(turns.filter(turn => turn.responded).map(turn => turn.agentActiveMs), 60 * 1000, 1);
+  const thinkTimeSeconds = distribution(turns.filter(turn => turn.thinkTimeMs !== null).map(turn => turn.thinkTimeMs), 1000, 0);
+  const agentMs = turns.reduce((sum, turn) => sum + turn.agentActiveMs, 0);
+  const thinkMs = turns.reduce((sum, turn) => sum + (turn.thinkTimeMs || 0), 0);
+
+  const longestRuns = turns
+    .filter(turn => turn.agentActiveMs > 0)
+    .sort((a, b) => b.agentActiveMs - a.agentActiveMs)
+    .slice(0, MAX_LONGEST_RUNS)
+    .map(turn => ({
+      sessionId: turn.sessionId,
+      developer: turn.developer,
+      ticket: turn.ticket,
+      start: new Date(turn.promptAt).toISOString(),
+      minutes: parseFloat((turn.agentActiveMs / (60 * 1000)).toFixed(1)),
+      toolCalls: turn.toolCalls,
+      interrupted: turn.interrupted
+    }));
+
+  return {
+    turnTiming: {
+      prompts: turns.length,
+      responseLatencySeconds: distribution(turns.filter(turn => turn.responseLatencyMs !== null).map(turn => turn.responseLatencyMs), 1000, 0),
+      agentWorkingMinutes,
+      thinkTimeSeconds,
+      breaks: turns.filter(turn => turn.isBreak).length,
+      // Share of the active time in which the developer was waiting on the agent rather than the other way round
+      humanWaitShare: agentMs + thinkMs > 0 ? parseFloat((agentMs / (agentMs + thinkMs) * 100).toFixed(2)) : null,
+      longestRuns
+    }
+  };
+}
+
+module.exports = {
+  analyzeTurnTimingForWeek,
+  buildTurns
+};
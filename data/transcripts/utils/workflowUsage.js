@@ -0,0 +1,143 @@
+// Slash command and workflow usage from the transcript index
+const CONFIG = require('../../config');
+const { isInWeek } = require('../../shared/utils/dateUtils');
+
+const runsByIndex = new WeakMap(); // index -> workflow runs
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+}
+
+/**
+ * Group events by the main session they belong to (subagent events go to their parent session)
+ */
+function eventsByMainSession(index, type) {
+  const grouped = {};
+  index.events[type].forEach(event => {
+    const session = index.sessions[event.sessionId];
+    if (!session || event.timestamp === null) return;
+    const sessionId = session.isSubagent ? session.parentSessionId : session.id;
+    if (!grouped[sessionId]) grouped[sessionId] = [];
+    grouped[sessionId].push(event);
+  });
+  return grouped;
+}
+
+/**
+ * One run per slash command invocation
+ * A run lasts until the developer's next prompt or slash command in the session, or until activity pauses for
+ * SESSION_IDLE_GAP_MINUTES or more. It is abandoned when the developer interrupted it or
+ * re-ran the same command straight after; otherwise it completed.
+ */
+function buildWorkflowRuns(index) {
+  if (runsByIndex.has(index)) {
+    return runsByIndex.get(index);
+  }
+
+  const idleGapMs = CONFIG.SESSION_IDLE_GAP_MINUTES * 60 * 1000;
+  const usageBySession = eventsByMainSession(index, 'usage');
+  const interruptionsBySession = eventsByMainSession(index, 'interruption');
+
+  // Developer prompts end a run; interruption markers and Claude Code's own entries (isMeta) do not
+  const interruptions = new Set(index.events.interruption.map(event => `${event.sessionId}:${event.timestamp}`));
+  const promptsBySession = {};
+  index.events.prompt
+    .filter(prompt => prompt.uuid && !prompt.isRepeat && !prompt.isMeta && !prompt.isSubagent && prompt.timestamp !== null)
+    .filter(prompt => !interruptions.has(`${prompt.sessionId}:${prompt.timestamp}`))
+    .forEach(prompt => {
+      if (!promptsBySession[prompt.sessionId]) promptsBySession[prompt.sessionId] = [];
+      promptsBySession[prompt.sessionId].push(prompt.timestamp);
+    });
+  const commandsBySession = {};
+  index.events.command
+    .filter(command => !command.isSubagent && command.timestamp !== null && index.sessions[command.sessionId])
+    .forEach(command => {
+      if (!commandsBySession[command.sessionId]) commandsBySession[command.sessionId] = [];
+      commandsBySession[command.sessionId].push(command);
+    });
+
+  const runs = [];
+  Object.entries(commandsBySession).forEach(([sessionId, commands]) => {
+    commands.sort((a, b) => a.timestamp - b.timestamp);
+    const timestamps = [...index.sessions[sessionId].timestamps].sort((a, b) => a - b);
+    const prompts = (promptsBySession[sessionId] || []).sort((a, b) => a - b);
+
+    commands.forEach((command, i) => {
+      const next = commands[i + 1];
+      // The command's own entry is a prompt too, so the next prompt is the first one after it
+      const nextPrompt = prompts.find(timestamp => timestamp > command.timestamp);
+      const limit = Math.min(next ? next.timestamp : Infinity, nextPrompt !== undefined ? nextPrompt : Infinity);
+
+      // Last activity before the next command or an idle gap
+      let end = command.timestamp;
+      for (const timestamp of timestamps) {
+        if (timestamp <= end) continue;
+        if (timestamp >= limit || timestamp - end >= idleGapMs) break;
+        end = timestamp;
+      }
+
+      const inRun = event => event.timestamp >= command.timestamp && event.timestamp <= end;
+      const interrupted = (interruptionsBySession[sessionId] || []).some(inRun);
+      const retried = Boolean(next && next.timestamp === limit && next.commandName === command.commandName && next.timestamp - end < idleGapMs);
+
+      runs.push({
+        command: command.commandName,
+        sessionId,
+        developer: index.files[command.file].developer,
+        ticket: command.ticket,
+        start: command.timestamp,
+        end,
+        durationMinutes: (end - command.timestamp) / (1000 * 60),
+        tokens: (usageBySession[sessionId] || []).filter(inRun).reduce((sum, usage) => sum + usage.total, 0),
+        abandoned: interrupted || retried
+      });
+    });
+  });
+
+  runsByIndex.set(index, runs);
+  return runs;
+}
+
+/**
+ * Slash command runs that started in a week, per command
+ * Returns { workflows: { [command]: { runs, completed, abandoned, abandonRate, developers, tokens, avgTokens, medianDurationMinutes } } }
+ */
+function analyzeWorkflowsForWeek(week, index) {
+  const byCommand = {};
+  buildWorkflowRuns(index)
+    .filter(run => isInWeek(run.start, week))
+    .forEach(run => {
+      if (!byCommand[run.command]) byCommand[run.command] = [];
+      byCommand[run.command].push(run);
+    });
+
+  const workflows = {};
+  Object.entries(byCommand)
+    .sort((a, b) => b[1].length - a[1].length)
+    .forEach(([command, runs]) => {
+      const abandoned = runs.filter(run => run.abandoned).length;
+      const tokens = runs.reduce((sum, run) => sum + run.tokens, 0);
+      const medianDuration = median(runs.map(run => run.durationMinutes));
+
+      workflows[command] = {
+        runs: runs.length,
+        completed: runs.length - abandoned,
+        abandoned,
+        abandonRate: parseFloat((abandoned / runs.length * 100).toFixed(2)),
+        developers: new Set(runs.map(run => run.developer).filter(Boolean)).size,
+        tokens,
+        avgTokens: Math.round(tokens / runs.length),
+        medianDurationMinutes: parseFloat(medianDuration.toFixed(1))
+      };
+    });
+
+  return { workflows };
+}
+
+module.exports = {
+  analyzeWorkflowsForWeek,
+  buildWorkflowRuns
+};
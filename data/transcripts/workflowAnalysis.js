@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const CONFIG = require('../config');
+const { analyzeWorkflowsForWeek } = require('./utils/workflowUsage');
+const { loadTranscriptIndex } = require('./utils/transcriptIndex');
+const { writeJSON } = require('../shared/utils/fileUtils');
+
+/**
+ * Print slash command runs, tokens, abandon rates and durations per week and export them as JSON for `metrics collect`
+ * Options: weeks (defaults to CONFIG.WEEKS), output (JSON export path, defaults to CONFIG.TRANSCRIPT_EXPORTS_DIR)
+ */
+async function runWorkflowAnalysis(options = {}) {
+  const weeks = options.weeks || CONFIG.WEEKS;
+  const results = [];
+
+  console.log('='.repeat(80));
+  console.log('SLASH COMMAND AND WORKFLOW USAGE FROM TRANSCRIPTS');
+  console.log('='.repeat(80));
+  console.log();
+
+  const index = await loadTranscriptIndex();
+  console.log();
+
+  weeks.forEach(week => {
+    console.log(`${week.name} (${week.period}):`);
+
+    try {
+      const result = analyzeWorkflowsForWeek(week, index);
+      results.push({ week: week.name, period: week.period, ...result });
+
+      const workflows = Object.entries(result.workflows);
+      if (workflows.length === 0) {
+        console.log('  No slash commands');
+        console.log();
+        return;
+      }
+
+      workflows.forEach(([command, stats]) => {
+        console.log(`  ${command}: ${stats.runs} runs by ${stats.developers} developer(s), ${stats.abandoned} abandoned (${stats.abandonRate}%), ${stats.tokens.toLocaleString()} tokens, median ${stats.medianDurationMinutes} min`);
+      });
+      console.log();
+    } catch (err) {
+      console.error(`  Error: ${err.message}`);
+      console.log();
+    }
+  });
+
+  console.log('='.repeat(80));
+
+  if (results.length > 0) {
+    const outputPath = options.output
+      ? path.resolve(options.output)
+      : path.join(CONFIG.TRANSCRIPT_EXPORTS_DIR, 'workflows.json');
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    writeJSON(outputPath, { type: 'workflows', generatedAt: new Date().toISOString(), weeks: results });
+    console.log(`Workflow export written to: ${outputPath}`);
+  }
+
+  return results;
+}
+
+module.exports = { runWorkflowAnalysis };
+
+if (require.main === module) {
+  require('../../cli/commands').runCommand(['transcripts', 'workflows'], process.argv.slice(2));
+}
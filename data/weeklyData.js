@@ -1,403 +0,0 @@
-const weeklyData = [
-  {
-    week: 'Week 1',
-    period: 'Oct 7-10',
-    featurePRs: 0,
-    locPerPR: null,
-    locPerDev: 0,
-    locPerToken: null,
-    commentsPerPR: null,
-    testCoverage: null,
-    cves: null,
-    duplicatedLines: null,
-    maintainability: null,
-    reliability: null,
-    security: null,
-    codeSmells: null,
-    nkt: null,
-    cycleTime: null,
-    tokensPerSP: null,
-    tokensPerCycleTime: undefined,
-    costPerLOC: null,
-    costPerPR: null,
-    costPerSP: null,
-    storyPoints: null,
-    wipSP: null,
-    totalCost: 37.28,
-    timeToContextWindow: null,
-    autoCompactions: 0,
-    manualCompactions: 0,
-    totalPrompts: 0,
-    avgPromptLength: 0,
-    topCategory: null,
-    topCategoryCount: 0,
-    topSubcategory: null,
-    topSubcategoryCount: 0,
-    promptCategories: {},
-    ticketDetails: {},
-    interruptions: 0,
-    interruptionRate: 0,
-    interruptionPrompts: 0,
-    toolUses: 0,
-    toolErrors: 0,
-    errorRate: 0,
-    note: ''
-  },
-  {
-    week: 'Week 2',
-    period: 'Oct 13-17',
-    featurePRs: 4,
-    locPerPR: 2954,
-    locPerDev: 5909,
-    locPerToken: 0.0000828,
-    commentsPerPR: 1.00,
-    testCoverage: null,
-    cves: null,
-    duplicatedLines: null,
-    maintainability: null,
-    reliability: null,
-    security: null,
-    codeSmells: null,
-    nkt: 7.43,
-    cycleTime: 1.75,
-    tokensPerSP: 47569876,
-    tokensPerCycleTime: 81548359,
-    costPerLOC: 0.0138,
-    costPerPR: 40.63,
-    costPerSP: 13.54,
-    storyPoints: 12,
-    wipSP: null,
-    totalCost: 162.52,
-    timeToContextWindow: 3.621,
-    autoCompactions: 26,
-    manualCompactions: 0,
-    totalPrompts: 12,
-    avgPromptLength: 173,
-    topCategory: 'testing',
-    topCategoryCount: 5,
-    topSubcategory: null,
-    topSubcategoryCount: 0,
-    promptCategories: {"general":{"count":4},"testing":{"count":5},"bug_fix":{"count":3}},
-    ticketDetails: {"VIBE-153":{"prNumber":19,"createdAt":"2025-10-17T16:46:04Z","mergedAt":"2025-10-22T16:32:41Z","week":"Week 2","storyPoints":3,"tokens":142709628},"VIBE-150":{"prNumber":13,"createdAt":"2025-10-15T17:48:33Z","mergedAt":"2025-10-16T12:11:56Z","week":"Week 2","storyPoints":2},"VIBE-146":{"prNumber":12,"createdAt":"2025-10-15T16:24:48Z","mergedAt":"2025-10-16T12:11:34Z","week":"Week 2","storyPoints":5},"VIBE-149":{"prNumber":8,"createdAt":"2025-10-14T12:32:06Z","mergedAt":"2025-10-15T14:16:29Z","week":"Week 2","storyPoints":2}},
-    interruptions: 0,
-    interruptionRate: 0,
-    interruptionPrompts: 8,
-    toolUses: 105,
-    toolErrors: 10,
-    errorRate: 9.52,
-    note: ''
-  },
-  {
-    week: 'Week 3',
-    period: 'Oct 20-24',
-    featurePRs: 6,
-    locPerPR: 1536,
-    locPerDev: 4608,
-    locPerToken: 0.000019,
-    commentsPerPR: 1.00,
-    testCoverage: 79.86,
-    cves: 0,
-    duplicatedLines: 0,
-    maintainability: 1,
-    reliability: 1,
-    security: 1,
-    codeSmells: 5.2,
-    nkt: 2.36,
-    cycleTime: 5.5,
-    tokensPerSP: 48498050,
-    tokensPerCycleTime: 88178272,
-    costPerLOC: 0.0198,
-    costPerPR: 30.36,
-    costPerSP: 9.11,
-    storyPoints: 20,
-    wipSP: null,
-    totalCost: 182.19,
-    timeToContextWindow: 13.264061111111113,
-    autoCompactions: 66,
-    manualCompactions: 0,
-    totalPrompts: 140,
-    avgPromptLength: 533,
-    topCategory: 'general',
-    topCategoryCount: 94,
-    topSubcategory: null,
-    topSubcategoryCount: 0,
-    promptCategories: {"general":{"count":94},"refactoring":{"count":1},"testing":{"count":10},"code_review":{"count":2},"bug_fix":{"count":6},"feature_development":{"count":16},"configuration":{"count":11}},
-    ticketDetails: {"VIBE-159":{"prNumber":43,"createdAt":"2025-10-24T12:53:46Z","mergedAt":"2025-11-06T12:08:49Z","week":"Week 3","storyPoints":2,"tokens":183217158},"VIBE-157":{"prNumber":38,"createdAt":"2025-10-23T15:30:59Z","mergedAt":"2025-10-29T13:12:27Z","week":"Week 3","storyPoints":2,"tokens":12868936},"VIBE-155":{"prNumber":36,"createdAt":"2025-10-23T09:39:39Z","mergedAt":"2025-10-29T11:09:17Z","week":"Week 3","storyPoints":3,"tokens":209592967},"VIBE-191":{"prNumber":33,"createdAt":"2025-10-22T15:07:37Z","mergedAt":"2025-10-30T12:12:51Z","week":"Week 3","storyPoints":2},"VIBE-139":{"prNumber":27,"createdAt":"2025-10-21T14:54:38Z","mergedAt":"2025-10-23T09:20:34Z","week":"Week 3","storyPoints":3,"tokens":79301434},"VIBE-154":{"prNumber":26,"createdAt":"2025-10-21T10:44:23Z","mergedAt":"2025-10-29T16:45:40Z","week":"Week 3","storyPoints":8}},
-    interruptions: 1,
-    interruptionRate: 0.3,
-    interruptionPrompts: 329,
-    toolUses: 2128,
-    toolErrors: 134,
-    errorRate: 6.3,
-    note: ''
-  },
-  {
-    week: 'Week 4',
-    period: 'Oct 27-31',
-    featurePRs: 4,
-    locPerPR: 1441,
-    locPerDev: 1921,
-    locPerToken: 0.0000104,
-    commentsPerPR: 1.00,
-    testCoverage: 85.23,
-    cves: 0,
-    duplicatedLines: 0,
-    maintainability: 1,
-    reliability: 1,
-    security: 1,
-    codeSmells: 2.2,
-    nkt: 2.89,
-    cycleTime: 4.5,
-    tokensPerSP: 69250342,
-    tokensPerCycleTime: 123111718,
-    costPerLOC: 0.0394,
-    costPerPR: 56.77,
-    costPerSP: 22.71,
-    storyPoints: 10,
-    wipSP: null,
-    totalCost: 227.07,
-    timeToContextWindow: 81.70869666666667,
-    autoCompactions: 19,
-    manualCompactions: 0,
-    totalPrompts: 171,
-    avgPromptLength: 666,
-    topCategory: 'general',
-    topCategoryCount: 103,
-    topSubcategory: null,
-    topSubcategoryCount: 0,
-    promptCategories: {"general":{"count":103},"bug_fix":{"count":31},"testing":{"count":9},"feature_development":{"count":15},"code_review":{"count":1},"documentation":{"count":2},"version_control":{"count":3},"configuration":{"count":5},"refactoring":{"count":2}},
-    ticketDetails: {"VIBE-149":{"prNumber":59,"createdAt":"2025-10-30T14:47:15Z","mergedAt":"2025-11-04T08:45:07Z","week":"Week 4","storyPoints":2},"VIBE-150":{"prNumber":58,"createdAt":"2025-10-30T11:59:34Z","mergedAt":"2025-10-30T14:51:52Z","week":"Week 4","storyPoints":2},"VIBE-153":{"prNumber":57,"createdAt":"2025-10-30T09:19:59Z","mergedAt":"2025-10-31T13:57:59Z","week":"Week 4","storyPoints":3,"tokens":142709628},"VIBE-204":{"prNumber":56,"createdAt":"2025-10-29T15:52:27Z","mergedAt":"2025-11-05T16:37:41Z","week":"Week 4","storyPoints":2,"tokens":167244804},"VIBE-158":{"prNumber":54,"createdAt":"2025-10-29T10:57:51Z","mergedAt":"2025-11-06T11:53:00Z","week":"Week 4","storyPoints":3,"tokens":244048300}},
-    interruptions: 14,
-    interruptionRate: 5.36,
-    interruptionPrompts: 261,
-    toolUses: 1548,
-    toolErrors: 90,
-    errorRate: 5.81,
-    note: ''
-  },
-  {
-    week: 'Week 5',
-    period: 'Nov 3-7',
-    featurePRs: 3,
-    locPerPR: 2494,
-    locPerDev: 3741,
-    locPerToken: 0.00000385,
-    commentsPerPR: 1.00,
-    testCoverage: 89.77,
-    cves: 0,
-    duplicatedLines: 0,
-    maintainability: 1,
-    reliability: 1,
-    security: 1,
-    codeSmells: 3.25,
-    nkt: 5.57,
-    cycleTime: 2.33,
-    tokensPerSP: 138729083,
-    tokensPerCycleTime: 833565304,
-    costPerLOC: 0.0512,
-    costPerPR: 127.81,
-    costPerSP: 27.39,
-    storyPoints: 14,
-    wipSP: null,
-    totalCost: 383.43,
-    timeToContextWindow: 100.85209722222221,
-    autoCompactions: 52,
-    manualCompactions: 0,
-    totalPrompts: 1112,
-    avgPromptLength: 1140,
-    topCategory: 'general',
-    topCategoryCount: 523,
-    topSubcategory: null,
-    topSubcategoryCount: 0,
-    promptCategories: {"general":{"count":523},"bug_fix":{"count":156},"version_control":{"count":39},"testing":{"count":150},"feature_development":{"count":198},"code_review":{"count":6},"configuration":{"count":22},"code_understanding":{"count":2},"documentation":{"count":16}},
-    ticketDetails: {"VIBE-203":{"prNumber":74,"createdAt":"2025-11-06T11:59:35Z","mergedAt":"2025-11-10T10:28:11Z","week":"Week 5","storyPoints":1,"tokens":966809},"VIBE-201":{"prNumber":67,"createdAt":"2025-11-04T16:41:10Z","mergedAt":"2025-11-07T09:27:15Z","week":"Week 5","storyPoints":8,"tokens":1848830747},"VIBE-160":{"prNumber":66,"createdAt":"2025-11-04T15:49:34Z","mergedAt":"2025-11-06T14:56:09Z","week":"Week 5","storyPoints":5,"tokens":92409602}},
-    interruptions: 100,
-    interruptionRate: 8.45,
-    interruptionPrompts: 1184,
-    toolUses: 11427,
-    toolErrors: 792,
-    errorRate: 6.93,
-    note: ''
-  },
-  {
-    week: 'Week 6',
-    period: 'Nov 10-14',
-    featurePRs: 3,
-    locPerPR: 2609,
-    locPerDev: 3914,
-    locPerToken: 0.00001643,
-    commentsPerPR: 1.67,
-    testCoverage: 87.5,
-    cves: 0,
-    duplicatedLines: 0,
-    maintainability: 1,
-    reliability: 1,
-    security: 1,
-    codeSmells: 2,
-    nkt: 3.9,
-    cycleTime: 3.33,
-    tokensPerSP: 29778871,
-    tokensPerCycleTime: 143081663,
-    costPerLOC: 0.0333,
-    costPerPR: 86.95,
-    costPerSP: 16.3,
-    storyPoints: 16,
-    wipSP: null,
-    totalCost: 260.86,
-    timeToContextWindow: 67.13704583333333,
-    autoCompactions: 29,
-    manualCompactions: 0,
-    totalPrompts: 293,
-    avgPromptLength: 889,
-    topCategory: 'general',
-    topCategoryCount: 157,
-    topSubcategory: null,
-    topSubcategoryCount: 0,
-    promptCategories: {"general":{"count":157},"feature_development":{"count":91},"code_review":{"count":4},"configuration":{"count":1},"bug_fix":{"count":32},"version_control":{"count":3},"testing":{"count":5}},
-    ticketDetails: {"VIBE-216":{"prNumber":99,"createdAt":"2025-11-13T16:36:24Z","mergedAt":"2025-11-20T16:33:13Z","week":"Week 6","storyPoints":8,"tokens":128161460},"VIBE-140":{"prNumber":92,"createdAt":"2025-11-11T11:07:43Z","mergedAt":"2025-11-17T09:14:54Z","week":"Week 6","storyPoints":8,"tokens":348300478},"VIBE-222":{"prNumber":88,"createdAt":"2025-11-10T11:18:57Z","mergedAt":"2025-11-10T14:06:10Z","week":"Week 6"}},
-    interruptions: 65,
-    interruptionRate: 7.66,
-    interruptionPrompts: 849,
-    toolUses: 7770,
-    toolErrors: 558,
-    errorRate: 7.18,
-    note: ''
-  },
-  {
-    week: 'Week 7',
-    period: 'Nov 17-21',
-    featurePRs: 3,
-    locPerPR: 5018,
-    locPerDev: 15053,
-    locPerToken: 0.00000499,
-    commentsPerPR: 1.33,
-    testCoverage: 92.13,
-    cves: 0,
-    duplicatedLines: 0.23,
-    maintainability: 1,
-    reliability: 1,
-    security: 1,
-    codeSmells: 5.33,
-    nkt: 3.25,
-    cycleTime: 4,
-    tokensPerSP: 188637165,
-    tokensPerCycleTime: 754548660,
-    costPerLOC: 0.0244,
-    costPerPR: 122.49,
-    costPerSP: 22.97,
-    storyPoints: 16,
-    wipSP: null,
-    totalCost: 367.46,
-    timeToContextWindow: 93.859665,
-    autoCompactions: 81,
-    manualCompactions: 0,
-    totalPrompts: 552,
-    avgPromptLength: 1172,
-    topCategory: 'general',
-    topCategoryCount: 234,
-    topSubcategory: null,
-    topSubcategoryCount: 0,
-    promptCategories: {"general":{"count":234},"feature_development":{"count":125},"testing":{"count":46},"bug_fix":{"count":126},"code_review":{"count":6},"version_control":{"count":12},"documentation":{"count":3}},
-    ticketDetails: {"VIBE-240":{"prNumber":121,"createdAt":"2025-11-20T17:14:14Z","mergedAt":"2025-11-21T14:26:25Z","week":"Week 7"},"VIBE-143":{"prNumber":116,"createdAt":"2025-11-20T16:02:04Z","mergedAt":"2025-11-24T14:36:33Z","week":"Week 7","storyPoints":3,"tokens":283866123},"VIBE-180":{"prNumber":106,"createdAt":"2025-11-18T14:32:45Z","mergedAt":"2025-11-26T09:30:40Z","week":"Week 7","storyPoints":8,"tokens":2367688848},"VIBE-169":{"prNumber":102,"createdAt":"2025-11-17T11:32:25Z","mergedAt":"2025-11-20T16:34:15Z","week":"Week 7","storyPoints":5,"tokens":366639670}},
-    interruptions: 74,
-    interruptionRate: 6.36,
-    interruptionPrompts: 1163,
-    toolUses: 13035,
-    toolErrors: 822,
-    errorRate: 6.31,
-    note: ''
-  },
-  {
-    week: 'Week 8',
-    period: 'Nov 24-28',
-    featurePRs: 4,
-    locPerPR: 3618,
-    locPerDev: 7235,
-    locPerToken: 0.00000891,
-    commentsPerPR: 1.00,
-    testCoverage: 89.83,
-    cves: 0,
-    duplicatedLines: 0.83,
-    maintainability: 1,
-    reliability: 1,
-    security: 1,
-    codeSmells: 5.25,
-    nkt: 2.89,
-    cycleTime: 4.5,
-    tokensPerSP: 147700420,
-    tokensPerCycleTime: 361045470,
-    costPerLOC: 0.0271,
-    costPerPR: 98.19,
-    costPerSP: 30.21,
-    storyPoints: 13,
-    wipSP: null,
-    totalCost: 392.78,
-    timeToContextWindow: 62.28805952380952,
-    autoCompactions: 46,
-    manualCompactions: 0,
-    totalPrompts: 257,
-    avgPromptLength: 870,
-    topCategory: 'general',
-    topCategoryCount: 145,
-    topSubcategory: null,
-    topSubcategoryCount: 0,
-    promptCategories: {"general":{"count":145},"feature_development":{"count":54},"bug_fix":{"count":40},"testing":{"count":14},"code_review":{"count":2},"version_control":{"count":2}},
-    ticketDetails: {"VIBE-236":{"prNumber":146,"createdAt":"2025-11-28T14:45:01Z","mergedAt":"2025-12-15T13:42:51Z","week":"Week 8","storyPoints":2},"VIBE-175":{"prNumber":137,"createdAt":"2025-11-27T12:51:14Z","mergedAt":"2025-12-01T10:16:26Z","week":"Week 8","storyPoints":3,"tokens":266262912},"VIBE-209":{"prNumber":136,"createdAt":"2025-11-26T18:04:20Z","mergedAt":"2025-11-28T11:36:10Z","week":"Week 8","storyPoints":3,"tokens":410862680},"VIBE-192":{"prNumber":130,"createdAt":"2025-11-24T17:13:56Z","mergedAt":"2025-11-27T17:11:26Z","week":"Week 8","storyPoints":5,"tokens":947579023}},
-    interruptions: 39,
-    interruptionRate: 4.86,
-    interruptionPrompts: 802,
-    toolUses: 8552,
-    toolErrors: 695,
-    errorRate: 8.13,
-    note: ''
-  },
-  {
-    week: 'Week 9',
-    period: 'Dec 1-5',
-    featurePRs: 4,
-    locPerPR: 2443,
-    locPerDev: 4887,
-    locPerToken: 0.00001091,
-    commentsPerPR: 1.00,
-    testCoverage: 90.65,
-    cves: 0,
-    duplicatedLines: 0.95,
-    maintainability: 1,
-    reliability: 1,
-    security: 1,
-    codeSmells: 3.75,
-    nkt: 1.53,
-    cycleTime: 8.5,
-    tokensPerSP: 63987013,
-    tokensPerCycleTime: 105390374,
-    costPerLOC: 0.0416,
-    costPerPR: 101.55,
-    costPerSP: 29.01,
-    storyPoints: 14,
-    wipSP: null,
-    totalCost: 406.21,
-    timeToContextWindow: 65.68718148148149,
-    autoCompactions: 114,
-    manualCompactions: 0,
-    totalPrompts: 177,
-    avgPromptLength: 1077,
-    topCategory: 'general',
-    topCategoryCount: 81,
-    topSubcategory: null,
-    topSubcategoryCount: 0,
-    promptCategories: {"general":{"count":81},"bug_fix":{"count":25},"configuration":{"count":1},"feature_development":{"count":47},"testing":{"count":18},"version_control":{"count":2},"documentation":{"count":2},"code_review":{"count":1}},
-    ticketDetails: {"VIBE-209":{"prNumber":168,"createdAt":"2025-12-04T17:00:53Z","mergedAt":"2025-12-15T13:41:37Z","week":"Week 9","storyPoints":3,"tokens":410862680},"VIBE-166":{"prNumber":167,"createdAt":"2025-12-04T13:23:45Z","mergedAt":"2025-12-15T18:34:46Z","week":"Week 9","storyPoints":5,"tokens":109555217},"VIBE-175":{"prNumber":164,"createdAt":"2025-12-03T16:03:23Z","mergedAt":"2025-12-15T13:42:27Z","week":"Week 9","storyPoints":3,"tokens":266262912},"VIBE-162":{"prNumber":153,"createdAt":"2025-12-01T13:31:11Z","mergedAt":"2025-12-15T13:38:09Z","week":"Week 9","storyPoints":3,"tokens":109137370}},
-    interruptions: 25,
-    interruptionRate: 4.6,
-    interruptionPrompts: 544,
-    toolUses: 6180,
-    toolErrors: 523,
-    errorRate: 8.46,
-    note: ''
-  }
-];
-
-const labels = weeklyData.map(d => d.period);
-const validWeeks = weeklyData.filter(d => d.featurePRs > 0);
-
-module.exports = { weeklyData, labels, validWeeks };
@@ -1,218 +1,445 @@
 #!/usr/bin/env node
 
 const path = require('path');
-const { weeklyData, labels } = require('./data/weeklyData');
-const { makeLineChart, makeStackedBar, makeTokensPerSPScatter, makeNKTLogScatter, makeInterruptionRateChart } = require('./charts/chartFactory');
+const CONFIG = require('./data/config');
+const { loadWeeklyDataset } = require('./data/shared/utils/datasetLoader');
+const { makeLineChart, makeStackedBar, makePromptCategoryChart, makeTokensPerSPScatter, makeNKTLogScatter, makeInterruptionRateChart, makeToolUsageChart, makeToolErrorRateChart, makeToolErrorClassChart, makeToolErrorClassRateChart, makeCostComparisonChart, makeWorkflowUsageChart, makeWorkflowAbandonRateChart, makeContextPeakChart, makeContextAtCompactionChart, makeCacheEfficiencyChart, makeDeveloperChart, makeDistributionChart } = require('./charts/chartFactory');
+const { displayName } = require('./data/shared/utils/developers');
 const { createDoc, drawSectionHeader, addChartsGrid } = require('./pdf/layoutBuilder');
 
-// Filter out Week 1-3 from transcript-related metrics (incomplete transcript data)
-const TRANSCRIPT_EXCLUDE_WEEKS = ['Week 1', 'Week 2', 'Week 3'];
+// Filter out weeks before transcript coverage started from transcript-related metrics (incomplete transcript data)
+const TRANSCRIPT_EXCLUDE_WEEKS = CONFIG.WEEKS
+  .filter(w => w.start < CONFIG.TRANSCRIPT_COVERAGE_START)
+  .map(w => w.name);
 
-function filterTranscriptData(data) {
-  return data.map((value, index) => {
-    const week = weeklyData[index];
-    return TRANSCRIPT_EXCLUDE_WEEKS.includes(week.week) ? null : value;
-  });
-}
+/**
+ * Render the weekly metrics PDF
+ * Options: output (defaults to weekly_metrics.pdf), data (defaults to data/weeklyData.json),
+ * view (portfolio or a repository name), weeks (week names to render, defaults to every week in the dataset),
+ * realNames (show developer logins instead of pseudonyms)
+ * Resolves with the PDF path once the file has been written
+ */
+function generateReport(options = {}) {
+  const { weeklyData, labels, view } = loadWeeklyDataset(options.data || CONFIG.WEEKLY_DATA_FILE, { view: options.view, weeks: options.weeks });
+  const pdfOutputPath = path.resolve(options.output || path.join(__dirname, 'weekly_metrics.pdf'));
 
-const args = process.argv.slice(2);
-let outputFile = 'weekly_metrics.pdf';
-for (let i = 0; i < args.length; i++) {
-  if ((args[i] === '--output' || args[i] === '-o') && args[i + 1]) {
-    outputFile = args[i + 1];
-    i++;
+  function filterTranscriptData(data) {
+    return data.map((value, index) => {
+      const week = weeklyData[index];
+      return TRANSCRIPT_EXCLUDE_WEEKS.includes(week.week) ? null : value;
+    });
   }
+
+  // Filter weeklyData for prompt categories (exclude weeks without transcript coverage)
+  const filteredWeeklyDataForPrompts = weeklyData.map((week, index) => {
+    if (TRANSCRIPT_EXCLUDE_WEEKS.includes(week.week)) {
+      return { ...week, promptCategories: {} }; // Empty categories for excluded weeks
+    }
+    return week;
+  });
+
+  const promptCategories = makePromptCategoryChart(labels, filteredWeeklyDataForPrompts);
+
+  // Tokens per SP scatter chart (only weeks with transcript data)
+  const tokensPerSPScatter = makeTokensPerSPScatter(weeklyData);
+
+  // NK/T log scatter chart
+  const nktLogScatter = makeNKTLogScatter(weeklyData);
+
+  // Interruption rate chart
+  const interruptionRateChart = makeInterruptionRateChart(labels, weeklyData);
+
+  // Tool usage charts (weeks without transcript coverage left empty)
+  const weeklyDataForTools = weeklyData.map(week => (
+    TRANSCRIPT_EXCLUDE_WEEKS.includes(week.week) ? { ...week, toolUsage: undefined } : week
+  ));
+  const weeklyDataForWorkflows = weeklyData.map(week => (
+    TRANSCRIPT_EXCLUDE_WEEKS.includes(week.week) ? { ...week, workflows: undefined } : week
+  ));
+  const weeklyDataForContext = weeklyData.map(week => (
+    TRANSCRIPT_EXCLUDE_WEEKS.includes(week.week) ? { ...week, contextWindow: undefined } : week
+  ));
+  // Transcript metrics per developer are left empty before transcript coverage; PRs, LOC and cycle time are kept
+  const weeklyDataForDevelopers = weeklyData.map(week => {
+    if (!TRANSCRIPT_EXCLUDE_WEEKS.includes(week.week) || !week.developers) return week;
+    const developers = Object.fromEntries(Object.entries(week.developers).map(([developer, stats]) => (
+      [developer, { ...stats, tokens: null, prompts: null, interruptionRate: null, cost: null }]
+    )));
+    return { ...week, developers };
+  });
+  const nameOf = developer => displayName(developer, { realNames: options.realNames });
+  const developerChart = (field, title, yLabel, factor) => makeDeveloperChart(labels, weeklyDataForDevelopers, field, { title, yLabel, nameOf, factor });
+  const developerCharts = [
+    { label: 'Tokens per Developer', buffer: developerChart('tokens', 'Tokens per Developer', 'Tokens') },
+    { label: 'Prompts per Developer', buffer: developerChart('prompts', 'Prompts per Developer', 'Prompts') },
+    { label: 'Interruption Rate per Developer', buffer: developerChart('interruptionRate', 'Interruption Rate per Developer', 'Interrupted Prompts (%)') },
+    { label: 'PRs per Developer', buffer: developerChart('prs', 'Merged PRs per Developer', 'PRs') },
+    { label: 'LOC per Developer', buffer: developerChart('totalLOC', 'LOC per Developer', 'LOC') },
+    { label: 'Cycle Time per Developer', buffer: developerChart('cycleTime', 'Cycle Time per Developer', 'Business Days') },
+    { label: 'Cost per Developer', buffer: developerChart('cost', 'Cost per Developer', 'Cost (£)', CONFIG.USD_TO_GBP) }
+  ];
+
+  const toolCharts = [
+    {
+      label: 'Tool Calls',
+      buffer: makeToolUsageChart(labels, weeklyDataForTools)
+    },
+    {
+      label: 'Tool Error Rate',
+      buffer: makeToolErrorRateChart(labels, weeklyDataForTools)
+    },
+    {
+      label: 'Tool Errors by Class',
+      buffer: makeToolErrorClassChart(labels, weeklyDataForTools)
+    },
+    {
+      label: 'Tool Error Rate by Class',
+      buffer: makeToolErrorClassRateChart(labels, weeklyDataForTools)
+    }
+  ];
+
+  // Grouped chart definitions
+  const efficiencyCharts = [
+    {
+      label: 'Tokens per Story Point',
+      buffer: makeLineChart(labels, filterTranscriptData(weeklyData.map(d => d.tokensPerSP)), { title: 'Tokens per Story Points', yLabel: 'Tokens per SPs', datasetLabel: 'Tokens/SP' })
+    },
+    {
+      label: 'LOC per Token',
+      buffer: makeLineChart(labels, filterTranscriptData(weeklyData.map(d => 10000 * d.locPerToken)), { title: 'LOC per 10,0000 Tokens', yLabel: 'Lines of Code per 10K Tokens', datasetLabel: 'LOC/10000Token' })
+    },
+    {
+      label: 'LOC per Merged PR',
+      buffer: makeLineChart(labels, weeklyData.map(d => d.locPerPR), { title: 'LOC per Merged PR', yLabel: 'LOC per Merged PR', datasetLabel: 'LOC/PR' })
+    },
+    {
+      label: 'LOC per Developer',
+      buffer: makeLineChart(
+        labels,
+        weeklyData.map(d => d.locPerDev),
+        {
+          title: 'LOC per Dev',
+          yLabel: 'LOC per Dev',
+          datasetLabel: 'LOC per Dev',
+          horizontalLines: [
+            { value: 622, label: 'Pre-agentic CaTH', color: '#7f2c2cff' },
+            { value: 345, label: 'HMCTS Standard', color: '#256525ff' },
+            { value: 2280, label: 'Agentic Industry Standard', color: '#303094ff' }
+          ]
+        }
+      )
+    },
+    {
+      label: 'Tokens per Time to Pass PR',
+      buffer: makeLineChart(labels, filterTranscriptData(weeklyData.map(d => d.tokensPerCycleTime)), { title: 'Tokens per Time to Pass PR', yLabel: 'Tokens Per Day', datasetLabel: 'Tokens/Day' })
+    },
+    {
+      label: 'Cost per LoC',
+      buffer: makeLineChart(labels, weeklyData.map(d => d.costPerLOC * CONFIG.USD_TO_GBP), { title: 'Cost per LOC', yLabel: 'Cost per LOC (£)', datasetLabel: 'Cost/LOC' })
+    },
+    {
+      label: 'Cost per PR',
+      buffer: makeLineChart(labels, weeklyData.map(d => d.costPerPR * CONFIG.USD_TO_GBP), { title: 'Cost per PR', yLabel: 'Cost per PR (£)', datasetLabel: 'Cost/PR' })
+    },
+    {
+      label: 'Cost per Story Point',
+      buffer: makeLineChart(labels, weeklyData.map(d => d.costPerSP * CONFIG.USD_TO_GBP), { title: 'Cost per Story Point', yLabel: 'Cost per SP (£)', datasetLabel: 'Cost/SP' })
+    },
+  ];
+
+  // Models with an estimated cost in any week
+  const modelNames = [...new Set(weeklyData.flatMap(d => Object.entries(d.modelUsage || {})
+    .filter(([, usage]) => usage.estimatedCost !== null)
+    .map(([model]) => model)))];
+
+  const efficiencyCharts2 = [
+    {
+      label: 'Story Point Velocity',
+      buffer: makeLineChart(labels, weeklyData.map(d => d.storyPoints), { title: 'Story Point Velocity', yLabel: 'Story Points', datasetLabel: 'Story Point Velocity' })
+    },
+    {
+      label: 'Number of PRs',
+      buffer: makeLineChart(labels, weeklyData.map(d => d.featurePRs), { title: 'Number of PRs', yLabel: 'PRs', datasetLabel: 'Number of PRs' })
+    },
+    {
+      label: 'Tokens per SP (by Ticket)',
+      buffer: tokensPerSPScatter
+    },
+    {
+      label: 'NK vs T',
+      buffer: nktLogScatter
+    },
+    {
+      label: 'Weekly Cost',
+      buffer: makeCostComparisonChart(
+        labels,
+        weeklyData.map(d => (d.costSource === 'bedrock' ? d.totalCost * CONFIG.USD_TO_GBP : null)),
+        filterTranscriptData(weeklyData.map(d => (d.estimatedCost != null ? d.estimatedCost * CONFIG.USD_TO_GBP : null))),
+        { title: 'Weekly Cost: Bedrock vs Transcript Estimate', yLabel: 'Cost (£)' }
+      )
+    },
+    {
+      label: 'Estimated Cost by Model',
+      buffer: makeStackedBar(labels, modelNames.map((model, i) => ({
+        label: model,
+        data: filterTranscriptData(weeklyData.map(d => {
+          const usage = d.modelUsage && d.modelUsage[model];
+          return usage && usage.estimatedCost != null ? usage.estimatedCost * CONFIG.USD_TO_GBP : null;
+        })),
+        backgroundColor: ['#182549', '#4472C4', '#ED7D31', '#4CAF50', '#9C27B0'][i % 5]
+      })), { title: 'Estimated Cost by Model', yLabel: 'Cost (£)' })
+    },
+    {
+      label: 'Prompt Cache Efficiency',
+      buffer: makeCacheEfficiencyChart(
+        labels,
+        filterTranscriptData(weeklyData.map(d => (d.cacheEfficiency && d.cacheEfficiency.hitRatio !== null ? d.cacheEfficiency.hitRatio * 100 : null))),
+        filterTranscriptData(weeklyData.map(d => (d.cacheEfficiency && d.cacheEfficiency.costSaved !== null ? d.cacheEfficiency.costSaved * CONFIG.USD_TO_GBP : null))),
+        { title: 'Prompt Cache Hit Ratio and Cost Saved', costLabel: 'Cost Saved (£)' }
+      )
+    },
+    {
+      label: 'Poor Cache Reuse',
+      buffer: makeLineChart(labels, filterTranscriptData(weeklyData.map(d => (d.cacheEfficiency ? d.cacheEfficiency.poorSessionCount : null))), { title: 'Sessions with Poor Cache Reuse', yLabel: 'Sessions', datasetLabel: 'Sessions' })
+    },
+  ];
+
+  const testRuns = filterTranscriptData(weeklyData.map(d => d.testRuns || null));
+  const qualityCharts = [
+    {
+      label: 'Test Coverage',
+      buffer: makeLineChart(labels, weeklyData.map(d => d.testCoverage), { title: 'Test Coverage', yLabel: 'Test Coverage (%)', datasetLabel: 'Test Coverage (%)' })
+    },
+    {
+      label: 'CVEs',
+      buffer: makeLineChart(labels, weeklyData.map(d => d.cves), { title: 'CVEs', yLabel: 'CVEs', datasetLabel: 'CVEs' })
+    },
+    {
+      label: 'Duplicated Lines',
+      buffer: makeLineChart(labels, weeklyData.map(d => d.duplicatedLines), { title: 'Duplicated Lines', yLabel: 'Duplicated Lines (%)', datasetLabel: 'Duplicated Lines (%)' })
+    },
+    {
+      label: 'Maintainability',
+      buffer: makeLineChart(labels, weeklyData.map(d => d.maintainability), { title: 'Maintainability Rating', yLabel: 'Rating (1=A,5=E)', datasetLabel: 'Maintainability' })
+    },
+    {
+      label: 'Reliability',
+      buffer: makeLineChart(labels, weeklyData.map(d => d.reliability), { title: 'Reliability Rating', yLabel: 'Rating (1=A,5=E)', datasetLabel: 'Reliability' })
+    },
+    {
+      label: 'Security',
+      buffer: makeLineChart(labels, weeklyData.map(d => d.security), { title: 'Security Rating', yLabel: 'Rating (1=A,5=E)', datasetLabel: 'Security' })
+    },
+    {
+      label: 'Code Smells',
+      buffer: makeLineChart(labels, weeklyData.map(d => d.codeSmells), { title: 'Code Smells', yLabel: 'Code Smells', datasetLabel: 'Code Smells' })
+    },
+    {
+      label: 'Agent Test Pass Rate',
+      buffer: makeLineChart(labels, testRuns.map(t => (t ? t.passRate : null)), { title: 'Agent Test Run Pass Rate', yLabel: 'Passed Runs (%)', datasetLabel: 'Pass Rate (%)' })
+    },
+  ];
+
+  const qualityCharts2 = [
+    {
+      label: 'Agent Test Runs',
+      buffer: makeStackedBar(labels, [
+        {
+          label: 'Passed',
+          data: testRuns.map(t => (t ? t.passedRuns : null)),
+          backgroundColor: '#70AD47'
+        },
+        {
+          label: 'Failed',
+          data: testRuns.map(t => (t ? t.failedRuns : null)),
+          backgroundColor: '#C00000'
+        },
+        {
+          label: 'No result',
+          data: testRuns.map(t => (t ? t.unknownRuns : null)),
+          backgroundColor: '#A5A5A5'
+        }
+      ], { title: 'Agent Test Runs', yLabel: 'Runs' })
+    },
+    {
+      label: 'Red/Green Cycles per Ticket',
+      buffer: makeLineChart(labels, testRuns.map(t => {
+        const tickets = t ? Object.keys(t.byTicket).length : 0;
+        return tickets > 0 ? parseFloat((t.redGreenCycles / tickets).toFixed(2)) : null;
+      }), { title: 'Red/Green Test Cycles per Ticket', yLabel: 'Cycles', datasetLabel: 'Cycles/Ticket' })
+    },
+    {
+      label: 'Commits with Failing Tests',
+      buffer: makeStackedBar(labels, [
+        {
+          label: 'After a failing test run',
+          data: testRuns.map(t => (t ? t.commitsWithFailingTests : null)),
+          backgroundColor: '#C00000'
+        },
+        {
+          label: 'Without a test run',
+          data: testRuns.map(t => (t ? t.commitsWithoutTestRun : null)),
+          backgroundColor: '#A5A5A5'
+        },
+        {
+          label: 'After a passing test run',
+          data: testRuns.map(t => (t ? t.commits - t.commitsWithFailingTests - t.commitsWithoutTestRun : null)),
+          backgroundColor: '#70AD47'
+        }
+      ], { title: 'Agent Commits by Last Test Run', yLabel: 'Commits' })
+    },
+  ];
+
+  const satisfactionCharts = [
+    {
+      label: 'Comments per PR',
+      buffer: makeLineChart(labels, weeklyData.map(d => d.commentsPerPR), { title: 'Comments per PR', yLabel: 'Comments per PR', datasetLabel: 'Comments/PR' })
+    },
+  ];
+
+  const adoptionCharts = [
+    {
+      label: 'Interruption Rate',
+      buffer: interruptionRateChart
+    },
+    {
+      label: 'Time to Context Window',
+      buffer: makeLineChart(labels, filterTranscriptData(weeklyData.map(d => d.avgTimeToContextWindow)), { title: 'Time to Hit Context Window', yLabel: 'Minutes', datasetLabel: 'Minutes' })
+    },
+    {
+      label: 'Compactions',
+      buffer: makeStackedBar(labels, [
+        {
+          label: 'Auto Compactions',
+          data: filterTranscriptData(weeklyData.map(d => d.autoCompactions)),
+          backgroundColor: '#4472C4'
+        },
+        {
+          label: 'Manual Compactions',
+          data: filterTranscriptData(weeklyData.map(d => d.manualCompactions)),
+          backgroundColor: '#ED7D31'
+        }
+      ], { title: 'Context Window Compactions', yLabel: 'Count' })
+    },
+    {
+      label: 'Peak Context Size',
+      buffer: makeContextPeakChart(labels, weeklyDataForContext)
+    },
+    {
+      label: 'Context Size at Compaction',
+      buffer: makeContextAtCompactionChart(labels, weeklyDataForContext)
+    },
+    {
+      label: 'Prompt Categories',
+      buffer: promptCategories,
+    },
+    {
+      label: 'Slash Command Runs',
+      buffer: makeWorkflowUsageChart(labels, weeklyDataForWorkflows)
+    },
+    {
+      label: 'Slash Command Abandon Rate',
+      buffer: makeWorkflowAbandonRateChart(labels, weeklyDataForWorkflows)
+    },
+  ];
+
+  const turnTiming = filterTranscriptData(weeklyData.map(d => d.turnTiming || null));
+  const adoptionCharts2 = [
+    {
+      label: 'Agent Response Latency',
+      buffer: makeDistributionChart(labels, turnTiming.map(t => t && t.responseLatencySeconds), { title: 'Agent Response Latency', yLabel: 'Seconds' })
+    },
+    {
+      label: 'Agent Working Time per Prompt',
+      buffer: makeDistributionChart(labels, turnTiming.map(t => t && t.agentWorkingMinutes), { title: 'Agent Working Time per Prompt', yLabel: 'Minutes' })
+    },
+    {
+      label: 'Human Think Time',
+      buffer: makeDistributionChart(labels, turnTiming.map(t => t && t.thinkTimeSeconds), { title: 'Human Think Time between Turns', yLabel: 'Seconds' })
+    },
+    {
+      label: 'Who Waits on Whom',
+      buffer: makeStackedBar(labels, [
+        {
+          label: 'Developer waiting on the agent',
+          data: turnTiming.map(t => (t ? parseFloat((t.agentWorkingMinutes.total / 60).toFixed(1)) : null)),
+          backgroundColor: '#4472C4'
+        },
+        {
+          label: 'Agent waiting on the developer',
+          data: turnTiming.map(t => (t ? parseFloat((t.thinkTimeSeconds.total / 3600).toFixed(1)) : null)),
+          backgroundColor: '#ED7D31'
+        }
+      ], { title: 'Agent Working Time vs Human Think Time', yLabel: 'Hours' })
+    },
+    {
+      label: 'AI-Authored LOC',
+      buffer: makeLineChart(labels, filterTranscriptData(weeklyData.map(d => (d.aiAuthoredLOCShare !== undefined ? d.aiAuthoredLOCShare : null))), { title: 'AI-Authored LOC in Merged PRs', yLabel: 'Changed Lines Written by the Agent (%)', datasetLabel: 'AI-Authored LOC %' })
+    },
+    {
+      label: 'Longest Unattended Run',
+      buffer: makeLineChart(labels, turnTiming.map(t => (t ? t.agentWorkingMinutes.max : null)), { title: 'Longest Unattended Agent Run', yLabel: 'Minutes', datasetLabel: 'Longest Run' })
+    },
+  ];
+
+  const { doc, stream } = createDoc(pdfOutputPath);
+
+  // Title Page
+  doc.addPage();
+  doc.fontSize(24).fillColor('#182549').text('Weekly Metrics Report', { align: 'center', valign: 'center' });
+  doc.moveDown();
+  doc.fontSize(16).fillColor('black').text(view === 'portfolio' ? 'Portfolio (all repositories)' : `Repository: ${view}`, { align: 'center' });
+  doc.moveDown();
+  doc.fontSize(16).fillColor('black').text(`Generated on ${new Date().toLocaleDateString()}`, { align: 'center' });
+
+  // Efficiency section
+  doc.addPage();
+  drawSectionHeader(doc, 'Efficiency Metrics');
+  addChartsGrid(doc, efficiencyCharts);
+  doc.addPage();
+  addChartsGrid(doc, efficiencyCharts2);
+
+  // Satisfaction & trust
+  doc.addPage();
+  drawSectionHeader(doc, 'Satisfaction and Trust Metrics');
+  addChartsGrid(doc, satisfactionCharts);
+
+  // Adoption & maturity
+  doc.addPage();
+  drawSectionHeader(doc, 'Adoption and Maturity Metric');
+  addChartsGrid(doc, adoptionCharts);
+  doc.addPage();
+  addChartsGrid(doc, adoptionCharts2);
+
+  // Agent tool usage
+  doc.addPage();
+  drawSectionHeader(doc, 'Agent Tool Usage');
+  addChartsGrid(doc, toolCharts);
+
+  // Developers
+  doc.addPage();
+  drawSectionHeader(doc, options.realNames || !CONFIG.PSEUDONYMISE_DEVELOPERS ? 'Developers' : 'Developers (pseudonymised)');
+  addChartsGrid(doc, developerCharts);
+
+  // Quality
+  doc.addPage();
+  drawSectionHeader(doc, 'Quality Metric');
+  addChartsGrid(doc, qualityCharts);
+  doc.addPage();
+  addChartsGrid(doc, qualityCharts2);
+
+  doc.end();
+  return new Promise((resolve, reject) => {
+    stream.on('finish', () => {
+      console.log(`Weekly metrics PDF generated: ${pdfOutputPath}`);
+      resolve(pdfOutputPath);
+    });
+    stream.on('error', reject);
+  });
 }
-const pdfOutputPath = path.resolve(__dirname, outputFile);
 
-const { makePromptCategoryChart } = require('./charts/chartFactory');
+module.exports = { generateReport };
 
-// Filter weeklyData for prompt categories (exclude Week 3)
-const filteredWeeklyDataForPrompts = weeklyData.map((week, index) => {
-  if (TRANSCRIPT_EXCLUDE_WEEKS.includes(week.week)) {
-    return { ...week, promptCategories: {} }; // Empty categories for excluded weeks
-  }
-  return week;
-});
-
-const promptCategories = makePromptCategoryChart(labels, filteredWeeklyDataForPrompts);
-
-// Tokens per SP scatter chart (only weeks with transcript data)
-const tokensPerSPScatter = makeTokensPerSPScatter(weeklyData);
-
-// NK/T log scatter chart
-const nktLogScatter = makeNKTLogScatter(weeklyData);
-
-// Interruption rate chart
-const interruptionRateChart = makeInterruptionRateChart(labels, weeklyData);
-
-// Grouped chart definitions
-const efficiencyCharts = [
-  {
-    label: 'Tokens per Story Point',
-    buffer: makeLineChart(labels, filterTranscriptData(weeklyData.map(d => d.tokensPerSP)), { title: 'Tokens per Story Points', yLabel: 'Tokens per SPs', datasetLabel: 'Tokens/SP' })
-  },
-  {
-    label: 'LOC per Token',
-    buffer: makeLineChart(labels, filterTranscriptData(weeklyData.map(d => 10000 * d.locPerToken)), { title: 'LOC per 10,0000 Tokens', yLabel: 'Lines of Code per 10K Tokens', datasetLabel: 'LOC/10000Token' })
-  },
-  {
-    label: 'LOC per Merged PR',
-    buffer: makeLineChart(labels, weeklyData.map(d => d.locPerPR), { title: 'LOC per Merged PR', yLabel: 'LOC per Merged PR', datasetLabel: 'LOC/PR' })
-  },
-  {
-    label: 'LOC per Developer',
-    buffer: makeLineChart(
-      labels,
-      weeklyData.map(d => d.locPerDev),
-      {
-        title: 'LOC per Dev',
-        yLabel: 'LOC per Dev',
-        datasetLabel: 'LOC per Dev',
-        horizontalLines: [
-          { value: 622, label: 'Pre-agentic CaTH', color: '#7f2c2cff' },
-          { value: 345, label: 'HMCTS Standard', color: '#256525ff' },
-          { value: 2280, label: 'Agentic Industry Standard', color: '#303094ff' }
-        ]
-      }
-    )
-  },
-  {
-    label: 'Tokens per Time to Pass PR',
-    buffer: makeLineChart(labels, filterTranscriptData(weeklyData.map(d => d.tokensPerCycleTime)), { title: 'Tokens per Time to Pass PR', yLabel: 'Tokens Per Day', datasetLabel: 'Tokens/Day' })
-  },
-  {
-    label: 'Cost per LoC',
-    buffer: makeLineChart(labels, weeklyData.map(d => d.costPerLOC * 0.750), { title: 'Cost per LOC', yLabel: 'Cost per LOC (£)', datasetLabel: 'Cost/LOC' })
-  },
-  {
-    label: 'Cost per PR',
-    buffer: makeLineChart(labels, weeklyData.map(d => d.costPerPR * 0.750), { title: 'Cost per PR', yLabel: 'Cost per PR (£)', datasetLabel: 'Cost/PR' })
-  },
-  {
-    label: 'Cost per Story Point',
-    buffer: makeLineChart(labels, weeklyData.map(d => d.costPerSP * 0.750), { title: 'Cost per Story Point', yLabel: 'Cost per SP (£)', datasetLabel: 'Cost/SP' })
-  },
-];
-
-const efficiencyCharts2 = [
-  {
-    label: 'Story Point Velocity',
-    buffer: makeLineChart(labels, weeklyData.map(d => d.storyPoints), { title: 'Story Point Velocity', yLabel: 'Story Points', datasetLabel: 'Story Point Velocity' })
-  },
-  {
-    label: 'Number of PRs',
-    buffer: makeLineChart(labels, weeklyData.map(d => d.featurePRs), { title: 'Number of PRs', yLabel: 'PRs', datasetLabel: 'Number of PRs' })
-  },
-  {
-    label: 'Tokens per SP (by Ticket)',
-    buffer: tokensPerSPScatter
-  },
-  {
-    label: 'NK vs T',
-    buffer: nktLogScatter
-  },
-];
-
-const qualityCharts = [
-  {
-    label: 'Test Coverage',
-    buffer: makeLineChart(labels, weeklyData.map(d => d.testCoverage), { title: 'Test Coverage', yLabel: 'Test Coverage (%)', datasetLabel: 'Test Coverage (%)' })
-  },
-  {
-    label: 'CVEs',
-    buffer: makeLineChart(labels, weeklyData.map(d => d.cves), { title: 'CVEs', yLabel: 'CVEs', datasetLabel: 'CVEs' })
-  },
-  {
-    label: 'Duplicated Lines',
-    buffer: makeLineChart(labels, weeklyData.map(d => d.duplicatedLines), { title: 'Duplicated Lines', yLabel: 'Duplicated Lines (%)', datasetLabel: 'Duplicated Lines (%)' })
-  },
-  {
-    label: 'Maintainability',
-    buffer: makeLineChart(labels, weeklyData.map(d => d.maintainability), { title: 'Maintainability Rating', yLabel: 'Rating (1=A,5=E)', datasetLabel: 'Maintainability' })
-  },
-  {
-    label: 'Reliability',
-    buffer: makeLineChart(labels, weeklyData.map(d => d.reliability), { title: 'Reliability Rating', yLabel: 'Rating (1=A,5=E)', datasetLabel: 'Reliability' })
-  },
-  {
-    label: 'Security',
-    buffer: makeLineChart(labels, weeklyData.map(d => d.security), { title: 'Security Rating', yLabel: 'Rating (1=A,5=E)', datasetLabel: 'Security' })
-  },
-  {
-    label: 'Code Smells',
-    buffer: makeLineChart(labels, weeklyData.map(d => d.codeSmells), { title: 'Code Smells', yLabel: 'Code Smells', datasetLabel: 'Code Smells' })
-  },
-];
-
-const satisfactionCharts = [
-  {
-    label: 'Comments per PR',
-    buffer: makeLineChart(labels, weeklyData.map(d => d.commentsPerPR), { title: 'Comments per PR', yLabel: 'Comments per PR', datasetLabel: 'Comments/PR' })
-  },
-];
-
-const adoptionCharts = [
-  {
-    label: 'Interruption Rate',
-    buffer: interruptionRateChart
-  },
-  {
-    label: 'Time to Context Window',
-    buffer: makeLineChart(labels, filterTranscriptData(weeklyData.map(d => d.timeToContextWindow)), { title: 'Time to Hit Context Window', yLabel: 'Minutes', datasetLabel: 'Minutes' })
-  },
-  {
-    label: 'Compactions',
-    buffer: makeStackedBar(labels, [
-      {
-        label: 'Auto Compactions',
-        data: filterTranscriptData(weeklyData.map(d => d.autoCompactions)),
-        backgroundColor: '#4472C4'
-      },
-      {
-        label: 'Manual Compactions',
-        data: filterTranscriptData(weeklyData.map(d => d.manualCompactions)),
-        backgroundColor: '#ED7D31'
-      }
-    ], { title: 'Context Window Compactions', yLabel: 'Count' })
-  },
-  {
-    label: 'Prompt Categories',
-    buffer: promptCategories,
-  },
-];
-
-const { doc, stream } = createDoc(pdfOutputPath);
-
-// Title Page
-doc.addPage();
-doc.fontSize(24).fillColor('#182549').text('Weekly Metrics Report', { align: 'center', valign: 'center' });
-doc.moveDown();
-doc.fontSize(16).fillColor('black').text(`Generated on ${new Date().toLocaleDateString()}`, { align: 'center' });
-
-// Efficiency section
-doc.addPage();
-drawSectionHeader(doc, 'Efficiency Metrics');
-addChartsGrid(doc, efficiencyCharts);
-doc.addPage();
-addChartsGrid(doc, efficiencyCharts2);
-
-// Satisfaction & trust
-doc.addPage();
-drawSectionHeader(doc, 'Satisfaction and Trust Metrics');
-addChartsGrid(doc, satisfactionCharts);
-
-// Adoption & maturity
-doc.addPage();
-drawSectionHeader(doc, 'Adoption and Maturity Metric');
-addChartsGrid(doc, adoptionCharts);
-
-// Quality
-doc.addPage();
-drawSectionHeader(doc, 'Quality Metric');
-addChartsGrid(doc, qualityCharts);
-
-doc.end();
-stream.on('finish', () => {
-  console.log(`Weekly metrics PDF generated: ${pdfOutputPath}`);
-});
+if (require.main === module) {
+  require('./cli/commands').runCommand(['report'], process.argv.slice(2));
+}